@@ -1,10 +1,39 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import io from 'socket.io-client';
 import WorkflowDiagram from './WorkflowDiagram';
+import SecretHistory from './SecretHistory';
+import WebhookDeliveries from './WebhookDeliveries';
+import AuditLog from './AuditLog';
+import ExpiryBadge, { EXPIRY_LEVELS, expiryLevel } from './ExpiryBadge';
+import StructuredTree from './StructuredTree';
+import BinaryView, { binaryFormatInfo } from './BinaryView';
+import LoginScreen from './LoginScreen';
+import { apiFetch, getToken, clearToken } from './api';
+import { createEventStreamClient } from './eventStream';
+
+// Stable fallback so derived `secrets` doesn't change identity on every render
+const NO_SECRETS = {};
+
+// Failed socket.io connection attempts before falling back to Server-Sent Events
+const SOCKET_FALLBACK_ATTEMPTS = 3;
 
 function App() {
-  const [secrets, setSecrets] = useState({});
+  const [secretsByTarget, setSecretsByTarget] = useState({}); // target id -> secrets
+  const [targets, setTargets] = useState([]);
+  const [selectedTarget, setSelectedTarget] = useState(() => localStorage.getItem('selectedTarget'));
+  const [vaultTarget, setVaultTarget] = useState(null); // target the Vault comparison belongs to
+  const [targetState, setTargetState] = useState({}); // target id -> { lastSync, secretCount } from heartbeats
   const [connected, setConnected] = useState(false);
+  const [transport, setTransport] = useState(null);
+  const secretsSeq = useRef({}); // target id -> seq of the last secrets-update applied
+  const resyncPending = useRef({}); // target id -> true while a resync snapshot is requested
+  // File names to follow live; empty follows every secret (see lib/subscriptions.js)
+  const [watchedSecrets, setWatchedSecrets] = useState(() => JSON.parse(localStorage.getItem('watchedSecrets') || '[]'));
+  const watchedSecretsRef = useRef(watchedSecrets);
+  const [subscriptionState, setSubscriptionState] = useState(null); // per-subscription state from heartbeats
+  const [now, setNow] = useState(Date.now()); // Clock for expiry countdowns
+  const expiryLevels = useRef({}); // "target/file" -> last expiry threshold notified
+  const [keyChangesByFile, setKeyChangesByFile] = useState({}); // "target/file" -> key changes of the last update
   const [lastUpdate, setLastUpdate] = useState(null);
   const [activity, setActivity] = useState([]);
   const [error, setError] = useState(null);
@@ -23,6 +52,62 @@ function App() {
   const [secretFormat, setSecretFormat] = useState({});
   const [showExportModal, setShowExportModal] = useState(false);
   const [activeTab, setActiveTab] = useState('secrets'); // New tab state
+  const [activityCursor, setActivityCursor] = useState(null);
+  const [activityHasMore, setActivityHasMore] = useState(false);
+  const [loadingMoreActivity, setLoadingMoreActivity] = useState(false);
+  const [cardTabs, setCardTabs] = useState({}); // filename -> 'value' | 'history'
+  const [revealed, setRevealed] = useState({}); // revealKeyFor(...) -> { content, expiresAt, fingerprint, target, file, source }
+  const [vaultSecretsRaw, setVaultSecrets] = useState({}); // Values read directly from Vault KV-v2 (if enabled)
+  const [vaultStatus, setVaultStatus] = useState(null);
+  const [authMode, setAuthMode] = useState(null); // null while loading, then 'none' | 'token' | 'jwt'
+  const [authenticated, setAuthenticated] = useState(false);
+  const [identity, setIdentity] = useState(null);
+  const [propagation, setPropagation] = useState([]); // Propagation timelines of recent changes, newest first
+  const [propagationStages, setPropagationStages] = useState([]);
+  const [pendingRenderAcks, setPendingRenderAcks] = useState([]); // changeIds waiting for a paint
+  const [webhookHooks, setWebhookHooks] = useState([]);
+  const [webhookDeliveries, setWebhookDeliveries] = useState([]);
+  const [webhookCursor, setWebhookCursor] = useState(null);
+  const [webhookHasMore, setWebhookHasMore] = useState(false);
+  const [loadingMoreDeliveries, setLoadingMoreDeliveries] = useState(false);
+
+  const currentTarget = targets.find(t => t.id === selectedTarget) || targets[0] || null;
+  const currentTargetId = currentTarget ? currentTarget.id : null;
+  const secrets = secretsByTarget[currentTargetId] || NO_SECRETS;
+  const vaultSecrets = currentTargetId && currentTargetId === vaultTarget ? vaultSecretsRaw : NO_SECRETS;
+  const targetQuery = currentTargetId ? `target=${encodeURIComponent(currentTargetId)}` : '';
+  // Reveals belong to one target's file: "<target>/<file>", or "<target>/vault:<file>" for the Vault-side value
+  const revealKeyFor = (filename, source = 'file') => `${currentTargetId}/${source === 'vault' ? 'vault:' : ''}${filename}`;
+
+  // Find out whether the server needs credentials, and whether a stored token is still valid
+  useEffect(() => {
+    fetch('/api/auth/config')
+      .then(res => res.json())
+      .then(async ({ mode }) => {
+        setAuthMode(mode);
+        if (mode !== 'none' && !getToken()) return;
+        const response = await apiFetch('/api/auth/me');
+        if (response.ok) {
+          setIdentity(await response.json());
+          setAuthenticated(true);
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch auth config:', err);
+        setError(err.message);
+      });
+  }, []);
+
+  // Any 401 from the API or a rejected socket handshake drops back to the login screen
+  useEffect(() => {
+    const handleAuthRequired = () => {
+      clearToken();
+      setAuthenticated(false);
+      setIdentity(null);
+    };
+    window.addEventListener('auth-required', handleAuthRequired);
+    return () => window.removeEventListener('auth-required', handleAuthRequired);
+  }, []);
 
   useEffect(() => {
     localStorage.setItem('darkMode', JSON.stringify(darkMode));
@@ -33,6 +118,15 @@ function App() {
     }
   }, [darkMode]);
 
+  useEffect(() => {
+    localStorage.setItem('watchedSecrets', JSON.stringify(watchedSecrets));
+    watchedSecretsRef.current = watchedSecrets;
+  }, [watchedSecrets]);
+
+  useEffect(() => {
+    if (selectedTarget) localStorage.setItem('selectedTarget', selectedTarget);
+  }, [selectedTarget]);
+
   // Filter secrets based on search query
   useEffect(() => {
     if (!searchQuery.trim()) {
@@ -52,11 +146,87 @@ function App() {
     }
   }, [secrets, searchQuery]);
 
+  // Revealed values never carry over to another target's same-named files
+  useEffect(() => {
+    setRevealed({});
+  }, [currentTargetId]);
+
+  // Drop revealed values once the underlying secret changes
+  useEffect(() => {
+    setRevealed(prev => {
+      const stillValid = Object.fromEntries(
+        Object.entries(prev).filter(([, reveal]) => {
+          const current = (reveal.source === 'vault' ? vaultSecrets : secrets)[reveal.file];
+          return reveal.target === currentTargetId && current?.fingerprint === reveal.fingerprint;
+        })
+      );
+      return Object.keys(stillValid).length === Object.keys(prev).length ? prev : stillValid;
+    });
+  }, [secrets, vaultSecrets]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Notify when a certificate or JWT crosses into a more severe expiry threshold (also on
+  // first sight); renewing resets it
+  useEffect(() => {
+    const rank = (level) => EXPIRY_LEVELS.findIndex(candidate => candidate.level === level);
+    for (const [targetId, targetSecrets] of Object.entries(secretsByTarget)) {
+      for (const [filename, data] of Object.entries(targetSecrets)) {
+        if (!data.expiry?.expiresAt) continue;
+        const key = `${targetId}/${filename}`;
+        const level = expiryLevel(data.expiry.expiresAt, now);
+        const previous = expiryLevels.current[key];
+        expiryLevels.current[key] = level ? level.level : null;
+        if (level && (!previous || rank(level.level) < rank(previous))) {
+          addNotification({
+            type: level.level === 'expired' || level.level === 'day' ? 'error' : 'warning',
+            message: `${data.expiry.kind === 'jwt' ? 'Token' : 'Certificate'} "${filename}"${targets.length > 1 ? ` (${targetId})` : ''} ${level.label}`,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    }
+  }, [secretsByTarget, now]);
+
+  // Acknowledge rendered changes once the browser has painted them (rAF runs before the
+  // paint, the timeout after it); the server records this as the clientRendered stage
+  useEffect(() => {
+    if (pendingRenderAcks.length === 0) return;
+    let timeout;
+    const frame = requestAnimationFrame(() => {
+      timeout = setTimeout(() => {
+        pendingRenderAcks.forEach(changeId => window.socketInstance?.emit('render-ack', { changeId }));
+        setPendingRenderAcks([]);
+      }, 0);
+    });
+    return () => {
+      cancelAnimationFrame(frame);
+      clearTimeout(timeout);
+    };
+  }, [pendingRenderAcks]);
+
+  // Propagation timelines of the selected target
+  useEffect(() => {
+    if (!authenticated || !targetQuery) return;
+    apiFetch(`/api/propagation?${targetQuery}`)
+      .then(res => res.json())
+      .then(data => {
+        setPropagationStages(data.stages || []);
+        setPropagation(prev => mergePropagation(data.changes || [], prev));
+      })
+      .catch(err => console.error('Failed to fetch propagation timelines:', err));
+  }, [authenticated, targetQuery]);
+
   // Fetch metrics periodically
   useEffect(() => {
+    if (!authenticated) return;
+    
     const fetchMetrics = async () => {
       try {
-        const response = await fetch('/api/metrics');
+        const response = await apiFetch(`/api/metrics?${targetQuery}`);
         const data = await response.json();
         setMetrics(data);
       } catch (err) {
@@ -67,7 +237,7 @@ function App() {
     fetchMetrics(); // Initial fetch
     const interval = setInterval(fetchMetrics, 30000); // Every 30s
     return () => clearInterval(interval);
-  }, []);
+  }, [authenticated, targetQuery]);
 
   // Auto-remove notifications - only set timeout for new notifications
   useEffect(() => {
@@ -83,102 +253,211 @@ function App() {
     });
   }, [notifications]);
 
+  // secrets-update is a full `snapshot` on connect and resync, then per-file `delta`s numbered
+  // by seq (see emitSecretsUpdate in server.js). A delta that doesn't follow the last seq
+  // applied means one was missed: it is dropped and the target's snapshot requested instead.
+  // Returns whether the update was applied.
+  const applySecretsUpdate = (data) => {
+    const current = secretsSeq.current[data.target];
+    if (data.type === 'delta') {
+      if (current !== undefined && data.seq <= current) return false; // Already applied (SSE replay)
+      if (current === undefined || data.previousSeq !== current) {
+        console.warn(`⚠️ Secrets update gap for ${data.target} (have ${current}, got ${data.seq}) - requesting resync`);
+        if (!resyncPending.current[data.target]) {
+          resyncPending.current[data.target] = true;
+          window.socketInstance?.emit('resync', { target: data.target, seq: current });
+        }
+        return false;
+      }
+      setSecretsByTarget(prev => {
+        const next = { ...prev[data.target], ...data.updated };
+        data.removed.forEach(file => delete next[file]);
+        return { ...prev, [data.target]: next };
+      });
+    } else {
+      setSecretsByTarget(prev => ({ ...prev, [data.target]: data.secrets }));
+      delete resyncPending.current[data.target];
+    }
+    secretsSeq.current[data.target] = data.seq;
+    return true;
+  };
+
   useEffect(() => {
-    const socket = io();
+    if (!authenticated) return;
     
-    // Store socket instance globally for refresh button access
-    window.socketInstance = socket;
-
-    socket.on('connect', () => {
-      console.log('Connected to server');
-      setConnected(true);
-      setError(null);
-    });
+    // Every server event handler, attached to whichever transport is in use
+    const attachHandlers = (socket) => {
+      socket.on('connect', () => {
+        console.log('Connected to server');
+        setConnected(true);
+        setError(null);
+        // Subscriptions belong to the server-side socket, so every (re)connect restores them
+        // (the SSE stream has none and always carries everything)
+        if (socket.supportsSubscriptions !== false && watchedSecretsRef.current.length > 0) {
+          socket.emit('subscribe', { patterns: watchedSecretsRef.current });
+        }
+      });
 
-    socket.on('disconnect', () => {
-      console.log('Disconnected from server');
-      setConnected(false);
-    });
+      socket.on('disconnect', () => {
+        console.log('Disconnected from server');
+        setConnected(false);
+      });
 
-    socket.on('secrets-update', (data) => {
-      console.log('🔄 Secrets update received:', {
-        source: data.source,
-        forceUpdate: data.forceUpdate,
-        secretCount: Object.keys(data.secrets || {}).length,
-        syncId: data.syncId,
-        timestamp: data.timestamp
+      socket.on('connect_error', (err) => {
+        console.error('Socket connection error:', err.message, err.data);
+        if (err.message === 'unauthorized') {
+          window.dispatchEvent(new Event('auth-required'));
+        }
       });
+
+      socket.on('secrets-update', (data) => {
+        console.log('🔄 Secrets update received:', {
+          type: data.type,
+          target: data.target,
+          seq: data.seq,
+          source: data.source,
+          forceUpdate: data.forceUpdate,
+          files: data.type === 'delta' ? [...Object.keys(data.updated), ...data.removed] : Object.keys(data.secrets).length,
+          syncId: data.syncId,
+          snapshot: data.snapshot,
+          timestamp: data.timestamp
+        });
       
-      // Force state update with completely new object references
-      const newSecrets = JSON.parse(JSON.stringify(data.secrets || {}));
-      setSecrets(newSecrets);
-      setLastUpdate(data.timestamp);
+        // Every applied update is a new object, so the search filter effect re-derives filteredSecrets
+        if (!applySecretsUpdate(data)) return;
+        setLastUpdate(data.timestamp);
+        if (data.changeId) {
+          setPendingRenderAcks(prev => [...prev, data.changeId]);
+        }
       
-      // Always force filtered secrets update to trigger re-render
-      setFilteredSecrets(prev => {
-        const filtered = searchQuery.trim() ? 
-          Object.fromEntries(
-            Object.entries(newSecrets).filter(([filename, data]) => 
-              filename.toLowerCase().includes(searchQuery.toLowerCase()) || 
-              data.content.toLowerCase().includes(searchQuery.toLowerCase())
-            )
-          ) : newSecrets;
-        return JSON.parse(JSON.stringify(filtered));
-      });
+        // Force re-render by triggering state updates
+        if (data.forceUpdate) {
+          console.log('🔄 Force update applied - UI should refresh now');
+          // Force component re-render by updating multiple states with fresh references
+          setSecretFormat(prev => ({ ...prev }));
+          setError(null); // Clear any previous errors
+        }
       
-      // Force re-render by triggering state updates
-      if (data.forceUpdate) {
-        console.log('🔄 Force update applied - UI should refresh now');
-        // Force component re-render by updating multiple states with fresh references
-        setSecretFormat(prev => ({ ...prev }));
-        setError(null); // Clear any previous errors
-      }
+        // Key-level changes of JSON/YAML/.env files: highlighted in the key tree and notified
+        const keyChanges = Object.entries(data.keyChanges || {});
+        if (keyChanges.length > 0) {
+          setKeyChangesByFile(prev => ({
+            ...prev,
+            ...Object.fromEntries(keyChanges.map(([file, changes]) => [`${data.target}/${file}`, changes]))
+          }));
+          keyChanges.forEach(([file, changes]) => addNotification({
+            type: 'info',
+            message: `${file}: ${describeKeyChanges(changes)}`,
+            timestamp: data.timestamp
+          }));
+        } else if (data.action && data.file) {
+          // Add notification for secret changes
+          addNotification({
+            type: data.action === 'add' ? 'success' : data.action === 'change' ? 'info' : 'warning',
+            message: `Secret "${data.file}" was ${data.action === 'add' ? 'added' : data.action === 'change' ? 'updated' : 'removed'}`,
+            timestamp: data.timestamp
+          });
+        }
       
-      // Add notification for secret changes
-      if (data.action && data.file) {
-        addNotification({
-          type: data.action === 'add' ? 'success' : data.action === 'change' ? 'info' : 'warning',
-          message: `Secret "${data.file}" was ${data.action === 'add' ? 'added' : data.action === 'change' ? 'updated' : 'removed'}`,
-          timestamp: data.timestamp
+        // Skip adding to activity log - the server now handles this properly
+        // Only server-side activity-update events will update the activity feed
+        // This eliminates duplicate and system noise from the client side
+      });
+
+      // Vault-side values when the server polls Vault directly
+      socket.on('vault-secrets-update', (data) => {
+        console.log('🏦 Vault secrets update received:', {
+          secretCount: Object.keys(data.secrets || {}).length,
+          status: data.status
         });
-      }
-      
-      // Skip adding to activity log - the server now handles this properly
-      // Only server-side activity-update events will update the activity feed
-      // This eliminates duplicate and system noise from the client side
-    });
+        setVaultSecrets(data.secrets || {});
+        setVaultStatus(data.status);
+        if (data.target) setVaultTarget(data.target);
+      });
 
-    socket.on('secrets-error', (data) => {
-      console.error('Secrets error:', data);
-      setError(data.error);
-    });
+      // A webhook delivery was queued or attempted
+      socket.on('webhook-delivery', (data) => {
+        if (data.delivery) {
+          setWebhookDeliveries(prev => mergeActivity([data.delivery], prev)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)));
+        }
+      });
 
-    // Handle dedicated activity updates from server
-    socket.on('activity-update', (data) => {
-      console.log('Activity update received:', data);
-      if (data.activity) {
-        setActivity(data.activity);
-      } else if (data.newEntry) {
-        // Add new activity entry from server
-        setActivity(prev => [data.newEntry, ...prev.slice(0, 9)]);
-      }
-    });
+      // A change's propagation timeline gained a stage
+      socket.on('propagation-update', (data) => {
+        if (data.change) {
+          setPropagation(prev => mergePropagation([data.change], prev));
+        }
+      });
 
-    // Handle heartbeat for connection health
-    socket.on('heartbeat', (data) => {
-      console.log(`💓 Heartbeat received: ${data.connectedClients} clients, ${data.secretCount} secrets`);
-      // Update connection health
-      setConnected(true);
-      setError(null);
-    });
+      socket.on('secrets-error', (data) => {
+        console.error('Secrets error:', data);
+        setError(data.error);
+      });
 
-    // Handle pong responses
-    socket.on('pong', (data) => {
-      console.log('🏓 Pong received from server - connection healthy', {
-        connectedClients: data.connectedClients,
-        timestamp: data.timestamp
+      // Handle dedicated activity updates from server
+      socket.on('activity-update', (data) => {
+        console.log('Activity update received:', data);
+        if (data.activity) {
+          // Keep older pages the user already loaded below the fresh head
+          setActivity(prev => mergeActivity(data.activity, prev));
+        } else if (data.newEntry) {
+          // Add new activity entry from server
+          setActivity(prev => mergeActivity([data.newEntry], prev));
+        }
       });
-    });
+
+      // Handle heartbeat for connection health
+      socket.on('heartbeat', (data) => {
+        console.log(`💓 Heartbeat received: ${data.connectedClients} clients, ${data.secretCount} secrets`);
+        // Update connection health
+        setConnected(true);
+        setError(null);
+        if (data.targets) setTargetState(data.targets);
+        setSubscriptionState(data.subscriptions || null);
+      });
+
+      // Handle pong responses
+      socket.on('pong', (data) => {
+        console.log('🏓 Pong received from server - connection healthy', {
+          connectedClients: data.connectedClients,
+          timestamp: data.timestamp
+        });
+      });
+    };
+
+    // socket.io first; when it cannot connect at all (e.g. a proxy that blocks websockets and
+    // long-polling) fall back to the Server-Sent Events stream. ?transport=sse forces the fallback.
+    let socket = null;
+    const switchToEventStream = () => {
+      if (socket) socket.disconnect();
+      socket = createEventStreamClient();
+      attachHandlers(socket);
+      setTransport('sse');
+      // Store socket instance globally for refresh button access
+      window.socketInstance = socket;
+    };
+
+    if (new URLSearchParams(window.location.search).get('transport') === 'sse') {
+      switchToEventStream();
+    } else {
+      // auth as a callback so every reconnect sends the current credential
+      socket = io({ auth: (cb) => cb({ token: getToken() }) });
+      attachHandlers(socket);
+      setTransport('websocket');
+      window.socketInstance = socket;
+
+      let everConnected = false;
+      let failedAttempts = 0;
+      socket.on('connect', () => { everConnected = true; });
+      socket.on('connect_error', (err) => {
+        if (everConnected || err.message === 'unauthorized') return;
+        if (++failedAttempts >= SOCKET_FALLBACK_ATTEMPTS) {
+          console.warn(`socket.io failed ${failedAttempts} times - falling back to Server-Sent Events`);
+          switchToEventStream();
+        }
+      });
+    }
 
     // Send periodic ping to maintain connection
     const pingInterval = setInterval(() => {
@@ -187,24 +466,51 @@ function App() {
       }
     }, 30000); // Ping every 30 seconds
 
-    // Fetch initial data
-    fetch('/api/secrets')
+    // Fetch initial data: the watched targets, then each target's secrets
+    apiFetch('/api/targets')
       .then(res => res.json())
-      .then(data => {
-        setSecrets(data.secrets);
-        setLastUpdate(data.timestamp);
+      .then(({ targets: watched, vaultTarget: vaultTargetId }) => {
+        setTargets(watched);
+        setVaultTarget(vaultTargetId);
+        return Promise.all(watched.map(target =>
+          apiFetch(`/api/secrets?target=${encodeURIComponent(target.id)}`)
+            .then(res => res.json())
+            .then(data => {
+              applySecretsUpdate(data);
+              setLastUpdate(data.timestamp);
+              if (data.vaultSecrets) {
+                setVaultSecrets(data.vaultSecrets);
+                setVaultStatus(data.vaultStatus);
+              }
+            })
+        ));
       })
       .catch(err => {
         console.error('Failed to fetch initial secrets:', err);
         setError(err.message);
       });
 
+    // Fetch configured webhooks and the latest deliveries
+    apiFetch('/api/webhooks')
+      .then(res => res.json())
+      .then(data => {
+        setWebhookHooks(data.hooks || []);
+        setWebhookDeliveries(data.deliveries || []);
+        setWebhookCursor(data.nextCursor);
+        setWebhookHasMore(data.hasMore);
+      })
+      .catch(err => {
+        console.error('Failed to fetch webhooks:', err);
+      });
+
     // Fetch initial activity history
-    fetch('/api/activity')
+    apiFetch('/api/activity')
       .then(res => res.json())
       .then(data => {
         if (data.activity) {
           setActivity(data.activity);
+          setActivityCursor(data.nextCursor);
+          setActivityHasMore(data.hasMore);
         }
       })
       .catch(err => {
@@ -218,7 +524,25 @@ function App() {
       }
       socket.disconnect();
     };
-  }, []);
+  }, [authenticated]);
+
+  // "Watch this secret": follow live updates of only the watched files. Unwatched cards keep
+  // their last value until the next snapshot (reconnect or refresh).
+  const toggleWatch = (filename) => {
+    if (transport !== 'websocket') return; // Subscriptions need socket.io
+    const watching = watchedSecrets.includes(filename);
+    window.socketInstance?.emit(watching ? 'unsubscribe' : 'subscribe', { patterns: [filename] });
+    setWatchedSecrets(prev => watching ? prev.filter(name => name !== filename) : [...prev, filename]);
+  };
+
+  const unwatchAll = () => {
+    window.socketInstance?.emit('unsubscribe');
+    setWatchedSecrets([]);
+    setSubscriptionState(null);
+  };
+
+  // "db.password changed, feature.beta added"
+  const describeKeyChanges = (changes) => changes.map(({ path, change }) => `${path} ${change}`).join(', ');
 
   // Helper functions
   const addNotification = (notification) => {
@@ -226,6 +550,99 @@ function App() {
     setNotifications(prev => [...prev, { ...notification, id }]);
   };
 
+  // Merge a newer batch of activity entries over the existing list, replacing by id
+  const mergeActivity = (incoming, existing) => {
+    const incomingIds = new Set(incoming.map(entry => entry.id));
+    return [...incoming, ...existing.filter(entry => !incomingIds.has(entry.id))];
+  };
+
+  // Same for propagation timelines, which are updated in place as stages arrive
+  const mergePropagation = (incoming, existing) => {
+    const incomingIds = new Set(incoming.map(change => change.id));
+    return [...incoming, ...existing.filter(change => !incomingIds.has(change.id))]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, 100);
+  };
+
+  const loadMoreActivity = async () => {
+    if (!activityCursor || loadingMoreActivity) return;
+    setLoadingMoreActivity(true);
+    try {
+      const response = await apiFetch(`/api/activity?cursor=${encodeURIComponent(activityCursor)}`);
+      const data = await response.json();
+      setActivity(prev => {
+        const existingIds = new Set(prev.map(entry => entry.id));
+        return [...prev, ...(data.activity || []).filter(entry => !existingIds.has(entry.id))];
+      });
+      setActivityCursor(data.nextCursor);
+      setActivityHasMore(data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more activity:', err);
+      addNotification({
+        type: 'error',
+        message: 'Failed to load more activity',
+        timestamp: new Date().toISOString()
+      });
+    } finally {
+      setLoadingMoreActivity(false);
+    }
+  };
+
+  const loadMoreDeliveries = async () => {
+    if (!webhookCursor || loadingMoreDeliveries) return;
+    setLoadingMoreDeliveries(true);
+    try {
+      const response = await apiFetch(`/api/webhooks?cursor=${encodeURIComponent(webhookCursor)}`);
+      const data = await response.json();
+      setWebhookDeliveries(prev => {
+        const existingIds = new Set(prev.map(delivery => delivery.id));
+        return [...prev, ...(data.deliveries || []).filter(delivery => !existingIds.has(delivery.id))];
+      });
+      setWebhookCursor(data.nextCursor);
+      setWebhookHasMore(data.hasMore);
+    } catch (err) {
+      console.error('Failed to load more webhook deliveries:', err);
+    } finally {
+      setLoadingMoreDeliveries(false);
+    }
+  };
+
+  // Full value if the user revealed it, otherwise whatever the server sent (masked preview)
+  const displayContent = (filename, data) => revealed[revealKeyFor(filename)]?.content ?? data.content;
+
+  const revealSecret = async (filename, source = 'file') => {
+    const revealKey = revealKeyFor(filename, source);
+    const target = currentTargetId;
+    try {
+      const query = source === 'vault' ? `?source=vault&${targetQuery}` : `?${targetQuery}`;
+      const response = await apiFetch(`/api/secrets/${encodeURIComponent(filename)}/reveal${query}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      
+      const fingerprint = (source === 'vault' ? vaultSecrets : secrets)[filename]?.fingerprint;
+      setRevealed(prev => ({
+        ...prev,
+        [revealKey]: { content: data.content, expiresAt: data.expiresAt, fingerprint, target, file: filename, source }
+      }));
+      // Hide again once the reveal window the server suggests is over (enforced only here)
+      setTimeout(() => hideSecret(revealKey), data.ttlMs);
+    } catch (err) {
+      console.error(`Failed to reveal ${filename}:`, err);
+      addNotification({
+        type: 'error',
+        message: `Cannot reveal "${filename}": ${err.message}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  const hideSecret = (revealKey) => {
+    setRevealed(prev => {
+      const { [revealKey]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
   const validateSecretFormat = (content, filename) => {
     const ext = filename.split('.').pop()?.toLowerCase();
     
@@ -319,28 +736,46 @@ function App() {
     }
   };
 
-  const exportSecrets = (format = 'json') => {
+  const exportSecrets = async (format = 'json') => {
     const timestamp = new Date().toISOString().split('T')[0];
+    const prefix = targets.length > 1 ? `vault-secrets-${currentTargetId}` : 'vault-secrets';
     let content, filename, mimeType;
 
+    // The server decides which files the caller may export and returns their full values
+    let exported;
+    try {
+      const response = await apiFetch(`/api/export?${targetQuery}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      exported = data.secrets;
+    } catch (err) {
+      console.error('Failed to export secrets:', err);
+      addNotification({
+        type: 'error',
+        message: `Export failed: ${err.message}`,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
     switch (format) {
       case 'json':
-        content = JSON.stringify(secrets, null, 2);
-        filename = `vault-secrets-${timestamp}.json`;
+        content = JSON.stringify(exported, null, 2);
+        filename = `${prefix}-${timestamp}.json`;
         mimeType = 'application/json';
         break;
       case 'yaml':
         // Simple YAML export
-        content = Object.entries(secrets).map(([name, data]) => 
+        content = Object.entries(exported).map(([name, data]) => 
           `# ${name}\n${name}:\n  content: |\n    ${data.content.split('\n').join('\n    ')}\n  size: ${data.size}\n  lastModified: ${data.lastModified}\n`
         ).join('\n');
-        filename = `vault-secrets-${timestamp}.yaml`;
+        filename = `${prefix}-${timestamp}.yaml`;
         mimeType = 'text/yaml';
         break;
       case 'csv':
         const csvRows = [
           ['Filename', 'Size', 'Last Modified', 'Content Preview'],
-          ...Object.entries(secrets).map(([name, data]) => [
+          ...Object.entries(exported).map(([name, data]) => [
             name,
             data.size,
             formatTimestamp(data.lastModified),
@@ -348,7 +783,7 @@ function App() {
           ])
         ];
         content = csvRows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-        filename = `vault-secrets-${timestamp}.csv`;
+        filename = `${prefix}-${timestamp}.csv`;
         mimeType = 'text/csv';
         break;
     }
@@ -365,7 +800,7 @@ function App() {
 
     addNotification({
       type: 'success',
-      message: `Exported ${Object.keys(secrets).length} secrets as ${format.toUpperCase()}`,
+      message: `Exported ${Object.keys(exported).length} secrets as ${format.toUpperCase()}`,
       timestamp: new Date().toISOString()
     });
   };
@@ -432,6 +867,22 @@ function App() {
     setDarkMode(!darkMode);
   };
 
+  const logout = () => {
+    window.dispatchEvent(new Event('auth-required'));
+  };
+
+  if (authMode && authMode !== 'none' && !authenticated) {
+    return (
+      <LoginScreen
+        mode={authMode}
+        onLogin={(me) => {
+          setIdentity(me);
+          setAuthenticated(true);
+        }}
+      />
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
       {/* Header */}
@@ -470,6 +921,30 @@ function App() {
                 >
                   🔄 How It Works
                 </button>
+                {webhookHooks.length > 0 && (
+                  <button
+                    onClick={() => setActiveTab('webhooks')}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
+                      activeTab === 'webhooks'
+                        ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                        : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                    }`}
+                  >
+                    🔔 Webhooks
+                  </button>
+                )}
+                {identity?.permissions?.includes('audit') && (
+                  <button
+                    onClick={() => setActiveTab('audit')}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
+                      activeTab === 'audit'
+                        ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                        : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                    }`}
+                  >
+                    🧾 Audit
+                  </button>
+                )}
               </div>
               
               {/* Search Bar - only show on secrets tab */}
@@ -519,9 +994,19 @@ function App() {
                   <button
                     onClick={() => {
                       console.log('🔄 Manual refresh triggered');
-                      // Use WebSocket for force refresh if connected
-                      if (connected && window.socketInstance) {
-                        window.socketInstance.emit('force-refresh');
+                      // Ask the server to re-read the secrets if connected and allowed to;
+                      // forced refreshes are rate limited, so the reply may be a rejection
+                      if (connected && window.socketInstance && identity?.permissions?.includes('refresh')) {
+                        window.socketInstance.emit('force-refresh', { target: currentTargetId }, (reply = {}) => {
+                          if (reply.error) {
+                            const retryIn = reply.retryAfterMs ? ` (retry in ${Math.ceil(reply.retryAfterMs / 1000)}s)` : '';
+                            addNotification({
+                              type: 'error',
+                              message: `Refresh rejected: ${reply.error}${retryIn}`,
+                              timestamp: new Date().toISOString()
+                            });
+                          }
+                        });
                         addNotification({
                           type: 'info',
                           message: 'Force refresh requested...',
@@ -529,12 +1014,10 @@ function App() {
                         });
                       } else {
                         // Fallback to HTTP API
-                        fetch('/api/secrets')
+                        apiFetch(`/api/secrets?${targetQuery}`)
                           .then(res => res.json())
                           .then(data => {
-                            const newSecrets = { ...data.secrets };
-                            setSecrets(newSecrets);
-                            setFilteredSecrets(newSecrets);
+                            applySecretsUpdate(data);
                             setLastUpdate(data.timestamp);
                             addNotification({
                               type: 'success',
@@ -558,12 +1041,14 @@ function App() {
                   </button>
 
                   {/* Export Button */}
-                  <button
-                    onClick={() => setShowExportModal(true)}
-                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 transition-colors duration-200"
-                  >
-                    📤 Export
-                  </button>
+                  {identity?.permissions?.includes('export') && (
+                    <button
+                      onClick={() => setShowExportModal(true)}
+                      className="px-3 py-2 rounded-md text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 transition-colors duration-200"
+                    >
+                      📤 Export
+                    </button>
+                  )}
                 </>
               )}
 
@@ -578,12 +1063,28 @@ function App() {
                 </span>
               </button>
               
+              {authMode && authMode !== 'none' && identity && (
+                <div className="flex items-center space-x-2">
+                  <span className="text-sm text-gray-600 dark:text-gray-300 hidden md:inline">{identity.name}</span>
+                  <button
+                    onClick={logout}
+                    className="px-3 py-2 rounded-md text-sm font-medium text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300 transition-colors duration-200"
+                  >
+                    Sign out
+                  </button>
+                </div>
+              )}
+              
               <div className="flex items-center space-x-2">
                 <div className={`w-3 h-3 rounded-full ${connected ? 'bg-green-500' : 'bg-red-500'}`}>
                   {connected && <div className="w-3 h-3 rounded-full bg-green-500 pulse-ring"></div>}
                 </div>
-                <span className={`text-sm font-medium ${connected ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                <span
+                  className={`text-sm font-medium ${connected ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}
+                  title={transport === 'sse' ? 'Server-Sent Events (socket.io unavailable)' : 'socket.io'}
+                >
                   {connected ? 'Connected' : 'Disconnected'}
+                  {transport === 'sse' && ' (SSE)'}
                 </span>
               </div>
             </div>
@@ -612,6 +1113,30 @@ function App() {
               >
                 🔄 How It Works
               </button>
+              {webhookHooks.length > 0 && (
+                <button
+                  onClick={() => setActiveTab('webhooks')}
+                  className={`flex-1 px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
+                    activeTab === 'webhooks'
+                      ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                      : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                  }`}
+                >
+                  🔔 Webhooks
+                </button>
+              )}
+              {identity?.permissions?.includes('audit') && (
+                <button
+                  onClick={() => setActiveTab('audit')}
+                  className={`flex-1 px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
+                    activeTab === 'audit'
+                      ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                      : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                  }`}
+                >
+                  🧾 Audit
+                </button>
+              )}
             </div>
           </div>
 
@@ -685,6 +1210,48 @@ function App() {
                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
                   Secrets are automatically synced from Vault via Vault Secrets Operator
                 </p>
+                {targets.length > 1 && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {targets.map(target => {
+                      const count = targetState[target.id]?.secretCount ?? Object.keys(secretsByTarget[target.id] || {}).length;
+                      const healthy = targetState[target.id]?.healthy ?? target.sources.every(source => source.healthy);
+                      return (
+                        <button
+                          key={target.id}
+                          onClick={() => setSelectedTarget(target.id)}
+                          className={`px-3 py-1 rounded-full text-xs font-medium transition-colors duration-200 ${
+                            target.id === currentTargetId
+                              ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+                              : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+                          }`}
+                          title={`${target.namespace}/${target.secretName}${healthy ? '' : ' (source unhealthy)'}`}
+                        >
+                          <span className={`inline-block w-2 h-2 rounded-full mr-1 ${healthy ? 'bg-green-500' : 'bg-red-500'}`}></span>
+                          {target.label} ({count})
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+                {currentTarget && (
+                  <p className="text-xs mt-2 text-gray-500 dark:text-gray-400 break-words">
+                    {targets.length > 1 && <span className="font-medium text-gray-700 dark:text-gray-300">{currentTarget.label}: </span>}
+                    {currentTarget.namespace}/{currentTarget.secretName} → {currentTarget.mountPath}
+                    {(targetState[currentTargetId]?.lastSync || currentTarget.lastSync) &&
+                      ` • last sync ${formatTimestamp(targetState[currentTargetId]?.lastSync || currentTarget.lastSync)}`}
+                  </p>
+                )}
+                {vaultStatus && currentTargetId === vaultTarget && (
+                  <p className={`text-xs mt-1 ${vaultStatus.error ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+                    🏦 Polling Vault {vaultStatus.path}
+                    {vaultStatus.error ? ` — ${vaultStatus.error}` : vaultStatus.lastPoll ? ` — last read ${formatTimestamp(vaultStatus.lastPoll)}` : ''}
+                  </p>
+                )}
+                {Object.keys(vaultSecrets).some(key => !secrets[key]) && (
+                  <p className="text-xs mt-1 text-amber-600 dark:text-amber-400">
+                    In Vault but not mounted yet: {Object.keys(vaultSecrets).filter(key => !secrets[key]).join(', ')}
+                  </p>
+                )}
               </div>
               
               <div className="p-6">
@@ -700,6 +1267,34 @@ function App() {
                   </div>
                 )}
                 
+                {transport === 'sse' && watchedSecrets.length > 0 && (
+                  <div className="mb-4 p-3 bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md text-sm text-gray-600 dark:text-gray-300">
+                    ★ Watching is not available over Server-Sent Events - every secret updates live until socket.io is back
+                  </div>
+                )}
+
+                {transport === 'websocket' && watchedSecrets.length > 0 && (
+                  <div className="mb-4 p-3 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-md text-sm text-amber-800 dark:text-amber-200">
+                    <div className="flex justify-between items-start">
+                      <span>
+                        ★ Live updates only for watched secrets - other cards refresh on reconnect or manual refresh
+                      </span>
+                      <button onClick={unwatchAll} className="ml-4 flex-shrink-0 text-xs font-medium underline hover:no-underline">
+                        Watch all
+                      </button>
+                    </div>
+                    <div className="mt-1 text-xs text-amber-700 dark:text-amber-300">
+                      {(subscriptionState || watchedSecrets.map(pattern => ({ pattern }))).map(({ pattern, matches, lastChange }) => (
+                        <span key={pattern} className="mr-3 inline-block">
+                          {pattern}
+                          {matches === 0 && ' (no matching file)'}
+                          {lastChange && ` • changed ${formatTimestamp(lastChange)}`}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {Object.keys(filteredSecrets).length === 0 ? (
                   <div className="text-center py-12">
                     <div className="text-gray-400 dark:text-gray-500 text-6xl mb-4">
@@ -711,7 +1306,7 @@ function App() {
                     <p className="text-gray-500 dark:text-gray-400">
                       {searchQuery 
                         ? `Try adjusting your search term "${searchQuery}"`
-                        : 'Waiting for Vault Secrets Operator to sync secrets to /secrets directory...'
+                        : `Waiting for Vault Secrets Operator to sync secrets to ${currentTarget?.mountPath || '/secrets'}...`
                       }
                     </p>
                   </div>
@@ -720,7 +1315,10 @@ function App() {
                     {Object.entries(filteredSecrets)
                       .sort(([, a], [, b]) => new Date(b.lastModified) - new Date(a.lastModified))
                       .map(([filename, data]) => {
-                      const formatInfo = validateSecretFormat(data.content, filename);
+                      const content = displayContent(filename, data);
+                      const isRevealed = Boolean(revealed[revealKeyFor(filename)]);
+                      const isBinary = data.encoding === 'base64';
+                      const formatInfo = isBinary ? binaryFormatInfo(data.contentType) : validateSecretFormat(content, filename);
                       return (
                         <div key={filename} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4 fade-in bg-white dark:bg-gray-750 hover:shadow-md transition-shadow duration-200">
                           <div className="flex justify-between items-start mb-2">
@@ -734,20 +1332,140 @@ function App() {
                               }`}>
                                 {formatInfo.format}
                               </span>
+                              <ExpiryBadge expiry={data.expiry} now={now} />
+                              {data.truncated && (
+                                <span
+                                  className="ml-2 px-2 py-1 text-xs rounded-full flex-shrink-0 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300"
+                                  title="Larger than the configured size limit - only the first bytes are shown"
+                                >
+                                  truncated
+                                </span>
+                              )}
                             </h3>
-                            <div className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
-                              {data.size} bytes
+                            <div className="flex items-center space-x-2 flex-shrink-0">
+                              {transport === 'websocket' && (
+                                <button
+                                  onClick={() => toggleWatch(filename)}
+                                  className={`px-2 py-1 rounded text-xs font-medium transition-colors duration-200 ${
+                                    watchedSecrets.includes(filename)
+                                      ? 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+                                      : 'text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+                                  }`}
+                                  title={watchedSecrets.includes(filename) ? 'Stop watching this secret' : 'Watch this secret: only watched secrets update live'}
+                                >
+                                  {watchedSecrets.includes(filename) ? '★ Watching' : '☆ Watch'}
+                                </button>
+                              )}
+                              {data.masked && identity?.permissions?.includes('reveal') && (
+                                <button
+                                  onClick={() => isRevealed ? hideSecret(revealKeyFor(filename)) : revealSecret(filename)}
+                                  className="px-2 py-1 rounded text-xs font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors duration-200"
+                                  title={isRevealed ? 'Hide value' : 'Reveal full value (logged)'}
+                                >
+                                  {isRevealed ? '🙈 Hide' : '👁️ Reveal'}
+                                </button>
+                              )}
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                {data.size} bytes
+                              </div>
                             </div>
                           </div>
                           
-                          <div className="bg-gray-50 dark:bg-gray-800 rounded p-3 mt-2 overflow-hidden">
-                            <code className={`text-sm block whitespace-pre-wrap break-words overflow-x-auto max-w-full ${data.error ? 'text-red-600 dark:text-red-400' : 'text-gray-800 dark:text-gray-200'}`}>
-                              {data.content}
-                            </code>
+                          <div className="flex space-x-1 mt-2">
+                            {(data.structure ? ['value', 'keys', 'history'] : ['value', 'history']).map(tab => (
+                              <button
+                                key={tab}
+                                onClick={() => setCardTabs(prev => ({ ...prev, [filename]: tab }))}
+                                className={`px-2 py-1 rounded text-xs font-medium transition-colors duration-200 ${
+                                  (cardTabs[filename] || 'value') === tab
+                                    ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300'
+                                    : 'text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300'
+                                }`}
+                              >
+                                {tab === 'value' ? 'Value' : tab === 'keys' ? '🌳 Keys' : '🕘 History'}
+                              </button>
+                            ))}
                           </div>
                           
+                          {(cardTabs[filename] || 'value') === 'history' ? (
+                            <div className="mt-2">
+                              <SecretHistory name={filename} target={currentTargetId} formatTimestamp={formatTimestamp} refreshKey={data.lastModified} />
+                            </div>
+                          ) : cardTabs[filename] === 'keys' && data.structure ? (
+                            <div className="bg-gray-50 dark:bg-gray-800 rounded p-3 mt-2 overflow-x-auto">
+                              <StructuredTree structure={data.structure} keyChanges={keyChangesByFile[`${currentTargetId}/${filename}`]} />
+                            </div>
+                          ) : (
+                            <div className="bg-gray-50 dark:bg-gray-800 rounded p-3 mt-2 overflow-hidden">
+                              {isBinary && !data.error && !(data.masked && !isRevealed) ? (
+                                <BinaryView name={filename} content={content} contentType={data.contentType} size={data.size} truncated={data.truncated} />
+                              ) : (
+                                <code className={`text-sm block whitespace-pre-wrap break-words overflow-x-auto max-w-full ${data.error ? 'text-red-600 dark:text-red-400' : data.masked && !isRevealed ? 'text-gray-500 dark:text-gray-400' : 'text-gray-800 dark:text-gray-200'}`}>
+                                  {content}
+                                </code>
+                              )}
+                              {data.masked && !isRevealed && (
+                                <div className="text-xs text-gray-400 dark:text-gray-500 mt-2 font-mono">
+                                  {isBinary ? `binary, ${data.contentType}` : `${data.length} chars`} • hmac:{data.fingerprint}
+                                </div>
+                              )}
+                              {data.truncated && !isBinary && (
+                                <div className="text-xs text-amber-600 dark:text-amber-400 mt-2">
+                                  Only the beginning of this {data.size}-byte file is shown (size limit)
+                                </div>
+                              )}
+                              {isRevealed && (
+                                <div className="text-xs text-amber-600 dark:text-amber-400 mt-2">
+                                  Revealed until {formatTimestamp(revealed[revealKeyFor(filename)].expiresAt)}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                          
+                          {/* Vault-side value, read directly from KV-v2 */}
+                          {vaultSecrets[filename] && (() => {
+                            const vaultData = vaultSecrets[filename];
+                            const vaultRevealKey = revealKeyFor(filename, 'vault');
+                            const vaultRevealed = Boolean(revealed[vaultRevealKey]);
+                            const inSync = vaultData.fingerprint
+                              ? vaultData.fingerprint === data.fingerprint
+                              : vaultData.content === data.content;
+                            return (
+                              <div className="mt-2 border border-dashed border-gray-300 dark:border-gray-600 rounded p-3">
+                                <div className="flex justify-between items-center text-xs mb-1">
+                                  <span className="text-gray-600 dark:text-gray-300">
+                                    🏦 Vault {vaultData.vault.path} v{vaultData.vault.version}
+                                  </span>
+                                  <div className="flex items-center space-x-2">
+                                    {vaultData.masked && identity?.permissions?.includes('reveal') && (
+                                      <button
+                                        onClick={() => vaultRevealed ? hideSecret(vaultRevealKey) : revealSecret(filename, 'vault')}
+                                        className="text-blue-600 dark:text-blue-400 hover:underline"
+                                      >
+                                        {vaultRevealed ? 'Hide' : 'Reveal'}
+                                      </button>
+                                    )}
+                                    <span className={`px-2 py-0.5 rounded-full ${
+                                      inSync
+                                        ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+                                        : 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'
+                                    }`}>
+                                      {inSync ? '✓ in sync' : '⏳ mount pending'}
+                                    </span>
+                                  </div>
+                                </div>
+                                <code className="text-xs block whitespace-pre-wrap break-words text-gray-700 dark:text-gray-300">
+                                  {revealed[vaultRevealKey]?.content ?? vaultData.content}
+                                </code>
+                              </div>
+                            );
+                          })()}
+                          
                           <div className="flex justify-between items-center text-xs text-gray-400 dark:text-gray-500 mt-2">
-                            <span>Last modified: {formatTimestamp(data.lastModified)}</span>
+                            <span>
+                              Last modified: {formatTimestamp(data.lastModified)}
+                              {data.origin && <span className="ml-2">• from {data.origin}</span>}
+                            </span>
                             {selectedSecret === filename && (
                               <button
                                 onClick={() => setSelectedSecret(null)}
@@ -791,17 +1509,41 @@ function App() {
                         </div>
                         <div className="flex-1 min-w-0">
                           <div className="text-sm text-gray-900 dark:text-white">
+                            {entry.target && targets.length > 1 && (
+                              <span className="mr-1 px-1.5 py-0.5 text-xs rounded bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                                {targets.find(t => t.id === entry.target)?.label || entry.target}
+                              </span>
+                            )}
                             <span className="font-medium break-words">{entry.file}</span>{' '}
                             <span className={`${getActionColor(entry.action).split(' ')[0]} font-medium`}>
                               {getActionDescription(entry.action)}
                             </span>
                           </div>
+                          {entry.files && entry.files.length > 0 && (
+                            <div className="text-xs text-gray-600 dark:text-gray-300 mt-1 break-words">
+                              {entry.files.join(', ')}
+                            </div>
+                          )}
+                          {entry.keyChanges && Object.entries(entry.keyChanges).map(([file, changes]) => (
+                            <div key={file} className="text-xs text-gray-500 dark:text-gray-400 mt-0.5 break-words font-mono">
+                              {file}: {describeKeyChanges(changes)}
+                            </div>
+                          ))}
                           <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                            {formatTimestamp(entry.timestamp)} • {entry.secretCount} total secret{entry.secretCount !== 1 ? 's' : ''}
+                            {formatTimestamp(entry.timestamp)}
                           </div>
                         </div>
                       </div>
                     ))}
+                    {activityHasMore && (
+                      <button
+                        onClick={loadMoreActivity}
+                        disabled={loadingMoreActivity}
+                        className="w-full mt-2 px-3 py-2 rounded-md text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 disabled:opacity-50 transition-colors duration-200"
+                      >
+                        {loadingMoreActivity ? 'Loading...' : 'Load more'}
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -828,7 +1570,7 @@ function App() {
                 </div>
                 <div className="flex items-center space-x-2">
                   <span className="text-blue-500 dark:text-blue-400 font-mono text-xs">4.</span>
-                  <span>kubectl monitoring detects resourceVersion change</span>
+                  <span>Kubernetes API watch detects resourceVersion change</span>
                 </div>
                 <div className="flex items-center space-x-2">
                   <span className="text-blue-500 dark:text-blue-400 font-mono text-xs">5.</span>
@@ -885,9 +1627,25 @@ function App() {
             </div>
           </div>
         </div>
+        ) : activeTab === 'webhooks' ? (
+          // WEBHOOKS TAB CONTENT
+          <WebhookDeliveries
+            hooks={webhookHooks}
+            deliveries={webhookDeliveries}
+            hasMore={webhookHasMore}
+            loadingMore={loadingMoreDeliveries}
+            onLoadMore={loadMoreDeliveries}
+            formatTimestamp={formatTimestamp}
+          />
+        ) : activeTab === 'audit' ? (
+          // AUDIT TAB CONTENT
+          <AuditLog formatTimestamp={formatTimestamp} />
         ) : (
           // WORKFLOW TAB CONTENT
-          <WorkflowDiagram />
+          <WorkflowDiagram
+            propagation={propagation.filter(change => change.target === currentTargetId)}
+            stages={propagationStages}
+          />
         )}
       </main>
 
@@ -965,7 +1723,7 @@ function App() {
                     </h3>
                     <div className="mt-2">
                       <p className="text-sm text-gray-500 dark:text-gray-400">
-                        Choose a format to export all {Object.keys(secrets).length} secrets.
+                        Choose a format to export the secrets you are allowed to export. Exports contain full values and are logged.
                       </p>
                     </div>
                   </div>
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './api';
+
+const ACTION_STYLES = {
+  read: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+  reveal: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+  export: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+  'force-refresh': 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300',
+  'audit-search': 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300'
+};
+
+const EMPTY_FILTERS = { action: '', q: '', file: '', since: '', until: '' };
+
+const inputClass = 'px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const fetchJson = (url) => apiFetch(url).then(async res => {
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+});
+
+// Searchable view of the access audit trail (who read, revealed or exported which secrets)
+export default function AuditLog({ formatTimestamp }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [actions, setActions] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [verification, setVerification] = useState(null);
+
+  const queryString = (cursor) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(applied)) {
+      if (!value) continue;
+      // datetime-local inputs are local time without a zone
+      params.set(key, key === 'since' || key === 'until' ? new Date(value).toISOString() : value);
+    }
+    if (cursor !== undefined) params.set('cursor', cursor);
+    return params.toString();
+  };
+
+  const load = (cursor) => {
+    setLoading(true);
+    fetchJson(`/api/audit?${queryString(cursor)}`)
+      .then(data => {
+        setActions(data.actions || []);
+        setEntries(current => cursor !== undefined ? [...current, ...data.entries] : data.entries);
+        setTotal(data.total);
+        setNextCursor(data.hasMore ? data.nextCursor : null);
+        setError(null);
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    load();
+  }, [applied]);
+
+  const verify = () => {
+    setVerification({ checking: true });
+    fetchJson('/api/audit/verify')
+      .then(data => setVerification(data))
+      .catch(err => setVerification({ error: err.message }));
+  };
+
+  const setFilter = (key) => (event) => setFilters(current => ({ ...current, [key]: event.target.value }));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow transition-colors duration-200">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 flex items-start justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Audit Trail</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Every read, reveal, export and forced refresh, hash-chained so edits to the log are detectable
+          </p>
+        </div>
+        <div className="flex-shrink-0 text-right">
+          <button
+            onClick={verify}
+            disabled={verification?.checking}
+            className="px-3 py-1 text-sm rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 transition-colors duration-200"
+          >
+            {verification?.checking ? 'Verifying...' : '🔗 Verify chain'}
+          </button>
+          {verification && !verification.checking && (
+            <div className={`text-xs mt-1 ${verification.valid ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+              {verification.error
+                ? verification.error
+                : verification.valid
+                  ? `✓ ${verification.entries} entries intact`
+                  : `✗ Broken at line ${verification.brokenAt.line} (${verification.brokenAt.reason})`}
+              {verification.persistent === false && ' • not persisted'}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <form
+        onSubmit={(event) => {
+          event.preventDefault();
+          setApplied(filters);
+        }}
+        className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 grid grid-cols-1 md:grid-cols-6 gap-3"
+      >
+        <select value={filters.action} onChange={setFilter('action')} className={inputClass}>
+          <option value="">All actions</option>
+          {actions.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <input value={filters.q} onChange={setFilter('q')} placeholder="User, IP or user agent" className={inputClass} />
+        <input value={filters.file} onChange={setFilter('file')} placeholder="Secret file" className={inputClass} />
+        <input type="datetime-local" value={filters.since} onChange={setFilter('since')} title="Since" className={inputClass} />
+        <input type="datetime-local" value={filters.until} onChange={setFilter('until')} title="Until" className={inputClass} />
+        <div className="flex gap-2">
+          <button type="submit" className="flex-1 px-3 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors duration-200">
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setFilters(EMPTY_FILTERS);
+              setApplied(EMPTY_FILTERS);
+            }}
+            className="px-3 py-2 text-sm rounded-md text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-300"
+          >
+            Clear
+          </button>
+        </div>
+      </form>
+
+      <div className="p-6">
+        {error ? (
+          <p className="text-sm text-red-600 dark:text-red-400 text-center py-8">{error}</p>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            {loading ? 'Loading audit trail...' : 'No matching entries'}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              Showing {entries.length} of {total} matching entr{total !== 1 ? 'ies' : 'y'}, newest first
+            </div>
+            {entries.map(entry => (
+              <div key={entry.seq} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-gray-900 dark:text-white min-w-0">
+                    <span className="font-medium">{entry.subject}</span>
+                    <span className="text-gray-500 dark:text-gray-400 break-words">
+                      {entry.files && entry.files.length > 0 && ` → ${entry.files.join(', ')}`}
+                      {entry.filters && ` → ${Object.entries(entry.filters).map(([key, value]) => `${key}=${value}`).join(' ') || 'all'}`}
+                    </span>
+                    {entry.outcome === 'denied' && (
+                      <span className="ml-2 text-red-600 dark:text-red-400">denied ({entry.reason})</span>
+                    )}
+                  </div>
+                  <span className={`ml-2 flex-shrink-0 px-2 py-0.5 text-xs rounded-full ${ACTION_STYLES[entry.action] || ACTION_STYLES.read}`}>
+                    {entry.action}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 break-words">
+                  #{entry.seq} • {formatTimestamp(entry.timestamp)}
+                  {entry.target && ` • target ${entry.target}`}
+                  {' '}• {entry.transport}{entry.via && ` (${entry.via})`}
+                  {entry.ip && ` • ${entry.ip}`}
+                  {entry.authMethod && ` • ${entry.authMethod}`}
+                </div>
+                {entry.userAgent && (
+                  <div className="text-xs text-gray-400 dark:text-gray-500 mt-1 truncate" title={entry.userAgent}>
+                    {entry.userAgent}
+                  </div>
+                )}
+              </div>
+            ))}
+            {nextCursor !== null && (
+              <button
+                onClick={() => load(nextCursor)}
+                disabled={loading}
+                className="w-full py-2 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Load older entries'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
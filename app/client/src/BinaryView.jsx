@@ -0,0 +1,86 @@
+import React, { useState, useMemo } from 'react';
+
+const BYTES_PER_ROW = 16;
+const PREVIEW_ROWS = 16;
+const MAX_ROWS = 4096; // 64 KiB; anything longer is only available as a download
+
+// Labels for the server's content type hints (see lib/secretContent.js)
+const BINARY_FORMATS = {
+  'application/x-pkcs12': 'PKCS#12',
+  'application/pkix-cert': 'DER Certificate',
+  'application/x-java-keystore': 'Java Keystore',
+  'application/x-java-jce-keystore': 'JCE Keystore',
+  'application/pkcs8': 'DER Key',
+  'application/pgp-encrypted': 'PGP',
+  'application/gzip': 'Gzip',
+  'application/zip': 'Zip',
+  'image/png': 'PNG'
+};
+
+// Format badge of a binary secret, shaped like App's validateSecretFormat result
+export const binaryFormatInfo = (contentType) => ({ valid: true, format: BINARY_FORMATS[contentType] || 'Binary', icon: '📦' });
+
+const decodeBase64 = (content) => Uint8Array.from(atob(content || ''), char => char.charCodeAt(0));
+
+const hex = (value, width) => value.toString(16).padStart(width, '0');
+
+// Classic offset / hex / ASCII dump, one line per 16 bytes
+function hexDump(bytes, rows) {
+  const lines = [];
+  for (let row = 0; row < rows; row++) {
+    const chunk = bytes.subarray(row * BYTES_PER_ROW, (row + 1) * BYTES_PER_ROW);
+    const hexColumn = Array.from(chunk, byte => hex(byte, 2)).join(' ').padEnd(BYTES_PER_ROW * 3 - 1);
+    const ascii = Array.from(chunk, byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('');
+    lines.push(`${hex(row * BYTES_PER_ROW, 8)}  ${hexColumn}  ${ascii}`);
+  }
+  return lines.join('\n');
+}
+
+// Hex view and download of a base64-carried binary secret
+export default function BinaryView({ name, content, contentType, size, truncated }) {
+  const [expanded, setExpanded] = useState(false);
+  const bytes = useMemo(() => decodeBase64(content), [content]);
+  const rows = Math.ceil(bytes.length / BYTES_PER_ROW);
+  const shownRows = Math.min(rows, expanded ? MAX_ROWS : PREVIEW_ROWS);
+
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([bytes], { type: contentType || 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-500 dark:text-gray-400">
+        <span className="font-mono">{contentType} • {size} bytes</span>
+        <button
+          onClick={download}
+          disabled={truncated}
+          className="px-2 py-1 rounded font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/20 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          title={truncated ? 'Only the first bytes of this file were read - a download would be incomplete' : `Download ${name}`}
+        >
+          ⬇ Download
+        </button>
+      </div>
+      <pre className="text-xs font-mono text-gray-800 dark:text-gray-200 overflow-x-auto">
+        {hexDump(bytes, shownRows)}
+      </pre>
+      {rows > PREVIEW_ROWS && (
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-xs text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mt-1"
+        >
+          {expanded ? 'Show less' : `Show ${Math.min(rows, MAX_ROWS) - PREVIEW_ROWS} more rows`}
+        </button>
+      )}
+      {expanded && rows > MAX_ROWS && (
+        <div className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+          Showing the first {MAX_ROWS * BYTES_PER_ROW} bytes - download the file for the rest
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Warning thresholds, most severe first; App notifies when a secret crosses into one
+export const EXPIRY_LEVELS = [
+  { level: 'expired', within: 0, label: 'expired', style: 'bg-red-600 text-white' },
+  { level: 'day', within: DAY, label: 'expires within a day', style: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300' },
+  { level: 'week', within: 7 * DAY, label: 'expires within 7 days', style: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300' },
+  { level: 'month', within: 30 * DAY, label: 'expires within 30 days', style: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-300' }
+];
+const VALID_STYLE = 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300';
+
+// The most severe threshold an expiry time has crossed, or null
+export function expiryLevel(expiresAt, now) {
+  const remaining = new Date(expiresAt).getTime() - now;
+  return [...EXPIRY_LEVELS].reverse().reduce((found, level) => remaining <= level.within ? level : found, null);
+}
+
+export function formatCountdown(ms) {
+  const abs = Math.abs(ms);
+  const text = abs >= DAY ? `${Math.floor(abs / DAY)}d ${Math.floor((abs % DAY) / 3600000)}h`
+    : abs >= 3600000 ? `${Math.floor(abs / 3600000)}h ${Math.floor((abs % 3600000) / 60000)}m`
+    : `${Math.max(1, Math.floor(abs / 60000))}m`;
+  return ms <= 0 ? `expired ${text} ago` : `expires in ${text}`;
+}
+
+// Countdown for a certificate or JWT `expiry` (from the server, see lib/expiry.js)
+export default function ExpiryBadge({ expiry, now }) {
+  if (!expiry?.expiresAt) return null;
+  const level = expiryLevel(expiry.expiresAt, now);
+  const details = expiry.kind === 'certificate'
+    ? [
+        expiry.subject,
+        expiry.subjectAltNames.length > 0 && `SANs: ${expiry.subjectAltNames.join(', ')}`,
+        `Valid ${new Date(expiry.notBefore).toLocaleString()} - ${new Date(expiry.expiresAt).toLocaleString()}`,
+        expiry.chain.length > 1 && `Chain of ${expiry.chain.length} certificates${expiry.chainOrdered ? '' : ' (not in issuer order)'}`
+      ]
+    : [
+        expiry.issuer && `Issuer: ${expiry.issuer}`,
+        expiry.issuedAt && `Issued ${new Date(expiry.issuedAt).toLocaleString()}`,
+        `Expires ${new Date(expiry.expiresAt).toLocaleString()}`
+      ];
+
+  return (
+    <span
+      className={`ml-2 px-2 py-1 text-xs rounded-full flex-shrink-0 ${level ? level.style : VALID_STYLE}`}
+      title={details.filter(Boolean).join('\n')}
+    >
+      ⏳ {formatCountdown(new Date(expiry.expiresAt).getTime() - now)}
+    </span>
+  );
+}
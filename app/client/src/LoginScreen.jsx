@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { authHeaders, setToken } from './api';
+
+// Shown when the server requires a bearer token or OIDC/JWT credential
+export default function LoginScreen({ mode, onLogin }) {
+  const [credential, setCredential] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const token = credential.trim();
+    if (!token) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/auth/me', { headers: authHeaders(token) });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      setToken(token);
+      onLogin(data);
+    } catch (err) {
+      console.error('Login failed:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 px-4 transition-colors duration-200">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow p-8 space-y-6"
+      >
+        <div className="flex items-center space-x-2">
+          <div className="w-8 h-8 bg-vault-yellow rounded flex items-center justify-center">
+            <span className="text-vault-dark font-bold text-sm">V</span>
+          </div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Vault Secrets Demo</h1>
+        </div>
+
+        <div>
+          <label htmlFor="credential" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            {mode === 'jwt' ? 'OIDC / JWT access token' : 'API token'}
+          </label>
+          <textarea
+            id="credential"
+            rows={mode === 'jwt' ? 4 : 1}
+            value={credential}
+            onChange={(e) => setCredential(e.target.value)}
+            placeholder={mode === 'jwt' ? 'eyJhbGciOi...' : 'Paste your bearer token'}
+            className="mt-2 block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+
+        {error && (
+          <div className="p-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md text-sm text-red-700 dark:text-red-300">
+            {error}
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={submitting || !credential.trim()}
+          className="w-full px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors duration-200"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
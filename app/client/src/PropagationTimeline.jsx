@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+
+// Display order matches the server's STAGES (lib/propagationStore.js)
+const STAGE_INFO = {
+  vaultUpdated: { icon: '🏦', label: 'Vault write', hint: 'KV metadata updated_time' },
+  secretObserved: { icon: '☸️', label: 'Secret watched', hint: 'API watch saw the new resourceVersion' },
+  fileModified: { icon: '📁', label: 'File updated', hint: 'mtime of the mounted file' },
+  serverEmitted: { icon: '📡', label: 'Server emit', hint: 'secrets-update sent' },
+  clientRendered: { icon: '🖥️', label: 'Browser render', hint: 'first client render acknowledged' }
+};
+
+const formatDuration = (ms) => {
+  const sign = ms < 0 ? '-' : '';
+  const abs = Math.abs(ms);
+  return abs < 1000 ? `${sign}${abs}ms` : `${sign}${(abs / 1000).toFixed(1)}s`;
+};
+
+// Observed stages in pipeline order with the time since the previous observed stage
+function observedStages(change, stages) {
+  let previous = null;
+  return stages.map(stage => {
+    const time = change.stages[stage] ? new Date(change.stages[stage]).getTime() : null;
+    const delta = time !== null && previous !== null ? time - previous : null;
+    if (time !== null) previous = time;
+    return { stage, time, delta };
+  });
+}
+
+function totalDuration(change, stages) {
+  const times = stages.map(stage => change.stages[stage]).filter(Boolean).map(t => new Date(t).getTime());
+  return times.length > 1 ? times[times.length - 1] - times[0] : null;
+}
+
+export default function PropagationTimeline({ changes, stages }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = changes.find(change => change.id === selectedId) || changes[0];
+
+  if (!selected) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 text-center">
+        No changes measured yet. Update a secret in Vault and watch each stage get timed here.
+      </p>
+    );
+  }
+
+  const rows = observedStages(selected, stages);
+  const observedTimes = rows.filter(row => row.time !== null).map(row => row.time);
+  const start = Math.min(...observedTimes);
+  const span = Math.max(...observedTimes) - start || 1;
+  const total = totalDuration(selected, stages);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg p-6 shadow-md">
+        <div className="flex justify-between items-start mb-4">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white break-words">{selected.files.join(', ')}</h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {new Date(selected.createdAt).toLocaleString()} • via {selected.source}
+              {selected.resourceVersion && ` • resourceVersion ${selected.resourceVersion}`}
+            </p>
+          </div>
+          {total !== null && (
+            <span className="ml-4 flex-shrink-0 text-sm font-mono font-bold bg-amber-100 dark:bg-amber-900 px-2 py-1 rounded text-amber-800 dark:text-amber-200">
+              {formatDuration(total)}
+            </span>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          {rows.map(({ stage, time, delta }) => (
+            <div key={stage}>
+              <div className="flex justify-between items-center text-sm">
+                <span className="text-gray-700 dark:text-gray-300" title={STAGE_INFO[stage]?.hint}>
+                  {STAGE_INFO[stage]?.icon} {STAGE_INFO[stage]?.label || stage}
+                </span>
+                <span className="font-mono text-xs text-gray-500 dark:text-gray-400">
+                  {time === null ? 'not observed' : delta === null ? new Date(time).toLocaleTimeString() : `+${formatDuration(delta)}`}
+                </span>
+              </div>
+              <div className="h-2 mt-1 bg-gray-100 dark:bg-gray-700 rounded-full relative">
+                {time !== null && (
+                  <div
+                    className="absolute top-0 h-2 w-2 rounded-full bg-blue-500"
+                    style={{ left: `calc(${((time - start) / span) * 100}% - ${((time - start) / span) * 0.5}rem)` }}
+                  ></div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+          Vault and file timestamps come from other clocks, so small negative steps are clock skew. Stages the
+          server cannot see with the configured sources are shown as not observed.
+        </p>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-md">
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Recent changes</h3>
+        <div className="space-y-2">
+          {changes.slice(0, 10).map(change => {
+            const duration = totalDuration(change, stages);
+            return (
+              <button
+                key={change.id}
+                onClick={() => setSelectedId(change.id)}
+                className={`w-full text-left px-3 py-2 rounded-md text-xs transition-colors duration-200 ${
+                  change.id === selected.id
+                    ? 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300'
+                    : 'text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                <div className="flex justify-between">
+                  <span className="truncate mr-2">{change.files.join(', ')}</span>
+                  <span className="font-mono flex-shrink-0">{duration !== null ? formatDuration(duration) : '—'}</span>
+                </div>
+                <div className="text-gray-400 dark:text-gray-500">{new Date(change.createdAt).toLocaleTimeString()}</div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './api';
+
+// Version history and redacted diffs for a single secret file
+export default function SecretHistory({ name, target, formatTimestamp, refreshKey }) {
+  const [versions, setVersions] = useState([]);
+  const [encryptedAtRest, setEncryptedAtRest] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Reload whenever the secret changes (refreshKey tracks lastModified)
+  useEffect(() => {
+    setLoading(true);
+    apiFetch(`/api/secrets/${encodeURIComponent(name)}/history?target=${encodeURIComponent(target)}`)
+      .then(res => res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`)))
+      .then(data => {
+        setVersions(data.versions || []);
+        setEncryptedAtRest(data.encryptedAtRest);
+        setError(null);
+      })
+      .catch(err => {
+        console.error(`Failed to fetch history for ${name}:`, err);
+        setError('No history recorded yet');
+      })
+      .finally(() => setLoading(false));
+  }, [name, target, refreshKey]);
+
+  useEffect(() => {
+    if (selectedVersion === null) {
+      setDiff(null);
+      return;
+    }
+
+    apiFetch(`/api/secrets/${encodeURIComponent(name)}/diff?to=${selectedVersion}&target=${encodeURIComponent(target)}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        return data;
+      })
+      .then(data => setDiff(data))
+      .catch(err => setDiff({ error: err.message }));
+  }, [name, target, selectedVersion]);
+
+  if (loading) {
+    return <div className="text-sm text-gray-500 dark:text-gray-400 p-3">Loading history...</div>;
+  }
+
+  if (error) {
+    return <div className="text-sm text-gray-500 dark:text-gray-400 p-3">{error}</div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="text-xs text-gray-500 dark:text-gray-400">
+        {versions.length} version{versions.length !== 1 ? 's' : ''} kept •{' '}
+        {encryptedAtRest ? '🔒 encrypted at rest' : 'hashes only at rest'}
+      </div>
+
+      <div className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded">
+        {versions.map(version => (
+          <div key={version.version}>
+            <button
+              onClick={() => setSelectedVersion(selectedVersion === version.version ? null : version.version)}
+              className="w-full flex justify-between items-center px-3 py-2 text-left text-xs hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors duration-200"
+            >
+              <span className="font-medium text-gray-900 dark:text-white">
+                v{version.version}
+                {version.deleted && <span className="ml-2 text-red-600 dark:text-red-400">deleted</span>}
+              </span>
+              <span className="font-mono text-gray-500 dark:text-gray-400">
+                {version.fingerprint || '—'}
+              </span>
+              <span className="text-gray-500 dark:text-gray-400">{formatTimestamp(version.timestamp)}</span>
+            </button>
+
+            {selectedVersion === version.version && diff && (
+              <div className="px-3 pb-3">
+                {diff.error ? (
+                  <div className="text-xs text-red-600 dark:text-red-400">{diff.error}</div>
+                ) : (
+                  <>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                      {diff.from ? `v${diff.from.version} → v${diff.to.version}` : `Initial version v${diff.to.version}`}
+                      {' '}(+{diff.added} / -{diff.removed} lines)
+                    </div>
+                    <pre className="text-xs bg-gray-50 dark:bg-gray-800 rounded p-2 overflow-x-auto">
+                      {diff.lines.map((line, index) => (
+                        <div
+                          key={index}
+                          className={
+                            line.type === 'added' ? 'text-green-700 dark:text-green-400' :
+                            line.type === 'removed' ? 'text-red-700 dark:text-red-400' :
+                            'text-gray-500 dark:text-gray-400'
+                          }
+                        >
+                          {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.line}
+                        </div>
+                      ))}
+                    </pre>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
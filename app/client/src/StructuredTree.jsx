@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+
+const CHANGE_STYLES = {
+  added: 'bg-green-100 dark:bg-green-900/30',
+  changed: 'bg-amber-100 dark:bg-amber-900/30'
+};
+
+const isTree = (value) => value !== null && typeof value === 'object';
+const childPath = (path, key, parent) => Array.isArray(parent) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+function formatLeaf(value) {
+  if (value === null) return 'null';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function TreeNode({ name, value, path, depth, changes }) {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const change = changes[path];
+  const highlight = change ? CHANGE_STYLES[change] || '' : '';
+
+  if (!isTree(value)) {
+    return (
+      <div className={`flex rounded px-1 ${highlight}`} title={change && `Key ${change} in the last update`}>
+        <span className="text-blue-700 dark:text-blue-300 flex-shrink-0">{name}</span>
+        <span className="text-gray-400 mx-1">:</span>
+        <span className="text-gray-700 dark:text-gray-300 break-all">{formatLeaf(value)}</span>
+      </div>
+    );
+  }
+
+  const entries = Object.entries(value);
+  return (
+    <div>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className={`flex items-center rounded px-1 text-left hover:bg-gray-100 dark:hover:bg-gray-700 ${highlight}`}
+      >
+        <span className="text-gray-400 w-3 flex-shrink-0">{expanded ? '▾' : '▸'}</span>
+        <span className="text-blue-700 dark:text-blue-300">{name}</span>
+        <span className="text-gray-400 ml-1">
+          {Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`}
+        </span>
+      </button>
+      {expanded && (
+        <div className="ml-4 border-l border-gray-200 dark:border-gray-700 pl-2">
+          {entries.map(([key, child]) => (
+            <TreeNode key={key} name={key} value={child} path={childPath(path, key, value)} depth={depth + 1} changes={changes} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Collapsible key tree of a JSON, YAML or .env secret (`structure` from the server, values
+// masked unless masking is off). Keys changed by the latest update are highlighted; removed
+// keys are listed below the tree.
+export default function StructuredTree({ structure, keyChanges = [] }) {
+  const changes = Object.fromEntries(keyChanges.map(({ path, change }) => [path, change]));
+  const removed = keyChanges.filter(({ change }) => change === 'removed');
+  return (
+    <div className="text-sm font-mono">
+      <div className="text-xs text-gray-500 dark:text-gray-400 mb-1 font-sans">{structure.format.toUpperCase()} keys</div>
+      {Object.entries(structure.tree).map(([key, value]) => (
+        <TreeNode key={key} name={key} value={value} path={childPath('', key, structure.tree)} depth={0} changes={changes} />
+      ))}
+      {removed.length > 0 && (
+        <div className="mt-2 text-xs text-red-600 dark:text-red-400 font-sans">
+          Removed in the last update: {removed.map(({ path }) => path).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from 'react';
+
+const STATUS_STYLES = {
+  delivered: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300',
+  retrying: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300',
+  failed: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300',
+  pending: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+};
+
+// Configured outbound webhooks and their delivery log (kept live by App via socket updates)
+export default function WebhookDeliveries({ hooks, deliveries, hasMore, loadingMore, onLoadMore, formatTimestamp }) {
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow transition-colors duration-200">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Webhooks ({hooks.length})</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+            Notified with file names and change types when secrets change - never values
+          </p>
+        </div>
+        <div className="p-6 space-y-4">
+          {hooks.map(hook => (
+            <div key={hook.id} className="text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-900 dark:text-white">{hook.id}</span>
+                <span className="px-2 py-0.5 text-xs rounded-full bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-300">
+                  {hook.format}
+                </span>
+              </div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 break-words">
+                {hook.host} • files {hook.files.join(', ')} • {hook.events.join('/')}
+                {hook.targets && ` • targets ${hook.targets.join(', ')}`}
+                {hook.signed && ' • 🔏 signed'}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow transition-colors duration-200">
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Delivery Log</h2>
+        </div>
+        <div className="p-6">
+          {deliveries.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No deliveries yet</p>
+          ) : (
+            <div className="space-y-3">
+              {deliveries.map(delivery => (
+                <div key={delivery.id} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3 fade-in">
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm text-gray-900 dark:text-white min-w-0">
+                      <span className="font-medium">{delivery.hookId}</span>
+                      <span className="text-gray-500 dark:text-gray-400 break-words">
+                        {' '}← {delivery.changes.map(({ file, change }) => `${file} (${change})`).join(', ')}
+                      </span>
+                    </div>
+                    <span className={`ml-2 flex-shrink-0 px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[delivery.status] || STATUS_STYLES.pending}`}>
+                      {delivery.status}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    {formatTimestamp(delivery.timestamp)} • target {delivery.target} • {delivery.attempts} attempt{delivery.attempts !== 1 ? 's' : ''}
+                    {delivery.responseStatus && ` • HTTP ${delivery.responseStatus}`}
+                    {delivery.durationMs !== undefined && ` • ${delivery.durationMs}ms`}
+                  </div>
+                  {delivery.error && (
+                    <div className="text-xs text-red-600 dark:text-red-400 mt-1 break-words">
+                      {delivery.error}
+                      {delivery.nextAttemptAt && ` - next attempt ${formatTimestamp(delivery.nextAttemptAt)}`}
+                    </div>
+                  )}
+                </div>
+              ))}
+              {hasMore && (
+                <button
+                  onClick={onLoadMore}
+                  disabled={loadingMore}
+                  className="w-full py-2 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 disabled:opacity-50"
+                >
+                  {loadingMore ? 'Loading...' : 'Load older deliveries'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
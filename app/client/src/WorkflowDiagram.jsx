@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
+import PropagationTimeline from './PropagationTimeline';
 
-export default function WorkflowDiagram() {
+export default function WorkflowDiagram({ propagation = [], stages = [] }) {
   const [selectedStep, setSelectedStep] = useState(null);
   const [showCode, setShowCode] = useState({});
 
@@ -247,27 +248,26 @@ spec:
       title: 'React App',
       subtitle: 'Live Updates',
       icon: '⚛️',
-      description: 'Node.js app uses kubectl monitoring + Chokidar fallback and pushes updates via WebSocket',
-      details: 'The Node.js server primarily uses kubectl to monitor Kubernetes secret changes in real-time, with Chokidar filesystem watching as an intelligent fallback. When changes occur, it reads secrets from the mounted directory (handling Kubernetes projected volumes and symlinks) and broadcasts updates to connected React clients via WebSocket.',
+      description: 'Node.js app watches the Kubernetes API + Chokidar fallback and pushes updates via WebSocket',
+      details: 'The Node.js server primarily watches the Secret through the Kubernetes API in real-time, with Chokidar filesystem watching as an intelligent fallback. When changes occur, it reads secrets from the mounted directory (handling Kubernetes projected volumes and symlinks) and broadcasts updates to connected React clients via WebSocket.',
       codeTitle: 'Smart Secret Monitoring & WebSocket Updates',
-      code: `// Primary: kubectl-based Kubernetes secret monitoring (server.js)
-function startKubectlSecretMonitoring() {
-  # Monitor secret resourceVersion changes in real-time
-  kubectlWatcher = spawn('kubectl', [
-    'get', 'secret', K8S_SECRET_NAME, '-n', K8S_NAMESPACE,
-    '-o', 'jsonpath={.metadata.resourceVersion}{\"\\n\"}', '--watch'
-  ]);
-  
-  kubectlWatcher.stdout.on('data', (data) => {
-    const resourceVersion = data.toString().trim();
-    if (resourceVersion !== lastSecretUpdateTime) {
-      # Kubernetes secret changed - trigger debounced update
-      handleKubectlUpdate();
-    }
-  });
+      code: `// Primary: Kubernetes API watch (lib/sources/kubernetesSource.js)
+async function run() {
+  # List once, then watch from the list's resourceVersion with bookmarks
+  if (!watchResourceVersion) watchResourceVersion = await relist();
+  await watchOnce();   # ADDED / MODIFIED / DELETED / BOOKMARK events
+  schedule(0);         # Watch timed out - resume from last resourceVersion
+  # 410 Gone -> re-list; other errors -> exponential backoff
 }
 
-# Fallback: Chokidar filesystem monitoring (when kubectl unavailable)
+function applySecret(secret) {
+  if (secret.metadata.resourceVersion !== secretResourceVersion) {
+    # Kubernetes secret changed - trigger debounced update
+    handleKubernetesUpdate();
+  }
+}
+
+# Fallback: Chokidar filesystem monitoring (when the API is unreachable)
 function startFilesystemMonitoring() {
   const watcher = chokidar.watch(SECRETS_DIR, {
     followSymlinks: true,    # Handle K8s projected volume symlinks
@@ -307,7 +307,7 @@ function readSecretsFromDirectory() {
 }
 
 # Debounced update handling for rapid K8s changes
-function handleKubectlUpdate() {
+function handleKubernetesUpdate() {
   pendingUpdateCount++;
   clearTimeout(updateTimeoutId);
   
@@ -315,10 +315,10 @@ function handleKubectlUpdate() {
     # Try immediate read first (some volumes update quickly)
     const secrets = readSecretsFromDirectory();
     if (contentChanged(secrets)) {
-      emitSecretsUpdate(secrets, 'kubectl-immediate');
+      emitSecretsUpdate(secrets, 'k8s-watch-immediate');
     } else {
       # Use retry mechanism for K8s projected volume delays
-      handleSecretUpdateWithRetry('kubectl-detected', 0);
+      handleSecretUpdateWithRetry('k8s-watch-detected', 0);
     }
   }, 150); # Short debounce window
 }
@@ -327,10 +327,18 @@ function handleKubectlUpdate() {
 useEffect(() => {
   const socket = io();
   socket.on('secrets-update', (data) => {
-    # Force UI re-render with deep cloning for reliable updates
-    setSecrets(prevSecrets => ({ 
-      ...JSON.parse(JSON.stringify(data.secrets))
-    }));
+    if (data.type === 'snapshot') {
+      # Full map on connect and resync
+      setSecrets(data.secrets);
+    } else if (data.seq === lastSeq + 1) {
+      # Delta: only the changed/removed files
+      setSecrets(prev => applyDelta(prev, data.updated, data.removed));
+    } else {
+      # Missed a delta - ask for a fresh snapshot
+      socket.emit('resync', { target: data.target });
+      return;
+    }
+    lastSeq = data.seq;
     setLastUpdate(data.timestamp);
   });
 }, []);`,
@@ -654,6 +662,17 @@ useEffect(() => {
         </div>
       </div>
 
+      {/* Measured Propagation - real timings of recent changes */}
+      <div className="mt-12 bg-gradient-to-r from-blue-50 to-indigo-50 dark:from-blue-900/20 dark:to-indigo-900/20 rounded-xl p-8 border border-blue-200 dark:border-blue-700">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-2 text-center">
+          ⏱️ Measured Propagation
+        </h2>
+        <p className="text-gray-700 dark:text-gray-300 mb-6 text-center">
+          How long the latest changes took at each stage, from the Vault write to this browser.
+        </p>
+        <PropagationTimeline changes={propagation} stages={stages} />
+      </div>
+
       {/* Timing & Delays Education Section */}
       <div className="mt-12 bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-900/20 dark:to-orange-900/20 rounded-xl p-8 border border-amber-200 dark:border-amber-700">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white mb-6 text-center flex items-center justify-center">
@@ -0,0 +1,23 @@
+// Credential storage and authenticated fetch shared by all components.
+// The token lives in sessionStorage so it is dropped when the tab closes.
+const TOKEN_KEY = 'authToken';
+
+export const getToken = () => sessionStorage.getItem(TOKEN_KEY);
+
+export const setToken = (token) => sessionStorage.setItem(TOKEN_KEY, token);
+
+export const clearToken = () => sessionStorage.removeItem(TOKEN_KEY);
+
+export const authHeaders = (token = getToken()) => (token ? { Authorization: `Bearer ${token}` } : {});
+
+// fetch() with the bearer token attached; a 401 tells the app to show the login screen
+export async function apiFetch(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { ...authHeaders(), ...(options.headers || {}) }
+  });
+  if (response.status === 401) {
+    window.dispatchEvent(new Event('auth-required'));
+  }
+  return response;
+}
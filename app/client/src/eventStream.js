@@ -0,0 +1,122 @@
+import { authHeaders } from './api';
+
+// Server-Sent Events client for /api/events with the subset of the socket.io client API the
+// app uses (on / emit / disconnect), so the same handlers work on either transport.
+// fetch() streaming is used instead of EventSource because EventSource cannot send the
+// Authorization header. Reconnects send Last-Event-ID and only receive missed events.
+export function createEventStreamClient({ url = '/api/events' } = {}) {
+  const handlers = {};
+  let lastEventId = null;
+  let retryMs = 3000;
+  let controller = null;
+  let reconnectTimer = null;
+  let closed = false;
+  let connected = false;
+
+  const dispatch = (event, data) => (handlers[event] || []).forEach(handler => handler(data));
+
+  // Parse one "\n\n"-terminated SSE block
+  const handleBlock = (block) => {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      const colon = line.indexOf(':');
+      if (colon === 0) continue; // Comment
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'id') lastEventId = value;
+      else if (field === 'event') event = value;
+      else if (field === 'data') data += (data ? '\n' : '') + value;
+      else if (field === 'retry' && /^\d+$/.test(value)) retryMs = parseInt(value, 10);
+    }
+    if (data) dispatch(event, JSON.parse(data));
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    reconnectTimer = setTimeout(open, retryMs);
+  };
+
+  async function open() {
+    controller = new AbortController();
+    try {
+      const response = await fetch(url, {
+        headers: { ...authHeaders(), ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}) },
+        signal: controller.signal
+      });
+      if (response.status === 401) {
+        closed = true;
+        dispatch('connect_error', { message: 'unauthorized' });
+        return;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      connected = true;
+      dispatch('connect');
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value.replace(/\r\n?/g, '\n');
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          handleBlock(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+      connected = false;
+      dispatch('disconnect');
+    } catch (err) {
+      if (closed) return;
+      if (connected) {
+        connected = false;
+        dispatch('disconnect');
+      } else {
+        dispatch('connect_error', { message: err.message });
+      }
+    }
+    scheduleReconnect();
+  }
+
+  // Client -> server messages go over plain HTTP
+  const emit = (event, payload = {}, ack = () => {}) => {
+    if (event === 'force-refresh') {
+      // The ack receives the response body, like the socket's ack ({ error, retryAfterMs } when rejected)
+      const query = payload.target ? `?target=${encodeURIComponent(payload.target)}` : '';
+      fetch(`/api/refresh${query}`, { method: 'POST', headers: authHeaders() })
+        .then(res => res.json())
+        .then(ack, err => ack({ error: err.message }));
+    } else if (event === 'resync') {
+      // The stream has no request channel: fetch the snapshot and deliver it like a pushed one
+      fetch(`/api/secrets?target=${encodeURIComponent(payload.target)}`, { headers: authHeaders() })
+        .then(res => res.json())
+        .then(data => dispatch('secrets-update', { ...data, type: 'snapshot', source: 'resync' }));
+    } else if (event === 'render-ack') {
+      fetch(`/api/propagation/${encodeURIComponent(payload.changeId)}/render-ack`, { method: 'POST', headers: authHeaders() });
+    } else if (event === 'subscribe' || event === 'unsubscribe') {
+      // The stream always carries every file (supportsSubscriptions is false, so the UI hides watching)
+      console.warn(`"${event}" is not supported over Server-Sent Events - every secret is streamed`);
+    }
+    // 'ping' needs no equivalent: a broken stream ends the fetch and triggers a reconnect
+  };
+
+  open();
+
+  return {
+    transport: 'sse',
+    supportsSubscriptions: false,
+    get connected() {
+      return connected;
+    },
+    on(event, handler) {
+      (handlers[event] = handlers[event] || []).push(handler);
+    },
+    emit,
+    disconnect() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (controller) controller.abort();
+    }
+  };
+}
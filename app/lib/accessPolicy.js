@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+// `refresh` and `audit` are not about files: any rule granting them lets the role force a
+// re-read of the secrets, or search the audit trail
+const PERMISSIONS = ['read', 'reveal', 'export', 'refresh', 'audit'];
+
+// Convert a filename glob (* and ? wildcards) to an anchored RegExp
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+function matchesAny(globs, filename) {
+  return globs.some(glob => glob.test(filename));
+}
+
+function validateRule(rule, index) {
+  if (!Array.isArray(rule.roles) || rule.roles.length === 0) {
+    throw new Error(`Policy rule #${index + 1}: "roles" must be a non-empty array`);
+  }
+  if (!Array.isArray(rule.files) || rule.files.length === 0) {
+    throw new Error(`Policy rule #${index + 1}: "files" must be a non-empty array of globs`);
+  }
+  const unknown = (rule.permissions || []).filter(p => !PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    throw new Error(`Policy rule #${index + 1}: unknown permission(s) ${unknown.join(', ')}`);
+  }
+  return {
+    roles: rule.roles,
+    files: rule.files.map(globToRegExp),
+    permissions: rule.permissions || ['read']
+  };
+}
+
+// Role-based access to individual secret files.
+// Policy file format (JSON):
+//   {
+//     "identityHeader": "x-forwarded-groups",   // optional, only set behind a proxy that strips it
+//     "roleClaim": "groups",                     // token claim holding roles/groups
+//     "rules": [
+//       { "roles": ["platform"], "files": ["*"], "permissions": ["read", "reveal", "export"] },
+//       { "roles": ["*"], "files": ["public_*"], "permissions": ["read"] }
+//     ]
+//   }
+// Role "*" matches every caller. Without a policy file the fallback rules apply.
+function createAccessPolicy({ policyFile, fallbackPermissions = ['read'] }) {
+  let policy = {
+    identityHeader: null,
+    roleClaim: 'groups',
+    rules: [validateRule({ roles: ['*'], files: ['*'], permissions: fallbackPermissions }, 0)]
+  };
+
+  if (policyFile) {
+    const raw = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    if (!Array.isArray(raw.rules)) {
+      throw new Error(`Access policy ${policyFile} must contain a "rules" array`);
+    }
+    policy = {
+      identityHeader: raw.identityHeader ? raw.identityHeader.toLowerCase() : null,
+      roleClaim: raw.roleClaim || 'groups',
+      rules: raw.rules.map(validateRule)
+    };
+    logger.child({ component: 'auth' }).info('Loaded access policy', { policyFile, rules: policy.rules.length });
+  }
+
+  // Roles come from the trusted identity header if configured, otherwise the token claim
+  function resolveRoles(identity, headers = {}) {
+    if (policy.identityHeader && headers[policy.identityHeader]) {
+      return String(headers[policy.identityHeader]).split(',').map(r => r.trim()).filter(Boolean);
+    }
+    const claim = identity?.claims?.[policy.roleClaim];
+    if (Array.isArray(claim)) return claim.map(String);
+    if (typeof claim === 'string') return claim.split(/[\s,]+/).filter(Boolean);
+    return [];
+  }
+
+  function rulesFor(roles) {
+    return policy.rules.filter(rule => rule.roles.includes('*') || rule.roles.some(role => roles.includes(role)));
+  }
+
+  // Per-caller access context used by routes and socket emissions
+  function forRoles(roles) {
+    const rules = rulesFor(roles);
+
+    const can = (permission, filename) =>
+      rules.some(rule => rule.permissions.includes(permission) && matchesAny(rule.files, filename));
+
+    const filter = (secrets, permission = 'read') => {
+      const allowed = {};
+      for (const [name, secret] of Object.entries(secrets)) {
+        if (can(permission, name)) allowed[name] = secret;
+      }
+      return allowed;
+    };
+
+    return {
+      roles,
+      can,
+      filter,
+      // Union of permissions across matching rules (for UI hints, not file checks)
+      permissions: Array.from(new Set(rules.flatMap(rule => rule.permissions)))
+    };
+  }
+
+  return { resolveRoles, forRoles };
+}
+
+module.exports = { createAccessPolicy, globToRegExp, PERMISSIONS };
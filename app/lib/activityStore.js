@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Durable activity history backed by an append-only JSONL file.
+// Every add/update appends a full entry line; on load, later lines with the same id
+// replace earlier ones, so in-place updates (timestamp bumps) survive restarts too.
+// `label` only names the store in log messages (it also keeps the webhook delivery log).
+function createActivityStore({ dataDir, fileName = 'activity.jsonl', maxEntries = 10000, label = 'activity' }) {
+  const filePath = path.join(dataDir, fileName);
+  let entries = []; // Newest first, same order the feed displays
+  let persistent = true;
+  const log = logger.child({ component: 'store', store: label });
+
+  function load() {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+    } catch (err) {
+      log.error('Cannot create data dir - entries will not be persisted', { dataDir, error: err.message });
+      persistent = false;
+      return;
+    }
+
+    if (!fs.existsSync(filePath)) {
+      log.info('No history yet - starting fresh', { filePath });
+      return;
+    }
+
+    const byId = new Map();
+    let skipped = 0;
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        // Re-insert so the map keeps "last written" order for updated entries
+        byId.delete(entry.id);
+        byId.set(entry.id, entry);
+      } catch (err) {
+        skipped++;
+      }
+    }
+
+    entries = Array.from(byId.values())
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    log.info('Loaded history', { filePath, entries: entries.length, skippedLines: skipped });
+
+    // Collapse duplicate update lines and apply retention on startup
+    if (entries.length > maxEntries || byId.size < lines.filter(l => l.trim()).length) {
+      compact();
+    }
+  }
+
+  function append(entry) {
+    if (!persistent) return;
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      log.error('Error persisting entry', { entryId: entry.id, error: err.message });
+    }
+  }
+
+  // Rewrite the file with only the retained entries (oldest first, like a fresh append log)
+  function compact() {
+    if (entries.length > maxEntries) {
+      entries = entries.slice(0, maxEntries);
+    }
+    if (!persistent) return;
+
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      const body = entries.slice().reverse().map(entry => JSON.stringify(entry)).join('\n');
+      fs.writeFileSync(tmpPath, body ? body + '\n' : '');
+      fs.renameSync(tmpPath, filePath);
+      log.info('Compacted history', { entries: entries.length });
+    } catch (err) {
+      log.error('Error compacting history', { error: err.message });
+    }
+  }
+
+  function add(entry) {
+    entries.unshift(entry);
+    append(entry);
+    // Compact in batches rather than on every write
+    if (entries.length > maxEntries * 1.1) {
+      compact();
+    }
+    return entry;
+  }
+
+  // Persist a mutation of an entry that is already in the store
+  function update(entry) {
+    const index = entries.findIndex(e => e.id === entry.id);
+    if (index === -1) return add(entry);
+    entries[index] = entry;
+    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    append(entry);
+    return entry;
+  }
+
+  function recent(count = 10) {
+    return entries.slice(0, count);
+  }
+
+  function all() {
+    return entries;
+  }
+
+  // Filterable, cursor-paginated query. The cursor is the id of the last entry
+  // on the previous page, so new entries arriving at the head don't shift pages.
+  // An optional predicate lets callers hide entries before pagination (access control).
+  function query({ secret, action, since, until, cursor, limit = 10, predicate } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    const matches = entries.filter(entry => {
+      if (predicate && !predicate(entry)) return false;
+      if (secret && entry.file !== secret && !(entry.files || []).includes(secret)) return false;
+      if (action && entry.action !== action) return false;
+      const time = new Date(entry.timestamp).getTime();
+      if (sinceTime !== null && time < sinceTime) return false;
+      if (untilTime !== null && time > untilTime) return false;
+      return true;
+    });
+
+    let start = 0;
+    if (cursor !== undefined && cursor !== null && cursor !== '') {
+      const cursorIndex = matches.findIndex(entry => String(entry.id) === String(cursor));
+      start = cursorIndex === -1 ? matches.length : cursorIndex + 1;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+
+    return {
+      activity: page,
+      total: matches.length,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? page[page.length - 1].id : null
+    };
+  }
+
+  load();
+
+  return {
+    filePath,
+    add,
+    update,
+    recent,
+    all,
+    query,
+    isPersistent: () => persistent
+  };
+}
+
+module.exports = { createActivityStore };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'store', store: 'audit' });
+
+const GENESIS_HASH = '0'.repeat(64);
+const AUDIT_ACTIONS = ['read', 'reveal', 'export', 'force-refresh', 'audit-search'];
+
+// Each line's hash covers its own fields and the previous line's hash, so editing, removing or
+// reordering a line breaks the chain from there on
+const hashOf = (fields) => crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+
+// Check a chain of JSONL lines; returns null, or { line, seq, reason } for the first bad one
+function verifyChain(lines) {
+  let previousHash = GENESIS_HASH;
+  for (const [index, line] of lines.entries()) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      return { line: index + 1, reason: 'unparseable line' };
+    }
+    const { hash, ...fields } = entry;
+    if (fields.prevHash !== previousHash) return { line: index + 1, seq: entry.seq, reason: 'previous hash mismatch' };
+    if (hashOf(fields) !== hash) return { line: index + 1, seq: entry.seq, reason: 'hash mismatch' };
+    previousHash = hash;
+  }
+  return null;
+}
+
+// Who pulled which secrets: an append-only, hash-chained JSONL file. Lines are never rewritten
+// (there is no compaction, unlike the activity store); only the newest `maxEntries` are kept in
+// memory for searching. A broken chain found at startup is logged and reported by verify(),
+// and new entries keep chaining from the last line.
+function createAuditLog({ dataDir, fileName = 'audit.jsonl', maxEntries = 10000 }) {
+  const filePath = path.join(dataDir, fileName);
+  let entries = []; // Newest first
+  let lastHash = GENESIS_HASH;
+  let lastSeq = 0;
+  let persistent = true;
+  let needsNewline = false;
+
+  function readLines() {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    needsNewline = raw.length > 0 && !raw.endsWith('\n');
+    return raw.split('\n').filter(line => line.trim());
+  }
+
+  function load() {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+    } catch (err) {
+      log.error('Cannot create data dir - the audit trail will not be persisted', { dataDir, error: err.message });
+      persistent = false;
+      return;
+    }
+    if (!fs.existsSync(filePath)) return;
+
+    const lines = readLines();
+    const broken = verifyChain(lines);
+    if (broken) {
+      log.error('Audit trail hash chain is broken', { filePath, ...broken });
+    }
+    for (const line of lines.slice(-maxEntries)) {
+      try {
+        entries.unshift(JSON.parse(line));
+      } catch (err) {
+        // Reported by verifyChain above
+      }
+    }
+    if (entries.length > 0) {
+      lastHash = entries[0].hash;
+      lastSeq = entries[0].seq;
+    }
+    log.info('Loaded audit trail', { filePath, entries: lines.length, chainValid: !broken });
+  }
+
+  // Append one access event: { action, subject, ip, userAgent, transport, target, files, ... }
+  function record(event) {
+    const fields = {
+      seq: lastSeq + 1,
+      timestamp: new Date().toISOString(),
+      ...event,
+      prevHash: lastHash
+    };
+    const entry = { ...fields, hash: hashOf(fields) };
+    if (persistent) {
+      try {
+        fs.appendFileSync(filePath, `${needsNewline ? '\n' : ''}${JSON.stringify(entry)}\n`);
+        needsNewline = false;
+      } catch (err) {
+        // Not chained on disk, so the next line links to the last one written instead
+        log.error('Error persisting audit entry', { seq: entry.seq, action: entry.action, error: err.message });
+        return entry;
+      }
+    }
+    lastSeq = entry.seq;
+    lastHash = entry.hash;
+    entries.unshift(entry);
+    if (entries.length > maxEntries) entries.length = maxEntries;
+    return entry;
+  }
+
+  // Filterable, cursor-paginated search over the entries in memory, newest first. The cursor
+  // is the seq of the last entry on the previous page; `q` matches subject, IP, user agent and
+  // file names.
+  function query({ action, subject, file, target, q, since, until, cursor, limit = 50 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    const text = q ? q.toLowerCase() : null;
+
+    const matches = entries.filter(entry => {
+      if (action && entry.action !== action) return false;
+      if (subject && entry.subject !== subject) return false;
+      if (file && !(entry.files || []).includes(file)) return false;
+      if (target && entry.target !== target) return false;
+      if (text && ![entry.subject, entry.ip, entry.userAgent, ...(entry.files || [])]
+        .some(value => value && String(value).toLowerCase().includes(text))) return false;
+      const time = new Date(entry.timestamp).getTime();
+      if (sinceTime !== null && time < sinceTime) return false;
+      if (untilTime !== null && time > untilTime) return false;
+      return true;
+    });
+
+    let start = 0;
+    if (cursor !== undefined && cursor !== null && cursor !== '') {
+      const cursorIndex = matches.findIndex(entry => String(entry.seq) === String(cursor));
+      start = cursorIndex === -1 ? matches.length : cursorIndex + 1;
+    }
+    const page = matches.slice(start, start + limit);
+    const hasMore = start + limit < matches.length;
+
+    return {
+      entries: page,
+      total: matches.length,
+      hasMore,
+      nextCursor: hasMore && page.length > 0 ? page[page.length - 1].seq : null
+    };
+  }
+
+  // Re-read the whole file and check every link of the chain
+  function verify() {
+    if (!persistent || !fs.existsSync(filePath)) return { valid: true, entries: 0, brokenAt: null };
+    const lines = readLines();
+    const broken = verifyChain(lines);
+    return { valid: !broken, entries: lines.length, brokenAt: broken };
+  }
+
+  load();
+
+  return {
+    filePath,
+    record,
+    query,
+    verify,
+    isPersistent: () => persistent
+  };
+}
+
+module.exports = { createAuditLog, verifyChain, AUDIT_ACTIONS, GENESIS_HASH };
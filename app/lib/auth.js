@@ -0,0 +1,191 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+// JWT algorithms we accept, mapped to their digest, signature encoding and the key type
+// (and curve) they need
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256', keyType: 'rsa' },
+  RS384: { hash: 'sha384', keyType: 'rsa' },
+  RS512: { hash: 'sha512', keyType: 'rsa' },
+  PS256: { hash: 'sha256', keyType: 'rsa', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', keyType: 'ec', curve: 'prime256v1', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', keyType: 'ec', curve: 'secp384r1', dsaEncoding: 'ieee-p1363' }
+};
+
+const CLOCK_SKEW_SECONDS = 60;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+  // Compare digests so differing lengths don't leak through timingSafeEqual
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+function loadJwks(jwksFile) {
+  const jwks = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+  const keys = (jwks.keys || []).map(jwk => ({
+    kid: jwk.kid,
+    alg: jwk.alg,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }));
+  if (keys.length === 0) {
+    throw new Error(`No keys found in JWKS file ${jwksFile}`);
+  }
+  return keys;
+}
+
+// A key may only verify the algorithm it is declared for, and only algorithms of its type
+function keyAllows({ alg, key }, headerAlg, algorithm) {
+  if (alg && alg !== headerAlg) return false;
+  if (key.asymmetricKeyType !== algorithm.keyType) return false;
+  return !algorithm.curve || key.asymmetricKeyDetails.namedCurve === algorithm.curve;
+}
+
+function verifyJwt(token, { keys, issuer, audience }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new AuthError('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (err) {
+    throw new AuthError('Malformed token');
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) throw new AuthError(`Unsupported token algorithm ${header.alg}`);
+
+  const candidates = keys
+    .filter(k => !header.kid || k.kid === header.kid)
+    .filter(k => keyAllows(k, header.alg, algorithm));
+  if (candidates.length === 0) throw new AuthError('No matching signing key');
+
+  const signedData = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = base64UrlDecode(parts[2]);
+  const valid = candidates.some(({ key }) => {
+    try {
+      return crypto.verify(algorithm.hash, signedData, {
+        key,
+        padding: algorithm.padding,
+        dsaEncoding: algorithm.dsaEncoding
+      }, signature);
+    } catch (err) {
+      return false;
+    }
+  });
+  if (!valid) throw new AuthError('Invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError('Token has no expiry');
+  }
+  if (now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW_SECONDS < claims.nbf) {
+    throw new AuthError('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError('Unexpected token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) throw new AuthError('Unexpected token audience');
+  }
+
+  return claims;
+}
+
+// Pull a bearer credential out of an Authorization header value
+function bearerFromHeader(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+// Authentication modes:
+//   none  - every caller is an anonymous identity
+//   token - static bearer tokens (comma-separated list)
+//   jwt   - OIDC/JWT bearer tokens verified against a local JWKS file
+function createAuthenticator({ mode = 'none', tokens = [], jwksFile, issuer, audience }) {
+  let keys = null;
+
+  if (mode === 'token' && tokens.length === 0) {
+    throw new Error('AUTH_MODE=token requires AUTH_TOKENS');
+  }
+  if (mode === 'jwt') {
+    if (!jwksFile) throw new Error('AUTH_MODE=jwt requires AUTH_JWKS_FILE');
+    keys = loadJwks(jwksFile);
+    log.info('Loaded signing keys', { jwksFile, keys: keys.length });
+  }
+  if (!['none', 'token', 'jwt'].includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}" (expected none, token or jwt)`);
+  }
+
+  // Resolve a credential into an identity, or throw AuthError
+  function authenticate(credential) {
+    if (mode === 'none') {
+      return { subject: 'anonymous', method: 'none', claims: {} };
+    }
+    if (!credential) throw new AuthError('Missing credentials');
+
+    if (mode === 'token') {
+      const index = tokens.findIndex(token => safeEqual(token, credential));
+      if (index === -1) throw new AuthError('Invalid token');
+      return { subject: `token-${index + 1}`, method: 'token', claims: {} };
+    }
+
+    const claims = verifyJwt(credential, { keys, issuer, audience });
+    return {
+      subject: claims.sub || 'unknown',
+      name: claims.name || claims.preferred_username || claims.email || claims.sub,
+      method: 'jwt',
+      claims
+    };
+  }
+
+  function httpMiddleware(req, res, next) {
+    try {
+      req.identity = authenticate(bearerFromHeader(req.get('authorization')));
+      next();
+    } catch (err) {
+      if (!(err instanceof AuthError)) return next(err);
+      log.warn('Rejected request', { method: req.method, path: req.path, ip: req.ip, reason: err.message });
+      res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: err.message });
+    }
+  }
+
+  // socket.io handshake: credential comes from auth payload or Authorization header
+  function socketMiddleware(socket, next) {
+    const credential = socket.handshake.auth?.token ||
+      bearerFromHeader(socket.handshake.headers.authorization);
+    try {
+      socket.data.identity = authenticate(credential);
+      next();
+    } catch (err) {
+      log.warn('Rejected socket', { client: socket.id, ip: socket.handshake.address, reason: err.message });
+      const error = new Error('unauthorized');
+      error.data = { reason: err.message };
+      next(error);
+    }
+  }
+
+  return { mode, authenticate, httpMiddleware, socketMiddleware };
+}
+
+module.exports = { createAuthenticator, AuthError, verifyJwt, bearerFromHeader };
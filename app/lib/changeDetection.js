@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+const CHANGE_TYPES = ['added', 'modified', 'removed', 'touched'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function digestContent(content) {
+  return crypto.createHash('sha256').update(content == null ? '' : String(content)).digest('hex');
+}
+
+// Truncated values carry the digest of their whole content (see lib/secretContent.js)
+const digestOf = (secret) => secret.digest || digestContent(secret.content);
+
+// Metadata that moves without the value changing: a `touch`, a kubelet ..data swap to a
+// directory holding the same bytes (new snapshot, mtime), a new resourceVersion
+const metadataOf = (secret) => JSON.stringify([secret.lastModified, secret.symlinkTarget, secret.snapshot, secret.resourceVersion, Boolean(secret.error)]);
+
+// Typed change set between two secrets maps ({ name: { content, lastModified, ... } }).
+// Files are compared by the SHA-256 of their content:
+//   added / modified / removed   the value changed (these are what clients and webhooks see)
+//   touched                      same value, only metadata (mtime, symlink target...) changed
+// `previous` may be null (nothing read yet), in which case every file is added.
+function detectChanges(previous, next) {
+  const before = previous || {};
+  const changes = [];
+
+  for (const [file, secret] of Object.entries(next)) {
+    const digest = digestOf(secret);
+    const old = before[file];
+    if (!old) {
+      changes.push({ file, type: 'added', digest, previousDigest: null });
+      continue;
+    }
+    const previousDigest = digestOf(old);
+    if (previousDigest !== digest) {
+      changes.push({ file, type: 'modified', digest, previousDigest });
+    } else if (metadataOf(old) !== metadataOf(secret)) {
+      changes.push({ file, type: 'touched', digest, previousDigest });
+    }
+  }
+  for (const [file, old] of Object.entries(before)) {
+    if (!(file in next)) changes.push({ file, type: 'removed', digest: null, previousDigest: digestOf(old) });
+  }
+
+  const filesOf = (type) => changes.filter(change => change.type === type).map(change => change.file);
+  const changeSet = { changes };
+  for (const type of CHANGE_TYPES) changeSet[type] = filesOf(type);
+  changeSet.hasContentChanges = changes.some(change => change.type !== 'touched');
+  return changeSet;
+}
+
+// Read until the content differs from `baseline()` or `retries` re-reads found nothing, waiting
+// `retryDelayMs` between reads. Watch events can arrive before kubelet has swapped the mounted
+// files, so the first reads may still see the old values. The baseline is a function because
+// another update may move it while this one waits. Resolves to { secrets, changeSet, attempts }.
+async function readUntilChanged({ read, baseline, retries = 0, retryDelayMs = 500, onAttempt = () => {} }) {
+  for (let attempt = 1; ; attempt++) {
+    const secrets = await read();
+    const changeSet = detectChanges(baseline(), secrets);
+    onAttempt({ attempt, maxAttempts: retries + 1, changeSet });
+    if (changeSet.hasContentChanges || attempt > retries) {
+      return { secrets, changeSet, attempts: attempt };
+    }
+    await sleep(retryDelayMs);
+  }
+}
+
+// Serializes updates per key (a target id): a task starts only after every earlier task of the
+// same key has settled. Concurrent updates would otherwise read against the same baseline, emit
+// the same change twice, and a slower stale read could overwrite a newer baseline. The returned
+// promise settles like the task; a failed task does not hold up the ones queued after it.
+function createUpdateQueue() {
+  const tails = new Map(); // key -> settled-only promise of the last queued task
+
+  return function enqueue(key, task) {
+    const run = (tails.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return run;
+  };
+}
+
+module.exports = { detectChanges, readUntilChanged, createUpdateQueue, digestContent, CHANGE_TYPES };
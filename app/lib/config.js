@@ -0,0 +1,125 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'config' });
+
+// Server tunables: default, bounds and meaning. Every key can be set in the config file
+// (camelCase) or overridden by an environment variable (its SCREAMING_SNAKE_CASE name, e.g.
+// heartbeatIntervalMs -> HEARTBEAT_INTERVAL_MS). None of them hold secrets.
+const TUNABLES = {
+  activityThrottleMs: { default: 2000, min: 0, max: 3600000, help: 'Minimum time between activity updates per target' },
+  activityMergeWindowMs: { default: 30000, min: 0, max: 3600000, help: 'Repeated activity within this window updates the previous entry instead of adding one' },
+  activityMergeMinIntervalMs: { default: 5000, min: 0, max: 3600000, help: 'Minimum age of a merged entry before its timestamp is refreshed' },
+  emissionDedupWindowMs: { default: 1000, min: 0, max: 60000, help: 'Identical emissions within this window are dropped' },
+  periodicSyncIntervalMs: { default: 30000, min: 1000, max: 3600000, help: 'How often the mounted secrets are re-read to catch missed changes' },
+  heartbeatIntervalMs: { default: 10000, min: 1000, max: 3600000, help: 'How often clients receive a heartbeat' },
+  staleDataThresholdMs: { default: 60000, min: 1000, max: 86400000, help: 'Force a full sync when nothing changed for this long' },
+  updateRetries: { default: 8, min: 0, max: 100, help: 'Re-reads after an unsettled change (kubelet not done swapping files yet)' },
+  updateRetryDelayMs: { default: 500, min: 10, max: 60000, help: 'Delay between those re-reads' },
+  updateRetryStartDelayMs: { default: 200, min: 0, max: 60000, help: 'Delay before the first re-read when the immediate read saw no change' },
+  watchDebounceMs: { default: 150, min: 0, max: 60000, help: 'Debounce window for bursts of unsettled change events' },
+  settledEventDelayMs: { default: 200, min: 0, max: 60000, help: 'Delay to batch settled file change events' },
+  refreshRateWindowMs: { default: 60000, min: 1000, max: 3600000, help: 'Window for the forced refresh rate limits' },
+  refreshRateLimitPerClient: { default: 5, min: 1, max: 1000, help: 'Forced refreshes allowed per client (subject and IP) within the window' },
+  refreshRateLimitGlobal: { default: 20, min: 1, max: 10000, help: 'Forced refreshes allowed across all clients within the window' },
+  readinessMaxReadAgeMs: { default: 120000, min: 1000, max: 86400000, help: '/readyz fails when the secrets were last read successfully longer ago than this' },
+  maxSecretFileBytes: { default: 1048576, min: 1024, max: 268435456, help: 'Bytes of each secret file carried to clients; larger files are truncated' },
+  maxSecretsTotalBytes: { default: 8388608, min: 1024, max: 1073741824, help: 'Bytes of unmasked secret content sent per listing, snapshot or delta; files past this are truncated' }
+};
+
+const envName = (key) => key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+
+function validate(raw, origin) {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${origin}: expected a mapping of settings`);
+  }
+  const values = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const spec = TUNABLES[key];
+    if (!spec) throw new Error(`${origin}: unknown setting "${key}"`);
+    if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+      throw new Error(`${origin}: "${key}" must be an integer between ${spec.min} and ${spec.max}`);
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+function readEnvOverrides(env) {
+  const raw = {};
+  for (const key of Object.keys(TUNABLES)) {
+    const value = env[envName(key)];
+    if (value !== undefined && value !== '') raw[key] = /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+  }
+  return validate(raw, 'Environment');
+}
+
+// Tunables from defaults < config file (YAML or JSON) < environment. The file is watched and
+// re-applied when it changes; an invalid file is reported and the previous values are kept.
+// Environment overrides are fixed for the life of the process.
+function createConfig({ file = null, env = process.env, pollIntervalMs = 2000, onChange = () => {} } = {}) {
+  const defaults = Object.fromEntries(Object.entries(TUNABLES).map(([key, spec]) => [key, spec.default]));
+  const envValues = readEnvOverrides(env);
+  let fileValues = {};
+  let values = { ...defaults, ...envValues };
+  let loadedAt = null;
+  let lastError = null;
+
+  function readFile() {
+    const raw = YAML.parse(fs.readFileSync(file, 'utf8'));
+    return validate(raw === null ? {} : raw, file); // An empty file is fine
+  }
+
+  function apply(nextFileValues) {
+    const previous = values;
+    fileValues = nextFileValues;
+    values = { ...defaults, ...fileValues, ...envValues };
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    return Object.keys(values).filter(key => values[key] !== previous[key]);
+  }
+
+  if (file) {
+    apply(readFile()); // Invalid at startup is fatal, like the other config files
+  }
+
+  function reload() {
+    try {
+      const changed = apply(readFile());
+      if (changed.length > 0) {
+        log.info('Config reloaded', { file, changed: Object.fromEntries(changed.map(key => [key, values[key]])) });
+        onChange(values, changed);
+      }
+    } catch (err) {
+      lastError = err.message;
+      log.error('Config reload failed - keeping previous settings', { file, error: err.message });
+    }
+  }
+
+  // Polling stat follows symlinks, so ConfigMap updates (an atomic ..data swap) are seen too
+  if (file) fs.watchFile(file, { interval: pollIntervalMs }, reload);
+
+  function describe() {
+    return {
+      file,
+      loadedAt,
+      lastError,
+      settings: Object.fromEntries(Object.entries(TUNABLES).map(([key, spec]) => [key, {
+        value: values[key],
+        source: key in envValues ? `env:${envName(key)}` : key in fileValues ? 'file' : 'default',
+        default: spec.default,
+        help: spec.help
+      }]))
+    };
+  }
+
+  return {
+    get: () => values,
+    describe,
+    reload,
+    stop: () => file && fs.unwatchFile(file, reload)
+  };
+}
+
+module.exports = { createConfig, TUNABLES };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Server-Sent Events transport carrying the same events as socket.io, for clients and
+// proxies that cannot speak socket.io. Events get ids "<bootId>.<seq>" and the last
+// `bufferSize` are kept so a reconnecting client sending Last-Event-ID only receives what it
+// missed. Payloads depend on the viewer's access, so buffered events keep their payload
+// builder and memoize one payload per role set: a replay is identical to the live event
+// other clients with the same roles received.
+function createEventStream({ bufferSize = 500, retryMs = 3000 } = {}) {
+  const bootId = crypto.randomBytes(4).toString('hex');
+  const clients = new Set();
+  let buffer = []; // Oldest first
+  let seq = 0;
+
+  const accessKey = (access) => JSON.stringify([...access.roles].sort());
+
+  function memoize(buildPayload) {
+    const payloads = new Map();
+    return (access) => {
+      const key = accessKey(access);
+      if (!payloads.has(key)) payloads.set(key, buildPayload(access));
+      return payloads.get(key);
+    };
+  }
+
+  function write(client, { id, event, payloadFor }) {
+    const data = JSON.stringify(payloadFor(client.access));
+    client.res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${data}\n\n`);
+  }
+
+  // Transient events (heartbeats) are sent live only and never replayed
+  function publish(event, buildPayload, { transient = false } = {}) {
+    const entry = { event, payloadFor: memoize(buildPayload) };
+    if (!transient) {
+      entry.id = `${bootId}.${++seq}`;
+      buffer.push(entry);
+      if (buffer.length > bufferSize) buffer = buffer.slice(-bufferSize);
+    }
+    for (const client of clients) {
+      write(client, entry);
+    }
+  }
+
+  // Events after lastEventId, or null when it is unknown (another server process, or
+  // older than the buffer) and the client needs a fresh snapshot instead
+  function eventsSince(lastEventId) {
+    const [eventBoot, eventSeq] = String(lastEventId).split('.');
+    const resumeFrom = parseInt(eventSeq, 10);
+    if (eventBoot !== bootId || Number.isNaN(resumeFrom)) return null;
+    const oldest = buffer.length > 0 ? parseInt(buffer[0].id.split('.')[1], 10) : seq + 1;
+    if (resumeFrom < oldest - 1) return null;
+    return buffer.filter(entry => parseInt(entry.id.split('.')[1], 10) > resumeFrom);
+  }
+
+  // Attach an HTTP response as a stream. `snapshot(access)` resolves to [[event, payload], ...]
+  // for a client that cannot resume.
+  async function connect(req, res, { access, snapshot, onClose = () => {} }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const client = { id: `sse-${crypto.randomUUID()}`, res, access };
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      if (clients.delete(client)) onClose(client);
+    });
+
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const missed = lastEventId ? eventsSince(lastEventId) : null;
+
+    if (missed) {
+      missed.forEach(entry => write(client, entry));
+    } else {
+      // The snapshot is marked with the position it was taken at, and anything published
+      // while it was being read follows it, so the next reconnect can resume from there
+      const takenAt = seq;
+      const events = await snapshot(access);
+      events.forEach(([event, payload], index) => write(client, {
+        id: index === events.length - 1 && takenAt > 0 ? `${bootId}.${takenAt}` : null,
+        event,
+        payloadFor: () => payload
+      }));
+      if (closed) return null;
+      (eventsSince(`${bootId}.${takenAt}`) || []).forEach(entry => write(client, entry));
+    }
+
+    clients.add(client);
+    return client;
+  }
+
+  function stop() {
+    for (const client of clients) client.res.end();
+    clients.clear();
+  }
+
+  return { publish, connect, stop, clientCount: () => clients.size };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+const JWT = /^[A-Za-z0-9_-]+\.([A-Za-z0-9_-]+)\.[A-Za-z0-9_-]*$/;
+const CACHE_SIZE = 500;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Node prints distinguished names one attribute per line
+const formatName = (name) => (name || '').split('\n').filter(Boolean).join(', ');
+
+function describeCertificate(cert) {
+  return {
+    subject: formatName(cert.subject),
+    issuer: formatName(cert.issuer),
+    serialNumber: cert.serialNumber,
+    notBefore: new Date(cert.validFrom).toISOString(),
+    notAfter: new Date(cert.validTo).toISOString(),
+    subjectAltNames: cert.subjectAltName ? cert.subjectAltName.split(', ') : []
+  };
+}
+
+// Every PEM certificate in the content (or the DER certificate of a base64 binary value), leaf
+// first. The bundle expires with its earliest certificate; `chainOrdered` is false when a
+// certificate was not issued by the next one.
+function inspectCertificates(content, encoding) {
+  const encoded = encoding === 'base64' ? [Buffer.from(content, 'base64')] : content.match(PEM_CERTIFICATE) || [];
+  const certs = encoded.flatMap(pem => {
+    try {
+      return [new crypto.X509Certificate(pem)];
+    } catch (err) {
+      return []; // Not parseable, e.g. a masked or truncated value
+    }
+  });
+  if (certs.length === 0) return null;
+
+  const chain = certs.map(describeCertificate);
+  const [leaf] = chain;
+  return {
+    kind: 'certificate',
+    subject: leaf.subject,
+    subjectAltNames: leaf.subjectAltNames,
+    notBefore: leaf.notBefore,
+    expiresAt: chain.map(cert => cert.notAfter).sort()[0],
+    chainOrdered: certs.every((cert, index) => index === certs.length - 1 || cert.checkIssued(certs[index + 1])),
+    chain
+  };
+}
+
+// Registered time claims of a JWT (the signature is not verified - this only reports expiry)
+function inspectJwt(content) {
+  const match = content.trim().match(JWT);
+  if (!match) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!claims || typeof claims !== 'object') return null;
+  const time = (claim) => Number.isFinite(claims[claim]) ? new Date(claims[claim] * 1000).toISOString() : null;
+  return {
+    kind: 'jwt',
+    issuer: typeof claims.iss === 'string' ? claims.iss : null,
+    issuedAt: time('iat'),
+    notBefore: time('nbf'),
+    expiresAt: time('exp')
+  };
+}
+
+// Expiry metadata for a secret value: X.509 certificates or JWTs, otherwise null. Binary
+// values (`encoding` 'base64') can only be DER certificates.
+// Results are cached by content since every read re-inspects unchanged values.
+const cache = new Map();
+function inspectExpiry(content, { encoding } = {}) {
+  if (!content) return null;
+  const key = encoding === 'base64' ? `base64:${content}` : content;
+  if (cache.has(key)) return cache.get(key);
+  const result = encoding === 'base64' ? inspectCertificates(content, encoding) : inspectCertificates(content) || inspectJwt(content);
+  cache.set(key, result);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  return result;
+}
+
+// "30d", "12h", "90m", "45s", "2w" or plain seconds -> milliseconds (null if invalid)
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([smhdw]?)$/);
+  if (!match) return null;
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || 's'] * 1000;
+}
+
+module.exports = { inspectExpiry, parseDuration };
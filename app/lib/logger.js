@@ -0,0 +1,107 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Field names whose values are never written while redaction is on (matched case-insensitively
+// at any depth), so a secret value passed along by mistake does not end up in the logs
+const SENSITIVE_FIELDS = new Set([
+  'content', 'oldcontent', 'newcontent', 'value', 'secret', 'secretid', 'token', 'password',
+  'authorization', 'cookie', 'credential', 'credentials', 'privatekey', 'apikey'
+]);
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 6;
+
+function parseLevel(value, origin) {
+  const level = String(value).trim().toLowerCase();
+  if (!(level in LEVELS)) {
+    throw new Error(`${origin}: unknown log level "${value}" (expected one of: ${Object.keys(LEVELS).join(', ')})`);
+  }
+  return level;
+}
+
+// "watcher=debug,http=warn" -> { watcher: 'debug', http: 'warn' }
+function parseComponentLevels(spec) {
+  const levels = {};
+  for (const part of (spec || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const [component, level] = part.split('=').map(p => p && p.trim());
+    if (!component || !level) throw new Error(`LOG_LEVELS: expected component=level, got "${part}"`);
+    levels[component] = parseLevel(level, 'LOG_LEVELS');
+  }
+  return levels;
+}
+
+function serializeError(err) {
+  return { name: err.name, message: err.message, ...(err.code && { code: err.code }), stack: err.stack };
+}
+
+function sanitize(value, redact, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (depth >= MAX_DEPTH) return '[truncated]';
+  if (Array.isArray(value)) return value.map(item => sanitize(item, redact, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redact && SENSITIVE_FIELDS.has(key.toLowerCase()) ? REDACTED : sanitize(item, redact, depth + 1)
+  ]));
+}
+
+function formatText(entry) {
+  const { time, level, component, msg, ...fields } = entry;
+  // Stack traces keep their line breaks in text mode
+  if (fields.err && fields.err.stack) fields.err = fields.err.stack;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component || '-'}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+// Leveled structured logger: one JSON object per line ({ time, level, component, msg, ...fields })
+// or a human-readable line with format 'text'. The level is decided per component (the
+// `component` field of a child logger), falling back to `level`. Warnings and errors go to
+// stderr. Fields named like secret material are redacted unless `redact` is false.
+function createLogger({
+  level = 'info',
+  levels = {},
+  format = 'json',
+  redact = true,
+  write = (line, severity) => (severity >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+  fields = {}
+} = {}) {
+  const threshold = LEVELS[levels[fields.component] || level];
+
+  function log(severity, msg, extra) {
+    if (LEVELS[severity] < threshold) return;
+    const { component, ...rest } = sanitize({ ...fields, ...extra }, redact);
+    const entry = { time: new Date().toISOString(), level: severity, component, msg, ...rest };
+    write(format === 'text' ? formatText(entry) : JSON.stringify(entry), LEVELS[severity]);
+  }
+
+  return {
+    debug: (msg, extra) => log('debug', msg, extra),
+    info: (msg, extra) => log('info', msg, extra),
+    warn: (msg, extra) => log('warn', msg, extra),
+    error: (msg, extra) => log('error', msg, extra),
+    isEnabled: (severity) => LEVELS[severity] >= threshold,
+    // Logger whose lines carry these fields too; { component } selects the component level
+    child: (childFields) => createLogger({ level, levels, format, redact, write, fields: { ...fields, ...childFields } })
+  };
+}
+
+// Settings from LOG_LEVEL (default level), LOG_LEVELS (per component, e.g.
+// "watcher=debug,socket=warn"), LOG_FORMAT (json | text) and LOG_REDACT (false to disable)
+function loggerOptionsFromEnv(env = process.env) {
+  const format = (env.LOG_FORMAT || 'json').trim().toLowerCase();
+  if (format !== 'json' && format !== 'text') {
+    throw new Error(`LOG_FORMAT: expected json or text, got "${env.LOG_FORMAT}"`);
+  }
+  return {
+    level: parseLevel(env.LOG_LEVEL || 'info', 'LOG_LEVEL'),
+    levels: parseComponentLevels(env.LOG_LEVELS),
+    format,
+    redact: env.LOG_REDACT !== 'false'
+  };
+}
+
+// Process-wide root logger; modules log through children, e.g. logger.child({ component: 'watcher' })
+const logger = createLogger(loggerOptionsFromEnv());
+
+module.exports = { createLogger, loggerOptionsFromEnv, logger, LEVELS };
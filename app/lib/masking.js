@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { mapLeaves } = require('./structured');
+
+const MASK = '••••••';
+
+// Fingerprints are HMACs under a per-server key: a plain hash of a short password or token
+// could be brute-forced offline by anyone who sees the masked payload. A random key changes
+// fingerprints on restart; servers behind one load balancer should share a key.
+let fingerprintKey = crypto.randomBytes(32);
+
+function setFingerprintKey(key) {
+  fingerprintKey = key;
+}
+
+function fingerprint(value) {
+  return crypto.createHmac('sha256', fingerprintKey).update(value || '', 'utf8').digest('hex').substring(0, 12);
+}
+
+// Mask a value, keeping only its length and a short fingerprint
+function maskValue(value) {
+  if (!value) return value;
+  return `${MASK} (${value.length} chars, hmac:${fingerprint(value).substring(0, 8)})`;
+}
+
+// Redact a single line, preserving "key = value" / "key: value" structure
+function redactLine(line, mask = maskValue) {
+  const match = line.match(/^(\s*["']?[\w.-]+["']?\s*[:=]\s*)(.*)$/);
+  if (match) {
+    return match[1] + mask(match[2]);
+  }
+  return mask(line);
+}
+
+// Structure-only preview: keys survive, every value becomes a fixed-width mask
+function preview(content, maxLines = 5) {
+  const lines = (content || '').split('\n');
+  const shown = lines.slice(0, maxLines).map(line => redactLine(line, value => value ? MASK : value));
+  if (lines.length > maxLines) {
+    shown.push(`… ${lines.length - maxLines} more line${lines.length - maxLines !== 1 ? 's' : ''}`);
+  }
+  return shown.join('\n');
+}
+
+// Replace a secret's content with a preview plus fingerprint/length metadata. A parsed
+// key tree (`structure`) keeps its keys with every value masked. The full-content `digest` of
+// truncated values is dropped: the fingerprint is all a masked view needs.
+function maskSecret(secret) {
+  if (secret.error) return secret;
+  const { content, digest, ...meta } = secret;
+  return {
+    ...meta,
+    ...(meta.structure && {
+      structure: { ...meta.structure, tree: mapLeaves(meta.structure.tree, value => value === null ? null : MASK) }
+    }),
+    content: preview(content),
+    masked: true,
+    fingerprint: fingerprint(content),
+    length: (content || '').length
+  };
+}
+
+function maskSecrets(secrets) {
+  const masked = {};
+  for (const [name, secret] of Object.entries(secrets)) {
+    masked[name] = maskSecret(secret);
+  }
+  return masked;
+}
+
+module.exports = { fingerprint, setFingerprintKey, maskValue, redactLine, preview, maskSecret, maskSecrets };
@@ -0,0 +1,116 @@
+// Minimal Prometheus registry rendering the text exposition format (version 0.0.4).
+// Counters and histograms are updated as things happen; any metric can instead be given a
+// `collect` function returning [{ labels, value }] that is evaluated at scrape time, for
+// values that already live elsewhere (source health, connected sockets, sync timestamps).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, { name, help, labelNames = [], collect = null }) {
+    const metric = { type, name: prefix + name, help, labelNames, collect, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(options) {
+    const metric = register('counter', options);
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(metric.labelNames, labels);
+        const series = metric.series.get(key) || { labels: pickLabels(metric.labelNames, labels), value: 0 };
+        series.value += value;
+        metric.series.set(key, series);
+      }
+    };
+  }
+
+  function gauge(options) {
+    const metric = register('gauge', options);
+    return {
+      set(labels, value) {
+        metric.series.set(seriesKey(metric.labelNames, labels), { labels: pickLabels(metric.labelNames, labels), value });
+      }
+    };
+  }
+
+  function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+    const metric = register('histogram', options);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const key = seriesKey(metric.labelNames, labels);
+        let series = metric.series.get(key);
+        if (!series) {
+          series = { labels: pickLabels(metric.labelNames, labels), counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+          metric.series.set(key, series);
+        }
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  // `includeSeries(labels)` lets the caller drop series it should not see
+  function render({ includeSeries = () => true } = {}) {
+    const lines = [];
+    for (const metric of metrics) {
+      const series = (metric.collect ? metric.collect() : Array.from(metric.series.values()))
+        .filter(entry => includeSeries(entry.labels));
+
+      lines.push(`# HELP ${metric.name} ${escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const entry of series) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createMetricsRegistry };
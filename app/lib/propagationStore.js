@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'store', store: 'propagation' });
+
+// Stages a change passes through on its way from Vault to the browser, in order. Each record
+// stores an ISO timestamp per stage it could observe (null when not observable here):
+//   vaultUpdated    Vault KV metadata updated_time (only with the direct Vault source)
+//   secretObserved  the Kubernetes API watch saw the new Secret resourceVersion
+//   fileModified    newest mtime of the changed files (directory source only)
+//   serverEmitted   secrets-update sent to clients
+//   clientRendered  first client acknowledged rendering the update
+const STAGES = ['vaultUpdated', 'secretObserved', 'fileModified', 'serverEmitted', 'clientRendered'];
+
+// Per-change propagation timelines, persisted as append-only JSONL like the activity store:
+// stage updates append the full record again and later lines win on load.
+function createPropagationStore({ dataDir, fileName = 'propagation.jsonl', maxEntries = 500 }) {
+  const filePath = path.join(dataDir, fileName);
+  let records = []; // Newest first
+  let linesWritten = 0;
+  let persistent = true;
+
+  function load() {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+    } catch (err) {
+      log.error('Cannot create data dir - timelines will not be persisted', { dataDir, error: err.message });
+      persistent = false;
+      return;
+    }
+    if (!fs.existsSync(filePath)) return;
+
+    const byId = new Map();
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      linesWritten++;
+      try {
+        const record = JSON.parse(line);
+        byId.set(record.id, record);
+      } catch (err) {
+        // Skip a torn last line from a crash mid-append
+      }
+    }
+    records = Array.from(byId.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    log.info('Loaded propagation timelines', { filePath, records: records.length });
+    if (linesWritten > records.length * 2 || records.length > maxEntries) compact();
+  }
+
+  function append(record) {
+    if (!persistent) return;
+    try {
+      fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+      linesWritten++;
+    } catch (err) {
+      log.error('Error persisting propagation record', { recordId: record.id, error: err.message });
+    }
+    // Stage updates append lines too, so compact on line count rather than record count
+    if (linesWritten > maxEntries * 2) compact();
+  }
+
+  function compact() {
+    records = records.slice(0, maxEntries);
+    if (!persistent) return;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      const body = records.slice().reverse().map(record => JSON.stringify(record)).join('\n');
+      fs.writeFileSync(tmpPath, body ? body + '\n' : '');
+      fs.renameSync(tmpPath, filePath);
+      linesWritten = records.length;
+    } catch (err) {
+      log.error('Error compacting propagation timelines', { error: err.message });
+    }
+  }
+
+  // detectedAt is when the server noticed the change (start of the propagation_seconds metric)
+  function add({ target, source, files, detectedAt = null, resourceVersion = null, stages = {} }) {
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      target,
+      source,
+      files,
+      detectedAt,
+      resourceVersion,
+      stages: Object.fromEntries(STAGES.map(stage => [stage, stages[stage] || null])),
+      renderAcks: 0
+    };
+    records.unshift(record);
+    if (records.length > maxEntries) records.length = maxEntries;
+    append(record);
+    return record;
+  }
+
+  // Set a stage once; later observations of the same stage are ignored. Returns the
+  // updated record, or null when nothing changed.
+  function setStage(id, stage, time) {
+    const record = get(id);
+    if (!record || !STAGES.includes(stage) || record.stages[stage]) return null;
+    record.stages[stage] = new Date(time).toISOString();
+    append(record);
+    return record;
+  }
+
+  // Count a client render acknowledgement; the first one sets clientRendered
+  function acknowledgeRender(id, time = Date.now()) {
+    const record = get(id);
+    if (!record) return null;
+    record.renderAcks++;
+    if (!record.stages.clientRendered) {
+      record.stages.clientRendered = new Date(time).toISOString();
+      append(record);
+    }
+    return record;
+  }
+
+  function get(id) {
+    return records.find(record => record.id === id) || null;
+  }
+
+  function recent({ target, limit = 20, predicate } = {}) {
+    return records
+      .filter(record => (!target || record.target === target) && (!predicate || predicate(record)))
+      .slice(0, limit);
+  }
+
+  load();
+
+  return { add, setStage, acknowledgeRender, get, recent, STAGES };
+}
+
+module.exports = { createPropagationStore, STAGES };
@@ -0,0 +1,40 @@
+// Sliding-window limiter with a per-key and an overall budget: at most `perKey()` attempts per
+// key and `total()` attempts across all keys within `windowMs()`. The settings are functions so
+// hot-reloaded tunables apply to the next attempt. Rejected attempts do not use up budget.
+function createRateLimiter({ perKey, total, windowMs, now = Date.now }) {
+  const hits = new Map(); // key -> timestamps within the window, oldest first
+  let allHits = [];
+
+  function prune(cutoff) {
+    allHits = allHits.filter(time => time > cutoff);
+    for (const [key, times] of hits) {
+      const recent = times.filter(time => time > cutoff);
+      if (recent.length > 0) hits.set(key, recent);
+      else hits.delete(key);
+    }
+  }
+
+  // Record an attempt by `key`: { allowed: true } or { allowed: false, scope, retryAfterMs }
+  // where scope is 'client' (this key's budget) or 'global'
+  function attempt(key) {
+    const time = now();
+    const window = windowMs();
+    prune(time - window);
+
+    const times = hits.get(key) || [];
+    const retryAfter = (oldest) => Math.max(oldest + window - time, 0);
+    if (times.length >= perKey()) {
+      return { allowed: false, scope: 'client', retryAfterMs: retryAfter(times[times.length - perKey()]) };
+    }
+    if (allHits.length >= total()) {
+      return { allowed: false, scope: 'global', retryAfterMs: retryAfter(allHits[allHits.length - total()]) };
+    }
+    hits.set(key, [...times, time]);
+    allHits.push(time);
+    return { allowed: true };
+  }
+
+  return { attempt };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_FILE_BYTES = 1024 * 1024;
+const CHUNK_BYTES = 64 * 1024;
+
+// Leading bytes of binary formats common in secrets
+const SIGNATURES = [
+  { bytes: [0xfe, 0xed, 0xfe, 0xed], contentType: 'application/x-java-keystore' },
+  { bytes: [0xce, 0xce, 0xce, 0xce], contentType: 'application/x-java-jce-keystore' },
+  { bytes: [0x1f, 0x8b], contentType: 'application/gzip' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], contentType: 'application/zip' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47], contentType: 'image/png' }
+];
+
+// By file extension, for content without a recognizable signature
+const EXTENSIONS = {
+  p12: 'application/x-pkcs12',
+  pfx: 'application/x-pkcs12',
+  der: 'application/pkix-cert',
+  cer: 'application/pkix-cert',
+  crt: 'application/pkix-cert',
+  jks: 'application/x-java-keystore',
+  keystore: 'application/x-java-keystore',
+  key: 'application/pkcs8',
+  gpg: 'application/pgp-encrypted'
+};
+
+// Text is valid UTF-8 without NUL bytes and with few other control characters. A truncated
+// buffer may end inside a character, which `stream` tolerates.
+function isText(buffer, { truncated = false } = {}) {
+  if (buffer.includes(0)) return false;
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: truncated });
+  } catch (err) {
+    return false;
+  }
+  const controls = (text.match(/[\x01-\x08\x0e-\x1a\x1c-\x1f\x7f]/g) || []).length;
+  return controls <= text.length * 0.05;
+}
+
+// A DER SEQUENCE whose first element is INTEGER 3 is a PKCS#12 bundle (PFX version 3)
+function isPkcs12(buffer) {
+  if (buffer[0] !== 0x30 || buffer.length < 5) return false;
+  const header = buffer[1] < 0x80 ? 2 : 2 + (buffer[1] & 0x7f);
+  return buffer[header] === 0x02 && buffer[header + 1] === 0x01 && buffer[header + 2] === 0x03;
+}
+
+function isDerCertificate(buffer) {
+  if (buffer[0] !== 0x30) return false;
+  try {
+    return Boolean(new crypto.X509Certificate(buffer));
+  } catch (err) {
+    return false;
+  }
+}
+
+// Best guess at what a binary value is, from its leading bytes, then its file extension
+function detectContentType(name, buffer) {
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  if (signature) return signature.contentType;
+  if (isPkcs12(buffer)) return 'application/x-pkcs12';
+  if (isDerCertificate(buffer)) return 'application/pkix-cert';
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : null;
+  return EXTENSIONS[extension] || 'application/octet-stream';
+}
+
+// Secret fields for raw bytes: text as trimmed UTF-8, anything else base64 with a content
+// type hint ({ content, encoding: 'base64', contentType }). `size` is the size of the whole
+// value when `buffer` only holds its first bytes, which marks it `truncated`.
+function decodeContent(buffer, { name = '', size = buffer.length } = {}) {
+  const truncated = size > buffer.length;
+  const fields = isText(buffer, { truncated })
+    ? { content: buffer.toString('utf8').replace(/\uFFFD$/, '').trim() }
+    : { content: buffer.toString('base64'), encoding: 'base64', contentType: detectContentType(name, buffer) };
+  return truncated ? { ...fields, truncated: true } : fields;
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Secret fields for a value already in memory (e.g. a Kubernetes Secret key), limited to its
+// first `maxBytes` like readFileContent
+function readBufferContent(buffer, { name, maxBytes = DEFAULT_MAX_FILE_BYTES } = {}) {
+  if (buffer.length <= maxBytes) return decodeContent(buffer, { name });
+  return { ...decodeContent(buffer.subarray(0, maxBytes), { name, size: buffer.length }), digest: sha256(buffer) };
+}
+
+// Read at most `maxBytes` of a file. Oversized files also get the SHA-256 of their whole
+// content as `digest`, so changes past the limit are still detected (see lib/changeDetection.js).
+function readFileContent(filePath, { name, maxBytes = DEFAULT_MAX_FILE_BYTES } = {}) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const head = Buffer.alloc(Math.min(size, maxBytes));
+    let read = 0;
+    while (read < head.length) {
+      const bytes = fs.readSync(fd, head, read, head.length - read, read);
+      if (bytes === 0) break;
+      read += bytes;
+    }
+    const fields = decodeContent(head.subarray(0, read), { name, size });
+    if (!fields.truncated) return fields;
+
+    const hash = crypto.createHash('sha256');
+    const chunk = Buffer.alloc(CHUNK_BYTES);
+    for (let position = 0, bytes; (bytes = fs.readSync(fd, chunk, 0, CHUNK_BYTES, position)) > 0; position += bytes) {
+      hash.update(chunk.subarray(0, bytes));
+    }
+    return { ...fields, digest: hash.digest('hex') };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Cut content to at most `maxBytes` bytes without splitting a character or a base64 quantum
+function truncateContent(secret, maxBytes) {
+  if (secret.encoding === 'base64') return secret.content.substring(0, Math.floor(maxBytes / 4) * 4);
+  const cut = Buffer.from(secret.content, 'utf8').subarray(0, maxBytes).toString('utf8');
+  return cut.replace(/\uFFFD$/, '');
+}
+
+// Keep a secrets map within `maxTotalBytes` of content: files are filled in name order and
+// those past the budget are cut short (possibly to nothing) and flagged `truncated`. Their key
+// tree (`structure`) is dropped, as it describes, and would carry, the whole value.
+function limitTotalSize(secrets, maxTotalBytes) {
+  let remaining = maxTotalBytes;
+  const limited = {};
+  for (const name of Object.keys(secrets).sort()) {
+    const secret = secrets[name];
+    const bytes = Buffer.byteLength(secret.content || '', 'utf8');
+    if (secret.error || bytes <= remaining) {
+      limited[name] = secret;
+      remaining -= secret.error ? 0 : bytes;
+      continue;
+    }
+    const { structure, ...rest } = secret;
+    limited[name] = {
+      ...rest,
+      content: truncateContent(secret, remaining),
+      truncated: true,
+      digest: secret.digest || sha256(secret.content)
+    };
+    remaining = 0;
+  }
+  return limited;
+}
+
+module.exports = { decodeContent, readFileContent, readBufferContent, limitTotalSize, detectContentType, isText, DEFAULT_MAX_FILE_BYTES };
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { redactLine } = require('./masking');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'store', store: 'history' });
+
+// Bounded per-secret version history.
+// Every version is identified by the SHA-256 of its content. Content itself is only
+// written to disk when an encryption key is configured (AES-256-GCM); without a key
+// the file holds hashes/metadata and content lives in memory until restart.
+function createSecretHistory({ dataDir, fileName = 'history.json', maxVersions = 20, encryptionKey = null }) {
+  const filePath = path.join(dataDir, fileName);
+  const key = encryptionKey ? crypto.scryptSync(encryptionKey, 'vault-secrets-demo-history', 32) : null;
+  let history = {}; // { [secretName]: [version, ...] } oldest first
+  let persistent = true;
+
+  function hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  function encrypt(content) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  function decrypt(encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  function load() {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+    } catch (err) {
+      log.error('Cannot create data dir - history will not be persisted', { dataDir, error: err.message });
+      persistent = false;
+      return;
+    }
+
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      for (const [name, versions] of Object.entries(stored)) {
+        history[name] = versions.map(version => {
+          const { encrypted, ...meta } = version;
+          if (encrypted && key) {
+            try {
+              return { ...meta, content: decrypt(encrypted), encrypted };
+            } catch (err) {
+              log.error('Cannot decrypt history version (wrong key?)', { file: name, version: version.version });
+            }
+          }
+          return { ...meta, encrypted };
+        });
+      }
+      log.info('Loaded version history', { filePath, secrets: Object.keys(history).length });
+    } catch (err) {
+      log.error('Error loading secret history', { filePath, error: err.message });
+    }
+  }
+
+  function save() {
+    if (!persistent) return;
+
+    const stored = {};
+    for (const [name, versions] of Object.entries(history)) {
+      // Never write plaintext content to disk
+      stored[name] = versions.map(({ content, ...meta }) => meta);
+    }
+
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(stored));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      log.error('Error saving secret history', { filePath, error: err.message });
+    }
+  }
+
+  function latest(name) {
+    const versions = history[name];
+    return versions && versions.length > 0 ? versions[versions.length - 1] : null;
+  }
+
+  function pushVersion(name, version) {
+    const versions = history[name] || (history[name] = []);
+    versions.push(version);
+    if (versions.length > maxVersions) {
+      versions.splice(0, versions.length - maxVersions);
+    }
+  }
+
+  // Record a new version for every secret whose content hash differs from its latest
+  // version, and a deletion marker for secrets that disappeared. Returns changed names.
+  function recordSnapshot(secrets, source) {
+    const changed = [];
+    const timestamp = new Date().toISOString();
+
+    for (const [name, secret] of Object.entries(secrets)) {
+      if (secret.error) continue;
+      const content = secret.content || '';
+      const hash = hashContent(content);
+      const previous = latest(name);
+      if (previous && previous.hash === hash && !previous.deleted) continue;
+
+      pushVersion(name, {
+        version: previous ? previous.version + 1 : 1,
+        hash,
+        timestamp,
+        lastModified: secret.lastModified,
+        size: secret.size,
+        source,
+        content,
+        encrypted: key ? encrypt(content) : undefined
+      });
+      changed.push(name);
+    }
+
+    for (const name of Object.keys(history)) {
+      const previous = latest(name);
+      if (secrets[name] || !previous || previous.deleted) continue;
+      pushVersion(name, {
+        version: previous.version + 1,
+        hash: null,
+        timestamp,
+        source,
+        deleted: true
+      });
+      changed.push(name);
+    }
+
+    if (changed.length > 0) {
+      log.debug('Recorded new versions', { filePath, files: changed, source });
+      save();
+    }
+    return changed;
+  }
+
+  // Version metadata only - never includes content
+  function list(name) {
+    const versions = history[name];
+    if (!versions) return null;
+    return versions.map(({ content, encrypted, ...meta }) => ({
+      ...meta,
+      contentAvailable: content !== undefined
+    }));
+  }
+
+  function get(name, version) {
+    return (history[name] || []).find(v => v.version === version) || null;
+  }
+
+  load();
+
+  return {
+    recordSnapshot,
+    list,
+    get,
+    latest,
+    hashContent,
+    isEncrypted: () => key !== null
+  };
+}
+
+// Line-based diff (LCS) between two contents, with every line redacted
+function redactedDiff(fromContent, toContent) {
+  const a = (fromContent || '').split('\n');
+  const b = (toContent || '').split('\n');
+
+  // Guard against quadratic blow-up on very large files: report a full replacement
+  if (a.length * b.length > 4000000) {
+    return {
+      lines: [
+        ...a.map(line => ({ type: 'removed', line: redactLine(line) })),
+        ...b.map(line => ({ type: 'added', line: redactLine(line) }))
+      ],
+      added: b.length,
+      removed: a.length
+    };
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'unchanged', line: redactLine(a[i]) });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', line: redactLine(a[i++]) });
+    } else {
+      lines.push({ type: 'added', line: redactLine(b[j++]) });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', line: redactLine(a[i++]) });
+  while (j < b.length) lines.push({ type: 'added', line: redactLine(b[j++]) });
+
+  return {
+    lines,
+    added: lines.filter(l => l.type === 'added').length,
+    removed: lines.filter(l => l.type === 'removed').length
+  };
+}
+
+module.exports = { createSecretHistory, redactedDiff };
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const { logger } = require('../logger');
+const { readFileContent, DEFAULT_MAX_FILE_BYTES } = require('../secretContent');
+
+const log = logger.child({ component: 'watcher' });
+
+// kubelet's pointer to the current timestamped directory of a projected volume
+const DATA_LINK = '..data';
+// Re-reads when `..data` moved during a read; a swap is one rename, so one more is plenty
+const MAX_SNAPSHOT_ATTEMPTS = 5;
+
+// The timestamped directory `..data` points at, or null when it is not a projected volume
+function currentSnapshot(secretsDir) {
+  try {
+    return fs.readlinkSync(path.join(secretsDir, DATA_LINK));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Read one regular file of a snapshot directory into secrets/errors
+function readSnapshotFile(snapshotDir, file, snapshot, secrets, errors, maxFileBytes) {
+  const filePath = path.join(snapshotDir, file);
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (err) {
+    errors.push({ file, error: err.message });
+    return;
+  }
+  if (!stats.isFile()) return; // Nested paths of `items` projections are not secrets
+  const meta = { lastModified: stats.mtime.toISOString(), size: stats.size, symlinkTarget: path.join(DATA_LINK, file), snapshot };
+  try {
+    secrets[file] = { ...readFileContent(filePath, { name: file, maxBytes: maxFileBytes }), ...meta };
+  } catch (err) {
+    errors.push({ file, error: err.message });
+    secrets[file] = { content: `Error reading file: ${err.message}`, ...meta, error: true };
+  }
+}
+
+// Projected volumes expose every key as a symlink through `..data`, which kubelet swaps to a
+// new timestamped directory in one rename. Following the key symlinks one by one can mix two
+// snapshots, so the files are read from the directory `..data` points at, and the read counts
+// only if `..data` still points there afterwards. Returns null if `..data` disappeared.
+function scanSnapshot(secretsDir, dirLog, maxFileBytes) {
+  for (let attempt = 1; ; attempt++) {
+    const snapshot = currentSnapshot(secretsDir);
+    if (!snapshot) return null;
+    const snapshotDir = path.resolve(secretsDir, snapshot);
+    const secrets = {};
+    const errors = [];
+    try {
+      for (const file of fs.readdirSync(snapshotDir)) {
+        readSnapshotFile(snapshotDir, file, snapshot, secrets, errors, maxFileBytes);
+      }
+    } catch (err) {
+      errors.push({ file: null, error: err.message });
+    }
+
+    const after = currentSnapshot(secretsDir);
+    if (after === snapshot) {
+      dirLog.debug('Read projected volume snapshot', { snapshot, files: Object.keys(secrets), attempt });
+      for (const { file, error } of errors) dirLog.error('Error reading secret file', { file, snapshot, error });
+      return { secrets, errors, snapshot: { id: snapshot, attempts: attempt, consistent: true } };
+    }
+    if (attempt >= MAX_SNAPSHOT_ATTEMPTS) {
+      dirLog.error('..data kept changing during reads - using the last one', { snapshot, after, attempts: attempt });
+      errors.push({ file: null, error: `${DATA_LINK} changed during ${attempt} consecutive reads` });
+      return { secrets, errors, snapshot: { id: snapshot, attempts: attempt, consistent: false } };
+    }
+    dirLog.debug('..data swapped during read - re-reading', { before: snapshot, after, attempt });
+  }
+}
+
+// Read all secrets from a directory: a projected volume through one consistent `..data`
+// snapshot, any other directory file by file. Returns { secrets, exists, errors, snapshot }:
+// errors lists the files (or the directory itself, with file null) that could not be read,
+// unreadable files are still included, flagged `error`; snapshot is { id, attempts,
+// consistent } for projected volumes (whose secrets carry the `snapshot` id), otherwise null.
+// Only the first `maxFileBytes` of each file are read (see lib/secretContent.js).
+function scanSecretsDirectory(secretsDir, { maxFileBytes = DEFAULT_MAX_FILE_BYTES } = {}) {
+  const exists = fs.existsSync(secretsDir);
+  const dirLog = log.child({ dir: secretsDir });
+  const snapshotScan = exists ? scanSnapshot(secretsDir, dirLog, maxFileBytes) : null;
+  if (snapshotScan) return { ...snapshotScan, exists };
+  return { ...walkSecretsDirectory(secretsDir, exists, dirLog, maxFileBytes), snapshot: null };
+}
+
+// File-by-file read of a plain directory
+function walkSecretsDirectory(secretsDir, exists, dirLog, maxFileBytes) {
+  const secrets = {};
+  const errors = [];
+  
+  try {
+    if (exists) {
+      // Clear Node.js file system cache for the secrets directory to ensure fresh reads
+      // This is crucial for Kubernetes projected volumes where symlinks are recreated
+      delete require.cache[secretsDir];
+      
+      // For Kubernetes projected volumes, sometimes we need to re-read the directory
+      // to ensure we get fresh file listings
+      const files = fs.readdirSync(secretsDir);
+      dirLog.debug('Listed secrets directory', { files });
+      
+      files.forEach(file => {
+        const filePath = path.join(secretsDir, file);
+        
+        // Use lstat instead of stat to handle symlinks properly (Kubernetes projected volumes use symlinks)
+        let stats;
+        try {
+          stats = fs.lstatSync(filePath);
+        } catch (err) {
+          dirLog.debug('Skipping unreadable entry', { file, error: err.message });
+          return;
+        }
+        
+        // Skip directories (like ..data in Kubernetes projected volumes)
+        if (stats.isDirectory()) {
+          dirLog.debug('Skipping directory', { file });
+          return;
+        }
+        
+        // For symlinks, check if they point to directories (like ..data -> ..2025_06_04_11_28_59.2977315065)
+        if (stats.isSymbolicLink()) {
+          try {
+            const symlinkTarget = fs.readlinkSync(filePath);
+            const targetStats = fs.statSync(filePath); // This follows the symlink
+            if (targetStats.isDirectory()) {
+              dirLog.debug('Skipping symlink to directory', { file, symlinkTarget });
+              return;
+            }
+          } catch (symlinkErr) {
+            dirLog.debug('Skipping broken symlink', { file, error: symlinkErr.message });
+            return;
+          }
+        }
+        
+        if (stats.isFile() || stats.isSymbolicLink()) {
+          try {
+            // For projected volumes, we might need to read through symlinks
+            // Clear any cached file descriptor for this specific file
+            delete require.cache[filePath];
+            
+            const fields = readFileContent(filePath, { name: file, maxBytes: maxFileBytes });
+            
+            // Get the actual file stats (following symlinks) for metadata
+            const realStats = fs.statSync(filePath);
+            
+            secrets[file] = {
+              ...fields,
+              lastModified: realStats.mtime.toISOString(),
+              size: realStats.size,
+              symlinkTarget: stats.isSymbolicLink() ? fs.readlinkSync(filePath) : null
+            };
+            
+            dirLog.debug('Read secret file', { file, size: realStats.size, lastModified: secrets[file].lastModified, symlink: stats.isSymbolicLink(), encoding: fields.encoding, truncated: fields.truncated });
+          } catch (err) {
+            dirLog.error('Error reading secret file', { file, error: err.message });
+            if (!err.message.includes('EISDIR')) errors.push({ file, error: err.message });
+            // Don't try to get stats if we failed to read - it might be a directory we missed
+            if (!err.message.includes('EISDIR')) {
+              try {
+                const realStats = fs.statSync(filePath);
+                secrets[file] = {
+                  content: `Error reading file: ${err.message}`,
+                  lastModified: realStats.mtime.toISOString(),
+                  size: realStats.size,
+                  error: true
+                };
+              } catch (statErr) {
+                dirLog.error('Error getting file stats', { file, error: statErr.message });
+              }
+            } else {
+              dirLog.debug('Detected directory via read error, skipping', { file });
+            }
+          }
+        }
+      });
+    } else {
+      dirLog.debug('Secrets directory does not exist yet');
+    }
+  } catch (err) {
+    dirLog.error('Error reading secrets directory', { error: err.message });
+    errors.push({ file: null, error: err.message });
+  }
+  
+  return { secrets, exists, errors };
+}
+
+function readSecretsFromDirectory(secretsDir) {
+  return scanSecretsDirectory(secretsDir).secrets;
+}
+
+// Secret source backed by a mounted directory (Kubernetes projected volume or plain files).
+// With a changeSignal source (e.g. kubernetes), its watch events announce that the
+// directory is about to change; they are forwarded as unsettled so the server keeps
+// re-reading until kubelet has swapped the files. Without one, or if the signal becomes
+// unavailable, a conservative polling filesystem watcher is used instead. `maxFileBytes` is a
+// function so the hot-reloaded limit applies to the next read.
+function createDirectorySource({ name = 'directory', dir, changeSignal = null, maxFileBytes = () => DEFAULT_MAX_FILE_BYTES }) {
+  let filesystemWatcher = null;
+  let stopSignal = null;
+  let watchMode = null;
+  let filesystemWatcherState = null; // starting | ready | error
+  let lastScan = null; // { at, exists, files, errors, snapshot } of the latest read
+  const sourceLog = log.child({ source: name, dir });
+
+  function startFilesystemMonitoring(onEvent) {
+    if (filesystemWatcher) return;
+    sourceLog.info('Starting fallback filesystem monitoring');
+    watchMode = 'filesystem';
+    filesystemWatcherState = 'starting';
+
+    // More conservative filesystem watcher as fallback
+    filesystemWatcher = chokidar.watch(dir, {
+      ignored: /^\./,
+      persistent: true,
+      ignoreInitial: false,
+      followSymlinks: true,
+      usePolling: true,
+      interval: 2000, // 2 second polling - more conservative for fallback
+      awaitWriteFinish: {
+        stabilityThreshold: 500, // Wait 500ms for file to stabilize
+        pollInterval: 100
+      }
+    });
+
+    const forward = (type) => (filePath) => {
+      const filename = path.basename(filePath);
+      sourceLog.debug('File change via fallback', { file: filename, change: type });
+      onEvent({ source: name, reason: 'filesystem-fallback', file: filename, settled: true });
+    };
+
+    filesystemWatcher
+      .on('add', forward('added'))
+      .on('change', forward('changed'))
+      .on('unlink', forward('removed'))
+      .on('error', (error) => {
+        filesystemWatcherState = 'error';
+        sourceLog.error('Filesystem watcher error', { err: error });
+      })
+      .on('ready', () => {
+        filesystemWatcherState = 'ready';
+        sourceLog.info('Fallback filesystem watcher ready');
+      });
+  }
+
+  function stopFilesystemMonitoring() {
+    if (filesystemWatcher) filesystemWatcher.close();
+    filesystemWatcher = null;
+    filesystemWatcherState = null;
+  }
+
+  function read() {
+    const scan = scanSecretsDirectory(dir, { maxFileBytes: maxFileBytes() });
+    lastScan = { at: new Date().toISOString(), exists: scan.exists, files: Object.keys(scan.secrets).length, errors: scan.errors, snapshot: scan.snapshot };
+    return scan.secrets;
+  }
+
+  return {
+    name,
+    type: 'directory',
+
+    async list() {
+      return Object.keys(read());
+    },
+
+    async read() {
+      return read();
+    },
+
+    watch(onEvent) {
+      if (changeSignal) {
+        watchMode = changeSignal.type;
+        stopSignal = changeSignal.watch(
+          (event) => onEvent({ ...event, source: name, settled: false }),
+          {
+            // Fall back to file system monitoring if the signal fails, until it recovers
+            onUnavailable: () => {
+              sourceLog.warn('Change signal unavailable - falling back to filesystem monitoring', { signal: changeSignal.name });
+              startFilesystemMonitoring(onEvent);
+            },
+            onAvailable: () => {
+              if (!filesystemWatcher) return;
+              sourceLog.info('Change signal recovered - stopping filesystem monitoring', { signal: changeSignal.name });
+              stopFilesystemMonitoring();
+              watchMode = changeSignal.type;
+            }
+          }
+        );
+      } else {
+        startFilesystemMonitoring(onEvent);
+      }
+
+      return () => {
+        if (stopSignal) stopSignal();
+        stopFilesystemMonitoring();
+      };
+    },
+
+    health() {
+      const exists = fs.existsSync(dir);
+      return {
+        healthy: exists && !(lastScan && lastScan.errors.length > 0),
+        dir,
+        exists,
+        watchMode,
+        // watching | disconnected for the change signal; starting | ready | error for polling
+        watchState: watchMode === 'filesystem' ? filesystemWatcherState
+          : watchMode ? (changeSignal.health().watching ? 'watching' : 'disconnected')
+          : null,
+        // Polling because the change signal became unavailable, not by configuration
+        fallback: Boolean(changeSignal) && watchMode === 'filesystem',
+        lastReadAt: lastScan ? lastScan.at : null,
+        files: lastScan ? lastScan.files : null,
+        readErrors: lastScan ? lastScan.errors : [],
+        snapshot: lastScan ? lastScan.snapshot : null
+      };
+    }
+  };
+}
+
+module.exports = { createDirectorySource, readSecretsFromDirectory, scanSecretsDirectory };
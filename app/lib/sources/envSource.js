@@ -0,0 +1,31 @@
+// Secret source backed by process environment variables.
+// Every variable starting with the prefix becomes one entry named after the rest of the
+// variable (APP_SECRET_API_KEY -> api_key). Environment variables cannot change at runtime,
+// so watch() never fires.
+function createEnvSource({ name = 'env', prefix = 'APP_SECRET_', env = process.env }) {
+  const loadedAt = new Date().toISOString();
+
+  async function read() {
+    const secrets = {};
+    for (const [key, value] of Object.entries(env)) {
+      if (!key.startsWith(prefix) || key === prefix) continue;
+      secrets[key.slice(prefix.length).toLowerCase()] = {
+        content: value,
+        lastModified: loadedAt,
+        size: Buffer.byteLength(value, 'utf8')
+      };
+    }
+    return secrets;
+  }
+
+  return {
+    name,
+    type: 'env',
+    list: async () => Object.keys(await read()),
+    read,
+    watch: () => () => {},
+    health: () => ({ healthy: true, prefix })
+  };
+}
+
+module.exports = { createEnvSource };
@@ -0,0 +1,118 @@
+const { createDirectorySource, readSecretsFromDirectory } = require('./directorySource');
+const { createKubernetesSource } = require('./kubernetesSource');
+const { createEnvSource } = require('./envSource');
+const { createVaultSource, VaultError } = require('./vaultSource');
+const { logger } = require('../logger');
+
+const log = logger.child({ component: 'watcher' });
+
+// Every source implements the same interface:
+//   name, type
+//   list()            -> Promise<string[]> of secret names
+//   read()            -> Promise<{ [name]: { content, lastModified, size, ... } }>
+//   watch(onEvent)    -> stop function; onEvent({ source, reason, settled, ... }) on changes.
+//                        settled=false means "a change is on its way" (keep re-reading).
+//   health()          -> { healthy, ...details }
+const SOURCE_TYPES = {
+  directory: createDirectorySource,
+  kubernetes: createKubernetesSource,
+  env: createEnvSource,
+  vault: createVaultSource
+};
+
+function createSource(type, options) {
+  const factory = SOURCE_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown secret source "${type}" (expected one of: ${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// Combine several sources into one. Sources are listed in priority order: when two
+// sources provide the same secret name, the earlier one wins. Each entry is tagged
+// with the name of the source it came from. A source whose read fails contributes the
+// entries of its last successful read, so a transient error (Vault or API unavailable)
+// does not look like every one of its secrets was removed.
+function createSourceSet(sources) {
+  const stopFunctions = [];
+  const readErrors = new Map();
+  const lastValues = new Map(); // source name -> entries of its last successful read
+  let lastReadAt = null;
+  let lastReadSucceeded = false;
+  let lastSuccessfulReadAt = null; // Last read in which every source answered
+
+  async function read() {
+    const results = await Promise.allSettled(sources.map(source => source.read()));
+    const merged = {};
+    lastReadAt = new Date().toISOString();
+    lastReadSucceeded = results.every(result => result.status === 'fulfilled');
+    if (lastReadSucceeded) lastSuccessfulReadAt = lastReadAt;
+
+    results.forEach((result, index) => {
+      const source = sources[index];
+      if (result.status === 'rejected') {
+        if (readErrors.get(source.name) !== result.reason.message) {
+          log.error('Secret source read failed - keeping its last known secrets', {
+            source: source.name,
+            error: result.reason.message,
+            kept: Object.keys(lastValues.get(source.name) || {}).length
+          });
+        }
+        readErrors.set(source.name, result.reason.message);
+      } else {
+        readErrors.delete(source.name);
+        lastValues.set(source.name, result.value);
+      }
+      for (const [name, secret] of Object.entries(lastValues.get(source.name) || {})) {
+        if (!(name in merged)) merged[name] = { ...secret, origin: source.name };
+      }
+    });
+
+    return merged;
+  }
+
+  async function list() {
+    return Object.keys(await read());
+  }
+
+  function watch(onEvent) {
+    for (const source of sources) {
+      stopFunctions.push(source.watch(onEvent));
+    }
+  }
+
+  function health() {
+    return sources.map(source => ({
+      name: source.name,
+      type: source.type,
+      ...source.health(),
+      ...(readErrors.has(source.name) && { healthy: false, readError: readErrors.get(source.name) })
+    }));
+  }
+
+  // When the sources were last read, whether every source answered, and the current read errors
+  function readStatus() {
+    return {
+      lastReadAt,
+      lastSuccessfulReadAt,
+      succeeded: lastReadSucceeded,
+      errors: Object.fromEntries(readErrors)
+    };
+  }
+
+  function stop() {
+    while (stopFunctions.length > 0) {
+      stopFunctions.pop()();
+    }
+  }
+
+  return { sources, list, read, watch, health, readStatus, stop };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  createSource,
+  createSourceSet,
+  readSecretsFromDirectory,
+  VaultError
+};
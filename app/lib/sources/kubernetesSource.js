@@ -0,0 +1,361 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const YAML = require('yaml');
+const { logger } = require('../logger');
+const { readBufferContent, DEFAULT_MAX_FILE_BYTES } = require('../secretContent');
+
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+const REQUEST_TIMEOUT_MS = 10000;
+const WATCH_TIMEOUT_SECONDS = 300; // Server closes the watch after this; we resume from the last resourceVersion
+const INITIAL_BACKOFF_MS = 1000;
+const MIN_HEALTHY_WATCH_MS = 5000; // Watches ending sooner back off like failures
+const MAX_BACKOFF_MS = 30000;
+
+class KubernetesApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'KubernetesApiError';
+    this.status = status;
+  }
+}
+
+// In-cluster service account: token is re-read per request because bound tokens rotate
+function loadInClusterConfig() {
+  const host = process.env.KUBERNETES_SERVICE_HOST;
+  const port = process.env.KUBERNETES_SERVICE_PORT || 443;
+  const tokenFile = path.join(SERVICE_ACCOUNT_DIR, 'token');
+  if (!host || !fs.existsSync(tokenFile)) return null;
+
+  return {
+    mode: 'in-cluster',
+    server: `https://${host.includes(':') ? `[${host}]` : host}:${port}`,
+    ca: fs.readFileSync(path.join(SERVICE_ACCOUNT_DIR, 'ca.crt')),
+    tokenFile,
+    rejectUnauthorized: true
+  };
+}
+
+function fileOrData(entry, key, baseDir) {
+  if (entry[`${key}-data`]) return Buffer.from(entry[`${key}-data`], 'base64');
+  if (entry[key]) return fs.readFileSync(path.resolve(baseDir, entry[key]));
+  return undefined;
+}
+
+// Current context of a kubeconfig file (token, token file or client certificate auth)
+function loadKubeconfig(kubeconfigPath) {
+  const file = kubeconfigPath || path.join(os.homedir(), '.kube', 'config');
+  if (!fs.existsSync(file)) return null;
+
+  const config = YAML.parse(fs.readFileSync(file, 'utf8'));
+  const baseDir = path.dirname(file);
+  const byName = (list, name) => (list || []).find(item => item.name === name);
+
+  const context = byName(config.contexts, config['current-context'])?.context;
+  if (!context) throw new Error(`Kubeconfig ${file} has no current context`);
+  const cluster = byName(config.clusters, context.cluster)?.cluster;
+  if (!cluster) throw new Error(`Kubeconfig ${file}: cluster "${context.cluster}" not found`);
+  const user = byName(config.users, context.user)?.user || {};
+  if (user.exec || user['auth-provider']) {
+    throw new Error(`Kubeconfig ${file}: exec/auth-provider credentials are not supported - use a token or client certificate`);
+  }
+
+  return {
+    mode: 'kubeconfig',
+    server: cluster.server.replace(/\/+$/, ''),
+    ca: fileOrData(cluster, 'certificate-authority', baseDir),
+    rejectUnauthorized: !cluster['insecure-skip-tls-verify'],
+    token: user.token,
+    tokenFile: user.tokenFile ? path.resolve(baseDir, user.tokenFile) : undefined,
+    cert: fileOrData(user, 'client-certificate', baseDir),
+    key: fileOrData(user, 'client-key', baseDir)
+  };
+}
+
+// Secret source backed by a Kubernetes Secret object, read and watched through the API server.
+// Watches use resourceVersion bookmarks to resume cheaply, re-list after 410 Gone
+// (the resourceVersion was compacted away) and back off exponentially on failures.
+// A single watch connection is shared by all listeners.
+function createKubernetesSource({ name = 'kubernetes', namespace, secretName, kubeconfigPath, maxFileBytes = () => DEFAULT_MAX_FILE_BYTES }) {
+  const collectionPath = `/api/v1/namespaces/${encodeURIComponent(namespace)}/secrets`;
+  const fieldSelector = encodeURIComponent(`metadata.name=${secretName}`);
+  const listeners = new Set();
+  const log = logger.child({ component: 'watcher', source: name, namespace, secretName });
+
+  let clusterConfig;
+  let configError = null;
+  let running = false;
+  let currentRequest = null;
+  let retryTimer = null;
+  let backoffMs = INITIAL_BACKOFF_MS;
+  let watchResourceVersion = null; // Where the next watch resumes (advanced by events and bookmarks)
+  let secretResourceVersion; // undefined until the first list, null while the Secret does not exist
+  let cachedSecrets = null;
+  let lastEventAt = null;
+  let lastError = null;
+  let restarts = 0;
+  let relists = 0;
+
+  try {
+    clusterConfig = loadInClusterConfig() || loadKubeconfig(kubeconfigPath);
+    if (!clusterConfig) configError = new Error('no in-cluster service account or kubeconfig found');
+  } catch (err) {
+    configError = err;
+  }
+
+  // `track` marks requests made by the watch loop so stopWatch() can abort them
+  function request(apiPath, { timeout = REQUEST_TIMEOUT_MS, track = false } = {}) {
+    const url = new URL(apiPath, clusterConfig.server);
+    const transport = url.protocol === 'https:' ? https : http;
+    const token = clusterConfig.tokenFile
+      ? fs.readFileSync(clusterConfig.tokenFile, 'utf8').trim()
+      : clusterConfig.token;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.get(url, {
+        headers: {
+          Accept: 'application/json',
+          ...(token && { Authorization: `Bearer ${token}` })
+        },
+        ca: clusterConfig.ca,
+        cert: clusterConfig.cert,
+        key: clusterConfig.key,
+        rejectUnauthorized: clusterConfig.rejectUnauthorized
+      }, resolve);
+      req.setTimeout(timeout, () => req.destroy(new Error(`Kubernetes API request timed out after ${timeout}ms`)));
+      req.on('error', reject);
+      if (track) currentRequest = req;
+    });
+  }
+
+  async function getJson(apiPath, options) {
+    const res = await request(apiPath, options);
+    let body = '';
+    for await (const chunk of res) body += chunk;
+    const payload = body ? JSON.parse(body) : {};
+    if (res.statusCode >= 400) {
+      throw new KubernetesApiError(`Kubernetes GET ${apiPath} failed: ${res.statusCode} ${payload.message || res.statusMessage}`, res.statusCode);
+    }
+    return payload;
+  }
+
+  function decodeSecret(secret) {
+    if (!secret) return {};
+    // Secrets carry no modification time; the newest managedFields entry is the best proxy
+    const lastModified = (secret.metadata.managedFields || [])
+      .map(field => field.time)
+      .filter(Boolean)
+      .sort()
+      .pop() || secret.metadata.creationTimestamp;
+
+    const secrets = {};
+    for (const [key, encoded] of Object.entries(secret.data || {})) {
+      const value = Buffer.from(encoded, 'base64');
+      secrets[key] = {
+        ...readBufferContent(value, { name: key, maxBytes: maxFileBytes() }),
+        lastModified,
+        size: value.length,
+        resourceVersion: secret.metadata.resourceVersion
+      };
+    }
+    return secrets;
+  }
+
+  // Update the cache from a listed/watched Secret (null = deleted) and notify on changes
+  function applySecret(secret) {
+    const resourceVersion = secret ? secret.metadata.resourceVersion : null;
+    if (resourceVersion === secretResourceVersion) return;
+
+    secretResourceVersion = resourceVersion;
+    cachedSecrets = decodeSecret(secret);
+    log.info(secret ? 'Kubernetes secret changed' : 'Kubernetes secret deleted', { resourceVersion });
+    for (const listener of listeners) {
+      listener.onEvent({ source: name, reason: 'k8s-watch-detected', resourceVersion, settled: true, secrets: cachedSecrets });
+    }
+  }
+
+  async function relist() {
+    const secretList = await getJson(`${collectionPath}?fieldSelector=${fieldSelector}`, { track: true });
+    relists++;
+    applySecret(secretList.items[0] || null);
+    return secretList.metadata.resourceVersion;
+  }
+
+  // One watch request; resolves when the server closes the stream normally
+  function watchOnce() {
+    const query = `fieldSelector=${fieldSelector}&watch=true&allowWatchBookmarks=true` +
+      `&resourceVersion=${encodeURIComponent(watchResourceVersion)}&timeoutSeconds=${WATCH_TIMEOUT_SECONDS}`;
+
+    return request(`${collectionPath}?${query}`, { timeout: (WATCH_TIMEOUT_SECONDS + 30) * 1000, track: true }).then(res => new Promise((resolve, reject) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new KubernetesApiError(`Kubernetes watch failed: ${res.statusCode} ${res.statusMessage}`, res.statusCode));
+      }
+
+      if (lastError) {
+        log.info('Kubernetes API watch recovered');
+        lastError = null;
+        for (const listener of listeners) {
+          if (listener.onAvailable) listener.onAvailable();
+        }
+      }
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          let event;
+          try {
+            event = JSON.parse(line);
+          } catch (err) {
+            res.destroy();
+            return reject(new Error(`Malformed watch event: ${line.substring(0, 100)}`));
+          }
+          lastEventAt = new Date().toISOString();
+          if (event.type === 'ERROR') {
+            res.destroy();
+            return reject(new KubernetesApiError(`Kubernetes watch error: ${event.object.message}`, event.object.code));
+          }
+          watchResourceVersion = event.object.metadata.resourceVersion;
+          if (event.type === 'BOOKMARK') continue;
+          applySecret(event.type === 'DELETED' ? null : event.object);
+        }
+      });
+      res.on('end', resolve);
+      res.on('error', reject);
+    }));
+  }
+
+  function schedule(delay) {
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      run();
+    }, delay);
+  }
+
+  function scheduleBackoff() {
+    schedule(backoffMs + Math.floor(Math.random() * backoffMs * 0.2));
+    backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+  }
+
+  async function run() {
+    if (!running) return;
+    let relisted = false;
+    let watchStartedAt = null;
+    // A watch that stayed open for a while was healthy - the next failure starts backing off from scratch
+    const watchWasHealthy = () => watchStartedAt !== null && Date.now() - watchStartedAt >= MIN_HEALTHY_WATCH_MS;
+    try {
+      if (!watchResourceVersion) {
+        watchResourceVersion = await relist();
+        relisted = true;
+      }
+      watchStartedAt = Date.now();
+      await watchOnce();
+      if (watchWasHealthy()) {
+        backoffMs = INITIAL_BACKOFF_MS;
+        return schedule(0); // Watch timed out normally - resume from the last resourceVersion
+      }
+      // E.g. a proxy closing streams at once, which would otherwise reconnect in a hot loop
+      log.warn('Kubernetes API watch closed immediately - backing off', { durationMs: Date.now() - watchStartedAt, retryInMs: backoffMs });
+      scheduleBackoff();
+    } catch (err) {
+      if (!running) return;
+      currentRequest = null;
+      if (watchWasHealthy()) backoffMs = INITIAL_BACKOFF_MS;
+
+      if (err.status === 410) {
+        log.info('Kubernetes resourceVersion expired (410 Gone) - re-listing', { resourceVersion: watchResourceVersion });
+        watchResourceVersion = null;
+        // A fresh list that is already expired would loop - back off like any other failure
+        if (!relisted) return schedule(0);
+      }
+
+      if (!lastError || lastError.message !== err.message) {
+        log.error('Kubernetes API watch failed', { error: err.message, retryInMs: backoffMs });
+      }
+      lastError = err;
+      restarts++;
+      for (const listener of listeners) {
+        if (listener.onUnavailable) listener.onUnavailable(err);
+      }
+      scheduleBackoff();
+    }
+  }
+
+  function startWatch() {
+    log.info('Watching secret via the Kubernetes API', { server: clusterConfig.server, mode: clusterConfig.mode });
+    running = true;
+    run();
+  }
+
+  function stopWatch() {
+    running = false;
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = null;
+    if (currentRequest) currentRequest.destroy();
+    currentRequest = null;
+  }
+
+  // Served from the watch cache while watching (the last known state while the watch
+  // reconnects, so API blips don't look like deleted secrets), otherwise fetched directly
+  async function read() {
+    if (configError) throw configError;
+    if (running && cachedSecrets) return { ...cachedSecrets };
+    return decodeSecret(await getJson(`${collectionPath}/${encodeURIComponent(secretName)}`));
+  }
+
+  // onUnavailable(err) lets callers (e.g. the directory source) switch to a fallback, and
+  // onAvailable() tells them when the watch has recovered
+  function watch(onEvent, { onUnavailable, onAvailable } = {}) {
+    const listener = { onEvent, onUnavailable, onAvailable };
+    listeners.add(listener);
+
+    if (configError) {
+      log.warn('Kubernetes API not available', { error: configError.message });
+      if (onUnavailable) onUnavailable(configError);
+    } else if (!running) {
+      startWatch();
+    }
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && running) stopWatch();
+    };
+  }
+
+  function health() {
+    return {
+      healthy: !configError && !lastError,
+      mode: clusterConfig ? clusterConfig.mode : null,
+      server: clusterConfig ? clusterConfig.server : null,
+      namespace,
+      secretName,
+      watching: running && !lastError,
+      resourceVersion: watchResourceVersion,
+      secretResourceVersion: secretResourceVersion ?? null,
+      lastEventAt,
+      restarts,
+      relists,
+      error: (configError || lastError)?.message || null
+    };
+  }
+
+  return {
+    name,
+    type: 'kubernetes',
+    list: async () => Object.keys(await read()),
+    read,
+    watch,
+    health
+  };
+}
+
+module.exports = { createKubernetesSource, KubernetesApiError };
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+class VaultError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'VaultError';
+    this.status = status;
+  }
+}
+
+// Polls a KV-v2 secret directly from Vault's HTTP API.
+// Each key of the Vault secret becomes one entry, shaped like the entries
+// readSecretsFromDirectory() returns, plus a `vault` block with version metadata.
+function createVaultSource({
+  name = 'vault',
+  address,
+  token,
+  roleId,
+  secretId,
+  approleMount = 'approle',
+  mount = 'secret',
+  secretPath,
+  namespace,
+  pollInterval = 10000
+}) {
+  if (!address) throw new Error('VAULT_ADDR is required for the Vault source');
+  if (!secretPath) throw new Error('VAULT_KV_PATH is required for the Vault source');
+  if (!token && !(roleId && secretId)) {
+    throw new Error('Vault source needs VAULT_TOKEN or VAULT_ROLE_ID + VAULT_SECRET_ID');
+  }
+
+  const baseUrl = address.replace(/\/+$/, '');
+  const kvPath = secretPath.replace(/^\/+|\/+$/g, '');
+  const log = logger.child({ component: 'watcher', source: name, path: `${mount}/${kvPath}` });
+  let clientToken = token || null;
+  let loginInFlight = null; // Shared so parallel requests trigger a single AppRole login
+  let pollTimer = null;
+  let lastDigest = null;
+  let lastSecrets = {};
+  let lastError = null;
+  let lastPoll = null;
+
+  async function request(method, apiPath, body, { authenticated = true } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (authenticated && clientToken) headers['X-Vault-Token'] = clientToken;
+    if (namespace) headers['X-Vault-Namespace'] = namespace;
+
+    const response = await fetch(`${baseUrl}/v1/${apiPath}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    const text = await response.text();
+    const payload = text ? JSON.parse(text) : {};
+    if (!response.ok) {
+      const detail = (payload.errors || []).join('; ') || response.statusText;
+      throw new VaultError(`Vault ${method} ${apiPath} failed: ${response.status} ${detail}`, response.status);
+    }
+    return payload;
+  }
+
+  function login() {
+    if (token) return Promise.resolve(); // Static token - nothing to renew here
+    if (!loginInFlight) {
+      loginInFlight = request('POST', `auth/${approleMount}/login`, {
+        role_id: roleId,
+        secret_id: secretId
+      }, { authenticated: false })
+        .then(payload => {
+          clientToken = payload.auth.client_token;
+          log.info('Vault AppRole login succeeded', { leaseSeconds: payload.auth.lease_duration });
+        })
+        .finally(() => {
+          loginInFlight = null;
+        });
+    }
+    return loginInFlight;
+  }
+
+  // Retry once after re-authenticating when an AppRole token expired
+  async function authenticatedRequest(method, apiPath) {
+    if (!clientToken) await login();
+    try {
+      return await request(method, apiPath);
+    } catch (err) {
+      if (err.status === 403 && !token) {
+        log.info('Vault token rejected - logging in again via AppRole');
+        await login();
+        return request(method, apiPath);
+      }
+      throw err;
+    }
+  }
+
+  // Read data and metadata, returning a secrets map keyed by Vault key name
+  async function read() {
+    const [dataResponse, metadataResponse] = await Promise.all([
+      authenticatedRequest('GET', `${mount}/data/${kvPath}`),
+      authenticatedRequest('GET', `${mount}/metadata/${kvPath}`)
+    ]);
+
+    const { data = {}, metadata = {} } = dataResponse.data || {};
+    const kvMetadata = metadataResponse.data || {};
+    const versions = Object.entries(kvMetadata.versions || {})
+      .map(([version, info]) => ({
+        version: parseInt(version, 10),
+        createdTime: info.created_time,
+        deletionTime: info.deletion_time || null,
+        destroyed: Boolean(info.destroyed)
+      }))
+      .sort((a, b) => b.version - a.version);
+
+    const secrets = {};
+    for (const [key, value] of Object.entries(data)) {
+      const content = typeof value === 'string' ? value : JSON.stringify(value);
+      secrets[key] = {
+        content,
+        lastModified: metadata.created_time,
+        size: Buffer.byteLength(content, 'utf8'),
+        vault: {
+          path: `${mount}/${kvPath}`,
+          version: metadata.version,
+          currentVersion: kvMetadata.current_version,
+          updatedTime: kvMetadata.updated_time,
+          versions
+        }
+      };
+    }
+    return secrets;
+  }
+
+  function digest(secrets) {
+    const hash = crypto.createHash('sha256');
+    for (const key of Object.keys(secrets).sort()) {
+      hash.update(key).update('\0').update(secrets[key].content).update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  // Poll until stopped; onEvent fires only when key/value content changes and
+  // carries the freshly read secrets so callers don't need a second read
+  function watch(onEvent) {
+    let stopped = false;
+    const poll = async () => {
+      try {
+        const secrets = await read();
+        const currentDigest = digest(secrets);
+        lastPoll = new Date().toISOString();
+        if (lastError) {
+          log.info('Vault source recovered');
+          lastError = null;
+        }
+        lastSecrets = secrets;
+        if (currentDigest !== lastDigest) {
+          lastDigest = currentDigest;
+          onEvent({ source: name, reason: 'vault-poll', settled: true, secrets });
+        }
+      } catch (err) {
+        if (!lastError || lastError.message !== err.message) {
+          log.error('Vault source poll failed', { error: err.message });
+        }
+        lastError = err;
+      } finally {
+        if (!stopped) pollTimer = setTimeout(poll, pollInterval);
+      }
+    };
+
+    log.info('Polling Vault KV-v2', { address: baseUrl, pollIntervalMs: pollInterval, auth: token ? 'token' : 'approle' });
+    poll();
+
+    return () => {
+      stopped = true;
+      if (pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+      }
+    };
+  }
+
+  function health() {
+    return {
+      healthy: lastPoll !== null && !lastError,
+      address: baseUrl,
+      path: `${mount}/${kvPath}`,
+      lastPoll,
+      error: lastError ? lastError.message : null
+    };
+  }
+
+  return {
+    name,
+    type: 'vault',
+    list: async () => Object.keys(await read()),
+    read,
+    watch,
+    health,
+    current: () => lastSecrets
+  };
+}
+
+module.exports = { createVaultSource, VaultError };
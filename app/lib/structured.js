@@ -0,0 +1,111 @@
+const YAML = require('yaml');
+
+const ENV_LINE = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+const CACHE_SIZE = 500;
+const MAX_KEY_CHANGES = 100; // Per file, so one rewritten blob cannot flood an activity entry
+
+const isTree = (value) => value !== null && typeof value === 'object';
+
+// `sniffing` (no .env extension) rejects values starting with "=" and all-empty values, so
+// base64 with padding ("c2VjcmV0==") is not mistaken for a one-line .env file
+function parseEnv(content, sniffing = false) {
+  const tree = {};
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(ENV_LINE);
+    if (!match || (sniffing && match[2].startsWith('='))) return null;
+    tree[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+  }
+  if (sniffing && !Object.values(tree).some(Boolean)) return null;
+  return Object.keys(tree).length > 0 ? tree : null;
+}
+
+function parseJson(content) {
+  try {
+    const value = JSON.parse(content);
+    return isTree(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Only mappings and sequences count: almost any text is a valid YAML scalar
+function parseYaml(content) {
+  try {
+    const value = YAML.parse(content);
+    return isTree(value) ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+const PARSERS = { json: parseJson, yaml: parseYaml, env: parseEnv };
+const EXTENSIONS = { json: 'json', yaml: 'yaml', yml: 'yaml', env: 'env' };
+
+// Parse JSON, YAML or .env content into a key tree: { format, tree }, or null for anything
+// else. The extension decides when there is one; otherwise JSON, .env and YAML are tried in
+// that order (.env before YAML, which would read "A=1" as a string). Cached by content.
+const cache = new Map();
+function parseStructured(filename, content) {
+  if (!content) return null;
+  const ext = filename.includes('.') ? filename.split('.').pop().toLowerCase() : null;
+  const key = `${EXTENSIONS[ext] || ''}:${content}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let result = null;
+  const formats = EXTENSIONS[ext] ? [EXTENSIONS[ext]] : ['json', 'env', 'yaml'];
+  for (const format of formats) {
+    const tree = PARSERS[format](content, !EXTENSIONS[ext]);
+    if (tree) {
+      result = { format, tree };
+      break;
+    }
+  }
+  cache.set(key, result);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  return result;
+}
+
+const childPath = (path, key, parent) => Array.isArray(parent) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Key-level changes between two trees: [{ path, change }] with change added/changed/removed
+// and paths like "database.hosts[0]". A subtree replaced by a scalar (or vice versa) is one
+// change at its path.
+function diffTrees(oldTree, newTree, path = '', changes = []) {
+  for (const key of Object.keys(newTree)) {
+    const keyPath = childPath(path, key, newTree);
+    if (!(key in oldTree)) {
+      changes.push({ path: keyPath, change: 'added' });
+    } else if (isTree(oldTree[key]) && isTree(newTree[key]) && Array.isArray(oldTree[key]) === Array.isArray(newTree[key])) {
+      diffTrees(oldTree[key], newTree[key], keyPath, changes);
+    } else if (JSON.stringify(oldTree[key]) !== JSON.stringify(newTree[key])) {
+      changes.push({ path: keyPath, change: 'changed' });
+    }
+  }
+  for (const key of Object.keys(oldTree)) {
+    if (!(key in newTree)) changes.push({ path: childPath(path, key, oldTree), change: 'removed' });
+  }
+  return changes;
+}
+
+// Key-level changes of one file between two secret entries (each with `structure` from
+// parseStructured), or null when either side is not structured or the format changed
+function diffStructured(oldSecret, newSecret) {
+  const before = oldSecret && oldSecret.structure;
+  const after = newSecret && newSecret.structure;
+  if (!before || !after || before.format !== after.format) return null;
+  const changes = diffTrees(before.tree, after.tree);
+  return changes.length > MAX_KEY_CHANGES
+    ? [...changes.slice(0, MAX_KEY_CHANGES), { path: `… ${changes.length - MAX_KEY_CHANGES} more`, change: 'changed' }]
+    : changes;
+}
+
+// Same tree with every leaf value replaced, for sending key structure without values
+function mapLeaves(tree, mapLeaf) {
+  if (Array.isArray(tree)) return tree.map(value => mapLeaves(value, mapLeaf));
+  if (isTree(tree)) return Object.fromEntries(Object.entries(tree).map(([key, value]) => [key, mapLeaves(value, mapLeaf)]));
+  return mapLeaf(tree);
+}
+
+module.exports = { parseStructured, diffStructured, mapLeaves };
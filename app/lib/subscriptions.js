@@ -0,0 +1,93 @@
+const { globToRegExp } = require('./accessPolicy');
+
+const MAX_PATTERN_LENGTH = 256;
+
+// Per-socket subscriptions to secret files, routed through socket.io rooms: one room per
+// filename glob ("watch:<glob>"). A socket follows every file (room "watch:*") until it
+// subscribes to specific globs, and returns to following everything once it unsubscribes from
+// all of them. Updates go only to the sockets in rooms whose glob matches a changed file.
+function createSubscriptionRouter({ io, roomPrefix = 'watch:', maxPatterns = 100 }) {
+  const matchers = new Map(); // glob -> RegExp, shared by every room using it
+  const lastChange = new Map(); // glob -> ISO time of the last update routed through its room
+
+  // Forget globs nobody subscribes to any more
+  io.sockets.adapter.on('delete-room', (room) => {
+    if (!room.startsWith(roomPrefix)) return;
+    matchers.delete(room.slice(roomPrefix.length));
+    lastChange.delete(room.slice(roomPrefix.length));
+  });
+
+  const matcher = (pattern) => {
+    if (!matchers.has(pattern)) matchers.set(pattern, globToRegExp(pattern));
+    return matchers.get(pattern);
+  };
+
+  // Returns an error message for invalid input, otherwise null
+  function validate(patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) return '"patterns" must be a non-empty array';
+    if (!patterns.every(pattern => typeof pattern === 'string' && pattern.length > 0 && pattern.length <= MAX_PATTERN_LENGTH)) {
+      return `Patterns must be non-empty strings of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  function set(socket, patterns) {
+    for (const room of [...socket.rooms]) {
+      if (room.startsWith(roomPrefix)) socket.leave(room);
+    }
+    socket.data.subscriptions = patterns && patterns.length > 0 ? patterns : null;
+    for (const pattern of socket.data.subscriptions || ['*']) {
+      socket.join(roomPrefix + pattern);
+    }
+    return socket.data.subscriptions;
+  }
+
+  function subscribe(socket, patterns) {
+    const error = validate(patterns);
+    if (error) throw new Error(error);
+    const merged = [...new Set([...(socket.data.subscriptions || []), ...patterns])];
+    if (merged.length > maxPatterns) throw new Error(`At most ${maxPatterns} subscriptions per client`);
+    return set(socket, merged);
+  }
+
+  // Without patterns, drops every subscription (back to following everything)
+  function unsubscribe(socket, patterns) {
+    if (patterns === undefined) return set(socket, null);
+    const error = validate(patterns);
+    if (error) throw new Error(error);
+    return set(socket, (socket.data.subscriptions || []).filter(pattern => !patterns.includes(pattern)));
+  }
+
+  function follows(socket, file) {
+    return !socket.data.subscriptions || socket.data.subscriptions.some(pattern => matcher(pattern).test(file));
+  }
+
+  // Sockets subscribed to any of the files, via the rooms of the matching globs
+  function socketsFor(files) {
+    const ids = new Set();
+    const now = new Date().toISOString();
+    for (const [room, members] of io.sockets.adapter.rooms) {
+      if (!room.startsWith(roomPrefix)) continue;
+      const pattern = room.slice(roomPrefix.length);
+      if (!files.some(file => matcher(pattern).test(file))) continue;
+      lastChange.set(pattern, now);
+      members.forEach(id => ids.add(id));
+    }
+    return [...ids].map(id => io.sockets.sockets.get(id)).filter(Boolean);
+  }
+
+  // Heartbeat view of a socket's subscriptions: how many of the given (readable) files each
+  // glob matches and when an update last went to its room. null when following everything.
+  function state(socket, files) {
+    if (!socket.data.subscriptions) return null;
+    return socket.data.subscriptions.map(pattern => ({
+      pattern,
+      matches: files.filter(file => matcher(pattern).test(file)).length,
+      lastChange: lastChange.get(pattern) || null
+    }));
+  }
+
+  return { set, subscribe, unsubscribe, follows, socketsFor, state };
+}
+
+module.exports = { createSubscriptionRouter };
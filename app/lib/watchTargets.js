@@ -0,0 +1,61 @@
+const fs = require('fs');
+
+const TARGET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Watched targets, each one VaultStaticSecret as seen by the app:
+//   [
+//     { "id": "web", "label": "Web frontend", "namespace": "web", "secretName": "vault-web-secrets",
+//       "mountPath": "/secrets/web", "sources": ["directory"] }
+//   ]
+// `json` (inline) wins over `file`. Without either, a single target is built from `defaults`.
+// Listed targets inherit namespace and sources from `defaults` but must name their own
+// secretName and mountPath.
+function loadWatchTargets({ json, file, defaults }) {
+  let raw;
+  if (json) {
+    raw = JSON.parse(json);
+  } else if (file) {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else {
+    return [normalizeTarget(defaults, 0, defaults)];
+  }
+
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error('Watch targets must be a non-empty JSON array');
+  }
+  raw.forEach((target, index) => {
+    for (const field of ['id', 'secretName', 'mountPath']) {
+      if (!target[field]) throw new Error(`Watch target #${index + 1}: "${field}" is required`);
+    }
+  });
+
+  const targets = raw.map((target, index) => normalizeTarget(target, index, defaults));
+  const seen = new Set();
+  for (const target of targets) {
+    if (seen.has(target.id)) throw new Error(`Duplicate watch target id "${target.id}"`);
+    seen.add(target.id);
+  }
+  return targets;
+}
+
+function normalizeTarget(target, index, defaults) {
+  const { id } = target;
+  if (!TARGET_ID_PATTERN.test(id)) {
+    throw new Error(`Watch target #${index + 1}: "id" must be letters, digits, "-" or "_"`);
+  }
+  const sources = target.sources || defaults.sources;
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error(`Watch target "${id}": "sources" must be a non-empty array`);
+  }
+
+  return {
+    id,
+    label: target.label || id,
+    namespace: target.namespace || defaults.namespace,
+    secretName: target.secretName,
+    mountPath: target.mountPath,
+    sources
+  };
+}
+
+module.exports = { loadWatchTargets };
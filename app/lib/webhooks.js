@@ -0,0 +1,253 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { globToRegExp } = require('./accessPolicy');
+const { createActivityStore } = require('./activityStore');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'webhooks' });
+
+const HOOK_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const FORMATS = ['json', 'slack', 'teams'];
+const CHANGE_TYPES = ['added', 'modified', 'removed'];
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_BACKOFF_MS = 60000;
+
+// Outbound webhooks, configured as a JSON array (inline WEBHOOKS or WEBHOOKS_FILE):
+//   [
+//     { "id": "platform-team", "url": "https://hooks.slack.com/services/...", "format": "slack",
+//       "files": ["db_*"], "targets": ["web"], "events": ["modified", "removed"],
+//       "secretEnv": "PLATFORM_HOOK_SECRET" }
+//   ]
+// Only `id` and `url` are required. `files` are filename globs (default: every file),
+// `targets` and `events` default to all. The HMAC key comes from `secretEnv` (preferred, keeps
+// it out of the file) or `secret`. Payloads carry file names and change types, never values.
+function loadWebhooks({ json, file, env = process.env }) {
+  let raw;
+  if (json) {
+    raw = JSON.parse(json);
+  } else if (file) {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } else {
+    return [];
+  }
+  if (!Array.isArray(raw)) throw new Error('Webhooks must be a JSON array');
+
+  const seen = new Set();
+  return raw.map((hook, index) => {
+    const where = `Webhook #${index + 1}`;
+    if (!hook.id || !HOOK_ID_PATTERN.test(hook.id)) {
+      throw new Error(`${where}: "id" must be letters, digits, "-" or "_"`);
+    }
+    if (seen.has(hook.id)) throw new Error(`Duplicate webhook id "${hook.id}"`);
+    seen.add(hook.id);
+
+    let url;
+    try {
+      url = new URL(hook.url);
+    } catch (err) {
+      throw new Error(`${where}: "url" must be an absolute URL`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${where}: "url" must be http(s)`);
+
+    const format = hook.format || 'json';
+    if (!FORMATS.includes(format)) throw new Error(`${where}: "format" must be one of ${FORMATS.join(', ')}`);
+    const events = hook.events || CHANGE_TYPES;
+    if (!events.every(event => CHANGE_TYPES.includes(event))) {
+      throw new Error(`${where}: "events" may only contain ${CHANGE_TYPES.join(', ')}`);
+    }
+    if (hook.secretEnv && !env[hook.secretEnv]) {
+      throw new Error(`${where}: environment variable ${hook.secretEnv} is not set`);
+    }
+
+    return {
+      id: hook.id,
+      url: url.toString(),
+      format,
+      files: hook.files || ['*'],
+      fileMatchers: (hook.files || ['*']).map(globToRegExp),
+      targets: hook.targets || null,
+      events,
+      headers: hook.headers || {},
+      secret: hook.secretEnv ? env[hook.secretEnv] : hook.secret || null
+    };
+  });
+}
+
+// Hook settings safe to show in the UI: webhook URLs often embed a token (Slack, Teams),
+// so only the host is exposed, and never the signing key
+function describeHook(hook) {
+  return {
+    id: hook.id,
+    host: new URL(hook.url).host,
+    format: hook.format,
+    files: hook.files,
+    targets: hook.targets,
+    events: hook.events,
+    signed: Boolean(hook.secret)
+  };
+}
+
+function summaryLine(event, changes) {
+  const list = changes.map(({ file, change }) => `\`${file}\` ${change}`).join(', ');
+  return `Secrets changed in ${event.target.label} (${event.target.namespace}/${event.target.secretName}): ${list}`;
+}
+
+function buildPayload(format, event, changes) {
+  switch (format) {
+    case 'slack':
+      return { text: `🔄 ${summaryLine(event, changes)}` };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        summary: `Secrets changed in ${event.target.label}`,
+        themeColor: changes.some(({ change }) => change === 'removed') ? 'D9534F' : '0078D7',
+        title: `🔄 Secrets changed in ${event.target.label}`,
+        sections: [{
+          activitySubtitle: `${event.target.namespace}/${event.target.secretName} • via ${event.source}`,
+          facts: changes.map(({ file, change }) => ({ name: file, value: change }))
+        }]
+      };
+    default:
+      return {
+        event: 'secrets.changed',
+        timestamp: event.timestamp,
+        target: event.target,
+        source: event.source,
+        changeId: event.changeId,
+        changes
+      };
+  }
+}
+
+// Delivers change notifications to every matching hook, retrying failures with exponential
+// backoff (network errors, 429 and 5xx; other responses fail immediately). Each delivery is
+// one entry in a JSONL log under DATA_DIR, updated in place as attempts happen.
+function createWebhookDispatcher({ hooks, dataDir, maxAttempts = 5, initialBackoffMs = 1000, onDelivery = () => {} }) {
+  const deliveryLog = createActivityStore({ dataDir, fileName: 'webhook-deliveries.jsonl', maxEntries: 1000, label: 'webhook delivery' });
+  const timers = new Set();
+
+  // Payloads are not persisted, so retries cut short by a restart cannot resume
+  for (const entry of deliveryLog.all()) {
+    if (entry.status === 'pending' || entry.status === 'retrying') {
+      deliveryLog.update({ ...entry, status: 'failed', nextAttemptAt: null, error: 'Interrupted by server restart' });
+    }
+  }
+
+  function sign(hook, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', hook.secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async function attempt(hook, entry, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'vault-secrets-web-demo',
+      'X-Webhook-Id': entry.id,
+      'X-Webhook-Timestamp': String(timestamp),
+      ...hook.headers
+    };
+    if (hook.secret) headers['X-Webhook-Signature'] = sign(hook, timestamp, body);
+
+    const started = Date.now();
+    let retryAfterMs = null;
+    let result;
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      await response.arrayBuffer(); // Drain so the connection can be reused
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (!Number.isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+      result = {
+        ok: response.ok,
+        retryable: response.status === 429 || response.status >= 500,
+        responseStatus: response.status,
+        error: response.ok ? null : `HTTP ${response.status} ${response.statusText}`
+      };
+    } catch (err) {
+      result = { ok: false, retryable: true, responseStatus: null, error: err.name === 'TimeoutError' ? 'Request timed out' : err.message };
+    }
+
+    const attempts = entry.attempts + 1;
+    const retry = !result.ok && result.retryable && attempts < maxAttempts;
+    const backoff = Math.min(initialBackoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    const delay = retry ? Math.max(retryAfterMs || 0, backoff + Math.random() * backoff * 0.2) : null;
+
+    const updated = deliveryLog.update({
+      ...entry,
+      attempts,
+      status: result.ok ? 'delivered' : retry ? 'retrying' : 'failed',
+      responseStatus: result.responseStatus,
+      error: result.error,
+      durationMs: Date.now() - started,
+      lastAttemptAt: new Date().toISOString(),
+      nextAttemptAt: retry ? new Date(Date.now() + delay).toISOString() : null
+    });
+
+    if (result.ok) {
+      log.info('Webhook delivered', { hook: hook.id, status: result.responseStatus, attempt: attempts });
+    } else if (retry) {
+      log.warn('Webhook delivery failed - retrying', { hook: hook.id, error: result.error, retryInMs: delay, attempt: attempts, maxAttempts });
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        deliver(hook, updated, body);
+      }, delay);
+      timers.add(timer);
+    } else {
+      log.error('Webhook delivery failed permanently', { hook: hook.id, error: result.error, attempts });
+    }
+    onDelivery(updated);
+  }
+
+  // Nothing awaits a delivery: anything thrown past the request (the delivery log, onDelivery)
+  // is logged rather than left as an unhandled rejection that ends the process
+  function deliver(hook, entry, body) {
+    attempt(hook, entry, body).catch(err => {
+      log.error('Webhook delivery failed', { hook: hook.id, delivery: entry.id, attempt: entry.attempts + 1, error: err.message });
+    });
+  }
+
+  // event: { timestamp, target: { id, label, namespace, secretName }, source, changeId, changes: [{ file, change }] }
+  function notify(event) {
+    for (const hook of hooks) {
+      if (hook.targets && !hook.targets.includes(event.target.id)) continue;
+      const changes = event.changes.filter(({ file, change }) =>
+        hook.events.includes(change) && hook.fileMatchers.some(matcher => matcher.test(file)));
+      if (changes.length === 0) continue;
+
+      const entry = deliveryLog.add({
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        hookId: hook.id,
+        format: hook.format,
+        target: event.target.id,
+        changeId: event.changeId || null,
+        files: changes.map(({ file }) => file),
+        changes,
+        status: 'pending',
+        attempts: 0
+      });
+      onDelivery(entry);
+      deliver(hook, entry, JSON.stringify(buildPayload(hook.format, event, changes)));
+    }
+  }
+
+  function stop() {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return {
+    hooks: hooks.map(describeHook),
+    notify,
+    deliveries: (options) => deliveryLog.query(options),
+    recent: (count) => deliveryLog.recent(count),
+    stop
+  };
+}
+
+module.exports = { loadWebhooks, createWebhookDispatcher, buildPayload };
@@ -1,11 +1,37 @@
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const chokidar = require('chokidar');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const { spawn } = require('child_process');
+const { createActivityStore } = require('./lib/activityStore');
+const { createSecretHistory, redactedDiff } = require('./lib/secretHistory');
+const { maskSecrets, fingerprint, setFingerprintKey } = require('./lib/masking');
+const { createAuthenticator } = require('./lib/auth');
+const { createAccessPolicy } = require('./lib/accessPolicy');
+const { createSource, createSourceSet } = require('./lib/sources');
+const { loadWatchTargets } = require('./lib/watchTargets');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createPropagationStore, STAGES } = require('./lib/propagationStore');
+const { loadWebhooks, createWebhookDispatcher } = require('./lib/webhooks');
+const { createEventStream } = require('./lib/eventStream');
+const { createSubscriptionRouter } = require('./lib/subscriptions');
+const { inspectExpiry, parseDuration } = require('./lib/expiry');
+const { parseStructured, diffStructured } = require('./lib/structured');
+const { createConfig } = require('./lib/config');
+const { logger } = require('./lib/logger');
+const { detectChanges, readUntilChanged, createUpdateQueue } = require('./lib/changeDetection');
+const { limitTotalSize } = require('./lib/secretContent');
+const { createAuditLog, AUDIT_ACTIONS } = require('./lib/auditLog');
+
+// Structured logs, one logger per component (levels set by LOG_LEVEL / LOG_LEVELS, see lib/logger.js)
+const serverLog = logger.child({ component: 'server' });
+const watchLog = logger.child({ component: 'watcher' });
+const syncLog = logger.child({ component: 'sync' });
+const socketLog = logger.child({ component: 'socket' });
+const httpLog = logger.child({ component: 'http' });
 
 const app = express();
 const server = http.createServer(app);
@@ -15,6 +41,9 @@ const io = socketIo(server, {
     methods: ["GET", "POST"]
   }
 });
+// SSE alternative to socket.io at /api/events, with Last-Event-ID resume
+const eventStream = createEventStream({ bufferSize: parseInt(process.env.EVENT_BUFFER_SIZE, 10) || 500 });
+const subscriptions = createSubscriptionRouter({ io });
 
 const PORT = process.env.PORT || 3000;
 const SECRETS_DIR = process.env.SECRETS_DIR || '/secrets';
@@ -23,327 +52,712 @@ const SECRETS_DIR = process.env.SECRETS_DIR || '/secrets';
 const K8S_NAMESPACE = process.env.K8S_NAMESPACE || 'vault-live-secrets-demo';
 const K8S_SECRET_NAME = process.env.K8S_SECRET_NAME || 'vault-web-secrets';
 
-// In-memory activity log (survives until server restart)
-let activityLog = [];
-const MAX_ACTIVITY_ENTRIES = 100;
+// Pluggable secret sources, comma-separated in priority order (earlier wins on name clashes)
+const SECRET_SOURCES = (process.env.SECRET_SOURCES || 'directory')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+// How the directory source learns about changes: 'kubernetes' (API watch with polling fallback) or 'filesystem'
+const DIRECTORY_CHANGE_SIGNAL = process.env.DIRECTORY_CHANGE_SIGNAL || 'kubernetes';
+const SECRET_ENV_PREFIX = process.env.SECRET_ENV_PREFIX || 'APP_SECRET_';
 
-// Global deduplication for WebSocket emissions and activity updates
-let recentEmissions = new Map();
-const EMISSION_DEDUP_WINDOW = 1000; // 1 second window to prevent duplicates
+// Persistent activity history (append-only JSONL under DATA_DIR, survives restarts)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const MAX_ACTIVITY_ENTRIES = parseInt(process.env.MAX_ACTIVITY_ENTRIES, 10) || 10000;
+const ACTIVITY_PAGE_SIZE = 10; // Default page size for /api/activity and socket pushes
+const activityStore = createActivityStore({ dataDir: DATA_DIR, maxEntries: MAX_ACTIVITY_ENTRIES });
+
+// Per-change propagation timelines (Vault write -> watch -> file -> emit -> browser render)
+const propagationStore = createPropagationStore({ dataDir: DATA_DIR });
+
+// Tamper-evident record of who read, revealed, exported or refreshed secrets
+const auditLog = createAuditLog({ dataDir: DATA_DIR, maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES, 10) || 10000 });
+
+// Outbound webhooks on secret changes (inline WEBHOOKS or WEBHOOKS_FILE, see README)
+const webhooks = createWebhookDispatcher({
+  hooks: loadWebhooks({ json: process.env.WEBHOOKS, file: process.env.WEBHOOKS_FILE }),
+  dataDir: DATA_DIR,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  onDelivery: entry => emitWebhookDelivery(entry)
+});
+
+// Per-secret version history (content encrypted at rest only when a key is configured)
+const MAX_HISTORY_VERSIONS = parseInt(process.env.MAX_HISTORY_VERSIONS, 10) || 20;
+
+// Secret masking - clients get previews/fingerprints, full values only via the reveal endpoint
+const MASK_SECRETS = process.env.MASK_SECRETS !== 'false';
+// Key for the fingerprints of masked values (random per process when unset)
+if (process.env.FINGERPRINT_KEY) setFingerprintKey(process.env.FINGERPRINT_KEY);
+const REVEAL_TTL_MS = parseInt(process.env.REVEAL_TTL_MS, 10) || 30000; // Client hides revealed values after this
+// Permissions granted on every file when no ACCESS_POLICY_FILE is configured
+const DEFAULT_PERMISSIONS = (process.env.DEFAULT_PERMISSIONS || 'read,reveal,export,refresh')
+  .split(',').map(p => p.trim()).filter(Boolean);
+
+// Authentication for the REST API and socket.io handshake (none | token | jwt)
+const authenticator = createAuthenticator({
+  mode: process.env.AUTH_MODE || 'none',
+  tokens: (process.env.AUTH_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean),
+  jwksFile: process.env.AUTH_JWKS_FILE,
+  issuer: process.env.AUTH_ISSUER,
+  audience: process.env.AUTH_AUDIENCE
+});
+// API paths reachable without credentials (probes and the login screen bootstrap)
+const PUBLIC_API_PATHS = ['/health', '/auth/config'];
+
+// Role-based visibility of individual secret files (roles from a trusted header or token claim)
+const accessPolicy = createAccessPolicy({
+  policyFile: process.env.ACCESS_POLICY_FILE,
+  fallbackPermissions: DEFAULT_PERMISSIONS
+});
+
+const vaultOptions = {
+  address: process.env.VAULT_ADDR,
+  token: process.env.VAULT_TOKEN,
+  roleId: process.env.VAULT_ROLE_ID,
+  secretId: process.env.VAULT_SECRET_ID,
+  approleMount: process.env.VAULT_APPROLE_MOUNT || 'approle',
+  mount: process.env.VAULT_KV_MOUNT || 'secret',
+  secretPath: process.env.VAULT_KV_PATH,
+  namespace: process.env.VAULT_NAMESPACE,
+  pollInterval: parseInt(process.env.VAULT_POLL_INTERVAL, 10) || 10000
+};
+
+// Watched targets (inline JSON in WATCH_TARGETS or a WATCH_TARGETS_FILE); without either,
+// a single "default" target is built from K8S_NAMESPACE / K8S_SECRET_NAME / SECRETS_DIR
+const WATCH_TARGETS = loadWatchTargets({
+  json: process.env.WATCH_TARGETS,
+  file: process.env.WATCH_TARGETS_FILE,
+  defaults: {
+    id: 'default',
+    label: K8S_SECRET_NAME,
+    namespace: K8S_NAMESPACE,
+    secretName: K8S_SECRET_NAME,
+    mountPath: SECRETS_DIR,
+    sources: SECRET_SOURCES
+  }
+});
+
+// Build a target's source set. Within a target one kubernetes source instance is shared
+// between the set and the directory source's change signal, so a single API watch serves both.
+function createTargetSources(target) {
+  let kubernetesSource = null;
+  const maxFileBytes = () => tunables.maxSecretFileBytes;
+  const getKubernetesSource = () => {
+    if (!kubernetesSource) {
+      kubernetesSource = createSource('kubernetes', {
+        namespace: target.namespace,
+        secretName: target.secretName,
+        kubeconfigPath: process.env.KUBECONFIG && process.env.KUBECONFIG.split(path.delimiter)[0],
+        maxFileBytes
+      });
+    }
+    return kubernetesSource;
+  };
+
+  const secretSources = createSourceSet(target.sources.map(type => {
+    switch (type) {
+      case 'directory':
+        return createSource('directory', {
+          dir: target.mountPath,
+          changeSignal: DIRECTORY_CHANGE_SIGNAL === 'kubernetes' ? getKubernetesSource() : null,
+          maxFileBytes
+        });
+      case 'kubernetes':
+        return getKubernetesSource();
+      case 'env':
+        return createSource('env', { prefix: SECRET_ENV_PREFIX });
+      case 'vault':
+        return createSource('vault', vaultOptions);
+      default:
+        return createSource(type, {}); // Throws with the list of known types
+    }
+  }));
+  // The kubernetes source is kept separately so metrics can report its watch state
+  return { secretSources, kubernetesSource };
+}
 
-// Activity throttling - limit how often we show activity updates
-let lastActivityEmission = 0;
-const ACTIVITY_THROTTLE_MS = 2000; // Only emit activity updates every 2 seconds max
+// Each target has its own sources, version history, and sync/debounce state
+const targets = WATCH_TARGETS.map(config => ({
+  ...config,
+  ...createTargetSources(config), // secretSources, kubernetesSource
+  // The default target keeps the original history file name
+  secretHistory: createSecretHistory({
+    dataDir: DATA_DIR,
+    fileName: config.id === 'default' ? 'history.json' : `history-${config.id}.json`,
+    maxVersions: MAX_HISTORY_VERSIONS,
+    encryptionKey: process.env.HISTORY_ENCRYPTION_KEY || null
+  }),
+  lastKnownSecrets: null, // Track last known secrets to detect actual content changes
+  seq: 0, // Bumped by every secrets-update delta (see emitSecretsUpdate)
+  lastSuccessfulSync: Date.now(),
+  firstSyncAt: null, // First read in which every source answered (see /readyz)
+  lastActivityEmission: 0,
+  // Debouncing mechanism for handling rapid successive updates
+  updateTimeoutId: null,
+  pendingUpdateCount: 0,
+  pendingDetection: null // { detectedAt, resourceVersion } of the current debounce window
+}));
+const targetsById = new Map(targets.map(target => [target.id, target]));
 
-// Kubectl-based secret monitoring for precise Kubernetes secret change detection
-let kubectlWatcher = null;
-let lastSecretUpdateTime = null;
-let lastKnownSecrets = null; // Track last known secrets to detect actual content changes
-let kubectlAvailable = true; // Track if kubectl is available
+// Read the merged secrets from every source of a target. Certificates and JWTs get an
+// `expiry` (see lib/expiry.js), which masking keeps since it holds no secret material, and
+// JSON, YAML and .env files a key tree (`structure`, see lib/structured.js). Values are whole
+// up to maxSecretFileBytes; the total limit applies only when they are sent (presentSecrets).
+async function readSecrets(target) {
+  const secrets = await target.secretSources.read();
+  return Object.fromEntries(Object.entries(secrets).map(([name, secret]) => {
+    if (secret.error) return [name, secret];
+    const expiry = inspectExpiry(secret.content, { encoding: secret.encoding });
+    const structure = secret.encoding === 'base64' ? null : parseStructured(name, secret.content);
+    return [name, { ...secret, ...(expiry && { expiry }), ...(structure && { structure }) }];
+  }));
+}
 
-// Debouncing mechanism for handling rapid successive updates
-let updateTimeoutId = null;
-let pendingUpdateCount = 0;
+// Optional direct Vault KV-v2 source - shows the Vault-side value next to the mounted files
+// of the first target (the Vault path a VaultStaticSecret syncs from is not discoverable)
+const vaultTarget = targets[0];
+const vaultSource = process.env.VAULT_ADDR ? createSource('vault', vaultOptions) : null;
+let stopVaultWatch = null;
+let lastKnownVaultSecrets = {};
+
+// Intervals, thresholds and retry settings (see lib/config.js), reloaded when CONFIG_FILE
+// changes. Read `tunables` at the point of use so reloads take effect.
+let tunables;
+const config = createConfig({
+  file: process.env.CONFIG_FILE || null,
+  onChange: (values, changed) => {
+    tunables = values;
+    if (changed.some(key => key === 'periodicSyncIntervalMs' || key === 'heartbeatIntervalMs')) {
+      startPeriodicSync(); // Restart the timers with the new intervals
+    }
+  }
+});
+tunables = config.get();
+
+// Global deduplication for WebSocket emissions and activity updates
+let recentEmissions = new Map();
 
 // Enhanced reliability mechanisms
 let periodicSyncInterval = null;
+let heartbeatInterval = null;
+let lastPeriodicSyncTick = Date.now(); // Checked by /livez
 let connectedClients = new Set();
-let lastSuccessfulSync = Date.now();
-const PERIODIC_SYNC_INTERVAL = 30000; // Force sync every 30 seconds
-const HEARTBEAT_INTERVAL = 10000; // Send heartbeat every 10 seconds
-const STALE_DATA_THRESHOLD = 60000; // Consider data stale after 60 seconds
-
-function startKubectlSecretMonitoring() {
-  console.log(`🎯 Starting kubectl-based secret monitoring for ${K8S_SECRET_NAME} in namespace ${K8S_NAMESPACE}`);
-  
-  // Use kubectl --watch to monitor the secret's resourceVersion (changes on ANY modification)
-  // This is more reliable than managedFields which might miss updates from different controllers
-  kubectlWatcher = spawn('kubectl', [
-    'get', 'secret', K8S_SECRET_NAME,
-    '-n', K8S_NAMESPACE,
-    '-o', 'jsonpath={.metadata.resourceVersion}{\"\\n\"}',
-    '--watch'
-  ], {
-    stdio: ['ignore', 'pipe', 'pipe']
-  });
-
-  if (kubectlWatcher.stdout) {
-    kubectlWatcher.stdout.on('data', (data) => {
-      const resourceVersion = data.toString().trim();
-      console.log(`🔍 Kubectl output: resourceVersion=${resourceVersion}, last=${lastSecretUpdateTime}`);
-      if (resourceVersion && resourceVersion !== lastSecretUpdateTime) {
-        console.log(`🚀 Kubectl detected secret update - resourceVersion: ${resourceVersion}`);
-        lastSecretUpdateTime = resourceVersion;
-        
-        // Use debounced update handling to capture rapid successive changes
-        handleKubectlUpdate();
-      }
-    });
+
+// Prometheus metrics served at /metrics. Gauges describing current state are collected at
+// scrape time; change counts and propagation latency are recorded as updates are emitted.
+const metrics = createMetricsRegistry({ prefix: 'vault_secrets_' });
+const forEachTarget = (valueOf) => () => targets.map(target => ({ labels: { target: target.id }, value: valueOf(target) }));
+
+metrics.gauge({
+  name: 'count',
+  help: 'Number of secrets currently known per target',
+  labelNames: ['target'],
+  collect: forEachTarget(target => Object.keys(target.lastKnownSecrets || {}).length)
+});
+metrics.gauge({
+  name: 'bytes',
+  help: 'Total size in bytes of the secrets currently known per target',
+  labelNames: ['target'],
+  collect: forEachTarget(target => Object.values(target.lastKnownSecrets || {}).reduce((sum, secret) => sum + (secret.size || 0), 0))
+});
+const secretChanges = metrics.counter({
+  name: 'changes_total',
+  help: 'Secret changes detected, per secret and change type (added, modified, removed)',
+  labelNames: ['target', 'secret', 'change']
+});
+metrics.gauge({
+  name: 'connected_clients',
+  help: 'Connected clients (socket.io and SSE)',
+  collect: () => [{ labels: {}, value: connectedClients.size }]
+});
+metrics.counter({
+  name: 'watch_restarts_total',
+  help: 'Kubernetes API watch restarts after errors or dropped connections',
+  labelNames: ['target'],
+  collect: () => targets
+    .filter(target => target.kubernetesSource)
+    .map(target => ({ labels: { target: target.id }, value: target.kubernetesSource.health().restarts }))
+});
+metrics.counter({
+  name: 'watch_relists_total',
+  help: 'Kubernetes API re-lists (startup and 410 Gone)',
+  labelNames: ['target'],
+  collect: () => targets
+    .filter(target => target.kubernetesSource)
+    .map(target => ({ labels: { target: target.id }, value: target.kubernetesSource.health().relists }))
+});
+metrics.gauge({
+  name: 'watch_up',
+  help: '1 while the Kubernetes API watch is connected',
+  labelNames: ['target'],
+  collect: () => targets
+    .filter(target => target.kubernetesSource)
+    .map(target => ({ labels: { target: target.id }, value: target.kubernetesSource.health().watching ? 1 : 0 }))
+});
+metrics.gauge({
+  name: 'filesystem_fallback',
+  help: '1 when a directory source fell back from the Kubernetes watch to filesystem polling',
+  labelNames: ['target', 'source'],
+  collect: () => targets.flatMap(target => target.secretSources.health()
+    .filter(health => health.type === 'directory')
+    .map(health => ({ labels: { target: target.id, source: health.name }, value: health.fallback ? 1 : 0 })))
+});
+metrics.gauge({
+  name: 'seconds_since_last_sync',
+  help: 'Seconds since the last successful sync (a read that changed the known secrets) per target',
+  labelNames: ['target'],
+  collect: forEachTarget(target => (Date.now() - target.lastSuccessfulSync) / 1000)
+});
+metrics.gauge({
+  name: 'expiry_timestamp_seconds',
+  help: 'Expiry (Unix time) of certificates and JWTs, per secret',
+  labelNames: ['target', 'secret'],
+  collect: () => targets.flatMap(target => Object.entries(target.lastKnownSecrets || {})
+    .filter(([, secret]) => secret.expiry && secret.expiry.expiresAt)
+    .map(([name, secret]) => ({ labels: { target: target.id, secret: name }, value: new Date(secret.expiry.expiresAt).getTime() / 1000 })))
+});
+const refreshRejections = metrics.counter({
+  name: 'refresh_rejected_total',
+  help: 'Forced refreshes rejected, per transport and reason (forbidden, client-rate-limit, global-rate-limit)',
+  labelNames: ['transport', 'reason']
+});
+const propagationSeconds = metrics.histogram({
+  name: 'propagation_seconds',
+  help: 'Time from change detection to emitting secrets-update to clients',
+  labelNames: ['target', 'source']
+});
+
+// Short id tying together the log lines (and the secrets-update) of one update
+const newSyncId = () => crypto.randomBytes(4).toString('hex');
+
+// Route change events from the secret sources. Settled events mean the new content is
+// readable now; unsettled ones (the API watch saw a new resourceVersion before kubelet swapped
+// the mounted files) go through the debounced retry path.
+function handleSourceEvent(target, event) {
+  // Start of the propagation timeline; resourceVersion is set when the API watch saw the change
+  const detection = { detectedAt: Date.now(), resourceVersion: event.resourceVersion || null, syncId: newSyncId() };
+  watchLog.debug('Change event', { target: target.id, source: event.source, reason: event.reason, settled: Boolean(event.settled), syncId: detection.syncId });
+  if (event.settled) {
+    // Add a small delay to batch multiple file changes
+    setTimeout(() => triggerSecretUpdate(target, event.reason, detection), tunables.settledEventDelayMs);
+  } else {
+    handleKubernetesUpdate(target, detection);
   }
+}
 
-  if (kubectlWatcher.stderr) {
-    kubectlWatcher.stderr.on('data', (data) => {
-      console.log(`kubectl stderr: ${data.toString()}`);
-    });
+// Count the content changes of a change set per secret and type, returning [{ file, change }]
+// for webhooks (metadata-only touches are not changes)
+function recordSecretChanges(target, changeSet) {
+  const changes = changeSet.changes
+    .filter(({ type }) => type !== 'touched')
+    .map(({ file, type }) => ({ file, change: type }));
+  for (const { file, change } of changes) {
+    secretChanges.inc({ target: target.id, secret: file, change });
   }
+  return changes;
+}
 
-  kubectlWatcher.on('close', (code) => {
-    console.log(`kubectl watcher closed with code ${code}`);
-    if (code !== 0 && kubectlAvailable) {
-      setTimeout(() => {
-        console.log('Restarting kubectl secret monitoring...');
-        startKubectlSecretMonitoring();
-      }, 5000);
-    }
+// Tell outbound webhooks which files changed (names and change types only)
+function notifyWebhooks(target, source, fileChanges, change) {
+  if (fileChanges.length === 0) return;
+  webhooks.notify({
+    timestamp: new Date().toISOString(),
+    target: { id: target.id, label: target.label, namespace: target.namespace, secretName: target.secretName },
+    source,
+    changeId: change ? change.id : null,
+    changes: fileChanges
   });
+}
+
+// Vault updated_time for a change, when the Vault-side value already matches a changed file
+function vaultUpdatedTimeFor(target, files, secrets) {
+  if (!vaultSource || target !== vaultTarget) return null;
+  const match = files.find(file => secrets[file] && lastKnownVaultSecrets[file]?.content === secrets[file].content);
+  return match ? lastKnownVaultSecrets[match].vault.updatedTime || null : null;
+}
 
-  kubectlWatcher.on('error', (err) => {
-    console.error('kubectl watcher error:', err);
-    if (err.code === 'ENOENT') {
-      console.log('❌ kubectl command not found - kubectl is not available in this environment');
-      kubectlAvailable = false;
+// Start a propagation timeline for an emitted change with the stages observable so far
+function recordPropagation(target, source, detection, changedFiles, secrets) {
+  if (changedFiles.length === 0) return null; // First read of a target, nothing propagated
+  const directoryOrigins = new Set(target.secretSources.sources
+    .filter(secretSource => secretSource.type === 'directory')
+    .map(secretSource => secretSource.name));
+  const fileModified = changedFiles
+    .map(file => secrets[file])
+    .filter(secret => secret && directoryOrigins.has(secret.origin))
+    .map(secret => secret.lastModified)
+    .sort()
+    .pop() || null;
+
+  return propagationStore.add({
+    target: target.id,
+    source,
+    files: changedFiles,
+    detectedAt: detection ? new Date(detection.detectedAt).toISOString() : null,
+    resourceVersion: detection ? detection.resourceVersion : null,
+    stages: {
+      vaultUpdated: vaultUpdatedTimeFor(target, changedFiles, secrets),
+      secretObserved: detection && detection.resourceVersion ? new Date(detection.detectedAt).toISOString() : null,
+      fileModified
     }
-    // Fallback to file system monitoring if kubectl fails
-    console.log('Falling back to file system monitoring...');
-    startFilesystemMonitoring();
   });
 }
 
-function handleSecretUpdate(source) {
-  console.log(`📦 Secret update detected via ${source} - reading updated secrets`);
-  const newSecrets = readSecretsFromDirectory();
-  
-  // Enhanced content comparison with detailed logging
-  const currentSecretsString = JSON.stringify(lastKnownSecrets || {}, null, 2);
-  const newSecretsString = JSON.stringify(newSecrets, null, 2);
-  
-  // Log detailed comparison for debugging
-  console.log(`🔍 Comparing secrets - Current count: ${Object.keys(lastKnownSecrets || {}).length}, New count: ${Object.keys(newSecrets).length}`);
-  
-  if (lastKnownSecrets) {
-    // Check for content changes in existing secrets
-    let contentChanged = false;
-    const changedSecrets = [];
-    
-    for (const [key, newValue] of Object.entries(newSecrets)) {
-      const oldValue = lastKnownSecrets[key];
-      if (!oldValue || oldValue.content !== newValue.content || oldValue.lastModified !== newValue.lastModified) {
-        contentChanged = true;
-        changedSecrets.push({
-          key,
-          oldContent: oldValue?.content?.substring(0, 50) || 'N/A',
-          newContent: newValue.content?.substring(0, 50) || 'N/A',
-          oldModified: oldValue?.lastModified || 'N/A',
-          newModified: newValue.lastModified || 'N/A'
-        });
-      }
-    }
-    
-    // Check for added/removed secrets
-    const oldKeys = Object.keys(lastKnownSecrets);
-    const newKeys = Object.keys(newSecrets);
-    const addedKeys = newKeys.filter(key => !oldKeys.includes(key));
-    const removedKeys = oldKeys.filter(key => !newKeys.includes(key));
-    
-    if (addedKeys.length > 0 || removedKeys.length > 0) {
-      contentChanged = true;
-    }
-    
-    if (contentChanged) {
-      console.log(`✅ Content changes detected:`);
-      if (changedSecrets.length > 0) {
-        console.log(`   📝 Modified secrets: ${changedSecrets.map(s => s.key).join(', ')}`);
-        changedSecrets.forEach(secret => {
-          console.log(`     ${secret.key}: "${secret.oldContent}..." → "${secret.newContent}..." (${secret.oldModified} → ${secret.newModified})`);
-        });
-      }
-      if (addedKeys.length > 0) console.log(`   ➕ Added secrets: ${addedKeys.join(', ')}`);
-      if (removedKeys.length > 0) console.log(`   ➖ Removed secrets: ${removedKeys.join(', ')}`);
+// handleSecretUpdate for timers and event handlers, where nothing awaits the result: a failed
+// read or parse is logged instead of becoming an unhandled rejection that ends the process
+function triggerSecretUpdate(target, source, detection = null, options) {
+  return handleSecretUpdate(target, source, detection, options).catch(err => {
+    syncLog.error('Secret update failed', { target: target.id, source, syncId: detection ? detection.syncId : null, err });
+  });
+}
+
+// Updates of one target run one at a time (a watch event and a periodic sync must not both
+// emit the same change)
+const updateQueue = createUpdateQueue();
+
+// Read a target's secrets and emit what changed. Changes are detected by content hash (see
+// lib/changeDetection.js), so files whose mtime or symlink target moved without a new value are
+// not emitted. `retries` keeps re-reading while nothing changed: watch events can arrive before
+// kubelet has swapped the mounted files.
+function handleSecretUpdate(target, source, detection = null, options = {}) {
+  return updateQueue(target.id, () => applySecretUpdate(target, source, detection, options));
+}
+
+async function applySecretUpdate(target, source, detection, { retries = 0 }) {
+  const syncId = detection ? detection.syncId : newSyncId();
+  const log = syncLog.child({ target: target.id, source, syncId });
+
+  const { secrets: newSecrets, changeSet, attempts } = await readUntilChanged({
+    read: () => readSecrets(target),
+    baseline: () => target.lastKnownSecrets,
+    retries,
+    retryDelayMs: tunables.updateRetryDelayMs,
+    onAttempt: ({ attempt, maxAttempts, changeSet }) => log.debug('Read secrets', {
+      attempt,
+      maxAttempts,
+      added: changeSet.added,
+      modified: changeSet.modified,
+      removed: changeSet.removed,
+      touched: changeSet.touched
+    })
+  });
+
+  if (!target.firstSyncAt && target.secretSources.readStatus().succeeded) {
+    target.firstSyncAt = Date.now();
+    log.info('First sync completed', { files: Object.keys(newSecrets).length });
+  }
+
+  if (!changeSet.hasContentChanges) {
+    if (retries > 0) {
+      log.warn('Secret content unchanged after every attempt - giving up', { attempts });
     } else {
-      console.log(`📦 No content changes detected`);
+      log.debug('Secret content unchanged - skipping emission', { touched: changeSet.touched });
     }
+    return;
   }
-  
-  if (currentSecretsString === newSecretsString) {
-    console.log(`📦 Secret content unchanged - skipping emission (source: ${source})`);
+
+  const delta = secretsDelta(changeSet, target.lastKnownSecrets || {}, newSecrets);
+  const firstRead = !target.lastKnownSecrets;
+  target.lastKnownSecrets = JSON.parse(JSON.stringify(newSecrets)); // Deep clone to avoid reference issues
+  target.lastSuccessfulSync = Date.now();
+  target.secretHistory.recordSnapshot(newSecrets, source);
+
+  // The first read of a target is its initial state, not a change: no activity, propagation
+  // record or webhook (clients connected before it still get the secrets)
+  if (firstRead) {
+    log.info('Initial secrets read', { snapshot: snapshotOf(newSecrets), files: Object.keys(newSecrets).length });
+    emitSecretsUpdate(target, newSecrets, delta, { source, syncId });
     return;
   }
 
-  console.log(`📦 Secret content changed - emitting update (source: ${source})`);
-  lastKnownSecrets = JSON.parse(JSON.stringify(newSecrets)); // Deep clone to avoid reference issues
-  lastSuccessfulSync = Date.now();
+  const changedFiles = [...changeSet.added, ...changeSet.modified, ...changeSet.removed];
+  log.info('Secret content changed - emitting update', {
+    attempt: attempts,
+    snapshot: snapshotOf(newSecrets),
+    added: changeSet.added,
+    modified: changeSet.modified,
+    removed: changeSet.removed
+  });
+  const fileChanges = recordSecretChanges(target, changeSet);
+  const change = recordPropagation(target, source, detection, changedFiles, newSecrets);
   
   // Emit secrets update to all connected clients with force flag
-  emitSecretsUpdate(newSecrets, source, true);
+  emitSecretsUpdate(target, newSecrets, delta, { source, forceUpdate: true, change, syncId });
+  notifyWebhooks(target, source, fileChanges, change);
 
   // Add activity entry for the secret update with throttling
   const now = Date.now();
-  const shouldEmitActivity = (now - lastActivityEmission) > ACTIVITY_THROTTLE_MS;
+  const shouldEmitActivity = (now - target.lastActivityEmission) > tunables.activityThrottleMs;
   
   if (shouldEmitActivity) {
-    const activityEntry = addActivityEntry('updated', 'secrets', newSecrets);
+    const activityEntry = addActivityEntry('updated', 'secrets', changedFiles, target.id, delta.keyChanges);
     if (activityEntry) {
-      lastActivityEmission = now;
-      io.emit('activity-update', {
-        timestamp: new Date().toISOString(),
-        activity: activityLog.slice(0, 10),
-        newEntry: activityEntry
-      });
-      console.log('📝 Activity update emitted');
+      target.lastActivityEmission = now;
+      emitActivityUpdate(activityEntry);
+      log.debug('Activity update emitted', { activityId: activityEntry.id });
     }
   } else {
-    console.log(`⏱️ Activity update throttled (${Math.round((ACTIVITY_THROTTLE_MS - (now - lastActivityEmission)) / 1000)}s remaining)`);
+    log.debug('Activity update throttled', { remainingMs: tunables.activityThrottleMs - (now - target.lastActivityEmission) });
   }
 }
 
-// Retry mechanism for kubectl-detected changes to handle Kubernetes projected volume delays
-function handleSecretUpdateWithRetry(source, retryCount) {
-  const maxRetries = 8; // Increased from 5 to 8 retries
-  const retryDelay = 500; // 500ms between retries for faster response
-  
-  console.log(`📦 Secret update detected via ${source} - reading updated secrets (attempt ${retryCount + 1}/${maxRetries + 1})`);
-  const newSecrets = readSecretsFromDirectory();
-  
-  // Enhanced content comparison with detailed logging
-  const currentSecretsString = JSON.stringify(lastKnownSecrets || {}, null, 2);
-  const newSecretsString = JSON.stringify(newSecrets, null, 2);
-  
-  // Log detailed comparison for debugging
-  console.log(`🔍 Comparing secrets - Current count: ${Object.keys(lastKnownSecrets || {}).length}, New count: ${Object.keys(newSecrets).length}`);
+// Vault source change handler - same detection/activity/emission steps as file updates
+function handleVaultUpdate(newSecrets) {
+  const oldKeys = Object.keys(lastKnownVaultSecrets);
+  const changedKeys = [
+    ...Object.keys(newSecrets).filter(key => lastKnownVaultSecrets[key]?.content !== newSecrets[key].content),
+    ...oldKeys.filter(key => !newSecrets[key])
+  ];
+  const firstRead = oldKeys.length === 0;
   
-  if (lastKnownSecrets) {
-    // Check for content changes in existing secrets
-    let contentChanged = false;
-    const changedSecrets = [];
-    
-    for (const [key, newValue] of Object.entries(newSecrets)) {
-      const oldValue = lastKnownSecrets[key];
-      if (!oldValue || oldValue.content !== newValue.content || oldValue.lastModified !== newValue.lastModified) {
-        contentChanged = true;
-        changedSecrets.push({
-          key,
-          oldContent: oldValue?.content?.substring(0, 50) || 'N/A',
-          newContent: newValue.content?.substring(0, 50) || 'N/A',
-          oldModified: oldValue?.lastModified || 'N/A',
-          newModified: newValue.lastModified || 'N/A'
-        });
-      }
-    }
-    
-    // Check for added/removed secrets
-    const oldKeys = Object.keys(lastKnownSecrets);
-    const newKeys = Object.keys(newSecrets);
-    const addedKeys = newKeys.filter(key => !oldKeys.includes(key));
-    const removedKeys = oldKeys.filter(key => !newKeys.includes(key));
-    
-    if (addedKeys.length > 0 || removedKeys.length > 0) {
-      contentChanged = true;
-    }
-    
-    if (contentChanged) {
-      console.log(`✅ Content changes detected:`);
-      if (changedSecrets.length > 0) {
-        console.log(`   📝 Modified secrets: ${changedSecrets.map(s => s.key).join(', ')}`);
-        changedSecrets.forEach(secret => {
-          console.log(`     ${secret.key}: "${secret.oldContent}..." → "${secret.newContent}..." (${secret.oldModified} → ${secret.newModified})`);
-        });
-      }
-      if (addedKeys.length > 0) console.log(`   ➕ Added secrets: ${addedKeys.join(', ')}`);
-      if (removedKeys.length > 0) console.log(`   ➖ Removed secrets: ${removedKeys.join(', ')}`);
-    } else {
-      console.log(`📦 No content changes detected`);
-    }
+  syncLog.info(firstRead ? 'Vault secret read' : 'Vault secret changed', {
+    target: vaultTarget.id,
+    source: 'vault',
+    keys: firstRead ? Object.keys(newSecrets) : changedKeys,
+    version: Object.values(newSecrets)[0]?.vault.version ?? null
+  });
+  lastKnownVaultSecrets = newSecrets;
+  emitVaultSecretsUpdate(newSecrets);
+
+  // The Vault poll can notice a write after the mounted file already changed; complete the
+  // latest timeline if its files now match what Vault holds
+  const [latest] = propagationStore.recent({ target: vaultTarget.id, limit: 1 });
+  if (latest && !latest.stages.vaultUpdated) {
+    const updatedTime = vaultUpdatedTimeFor(vaultTarget, latest.files, vaultTarget.lastKnownSecrets || {});
+    const record = updatedTime && propagationStore.setStage(latest.id, 'vaultUpdated', updatedTime);
+    if (record) emitPropagationUpdate(record);
   }
   
-  if (currentSecretsString === newSecretsString) {
-    if (retryCount < maxRetries) {
-      console.log(`📦 Secret content unchanged - retrying in ${retryDelay}ms (attempt ${retryCount + 1}/${maxRetries + 1})`);
-      setTimeout(() => {
-        handleSecretUpdateWithRetry(source, retryCount + 1);
-      }, retryDelay);
-      return;
-    } else {
-      console.log(`📦 Secret content unchanged after ${maxRetries + 1} attempts - giving up (source: ${source})`);
-      return;
+  if (!firstRead) {
+    const activityEntry = addActivityEntry('updated', 'vault', changedKeys, vaultTarget.id);
+    if (activityEntry) {
+      emitActivityUpdate(activityEntry);
     }
   }
+}
 
-  console.log(`📦 Secret content changed - emitting update (source: ${source}, attempt ${retryCount + 1})`);
-  lastKnownSecrets = JSON.parse(JSON.stringify(newSecrets)); // Deep clone to avoid reference issues
-  lastSuccessfulSync = Date.now();
-  
-  // Emit secrets update to all connected clients with force flag
-  emitSecretsUpdate(newSecrets, source, true);
+// Emit an event to every connected client (socket.io and SSE) with a payload built for that
+// client's access. Transient events are not kept for SSE Last-Event-ID replay. `sockets`
+// narrows the socket.io recipients; SSE clients always receive everything, and their payloads
+// are built without a socket.
+function emitToClients(event, buildPayload, { transient = false, sockets = io.sockets.sockets.values() } = {}) {
+  for (const socket of sockets) {
+    socket.emit(event, buildPayload(socket.data.access, socket));
+  }
+  eventStream.publish(event, buildPayload, { transient });
+}
 
-  // Add activity entry for the secret update with throttling
-  const now = Date.now();
-  const shouldEmitActivity = (now - lastActivityEmission) > ACTIVITY_THROTTLE_MS;
-  
-  if (shouldEmitActivity) {
-    const activityEntry = addActivityEntry('updated', 'secrets', newSecrets);
-    if (activityEntry) {
-      lastActivityEmission = now;
-      io.emit('activity-update', {
-        timestamp: new Date().toISOString(),
-        activity: activityLog.slice(0, 10),
-        newEntry: activityEntry
-      });
-      console.log('📝 Activity update emitted');
-    }
-  } else {
-    console.log(`⏱️ Activity update throttled (${Math.round((ACTIVITY_THROTTLE_MS - (now - lastActivityEmission)) / 1000)}s remaining)`);
+function emitActivityUpdate(newEntry) {
+  const recent = activityStore.recent(ACTIVITY_PAGE_SIZE);
+  emitToClients('activity-update', access => ({
+    timestamp: new Date().toISOString(),
+    activity: visibleActivity(recent, access),
+    newEntry: visibleActivity([newEntry], access)[0]
+  }));
+}
+
+function emitVaultSecretsUpdate(secrets) {
+  emitToClients('vault-secrets-update', access => ({
+    timestamp: new Date().toISOString(),
+    secrets: presentSecrets(access.filter(secrets, 'read')),
+    masked: MASK_SECRETS,
+    target: vaultTarget.id,
+    status: vaultSource.health()
+  }));
+}
+
+// secrets-update protocol: clients get a full `snapshot` of a target's secrets on connect and
+// on request (`resync`), then only `delta`s of the files that changed. Every delta bumps the
+// target's seq and names the seq of the previous delta that client was sent (`previousSeq`),
+// so a client whose last applied seq differs knows it missed one and resyncs. Subscribed
+// sockets skip deltas for files they don't follow, so their seqs are not consecutive. A
+// snapshot carries the seq of the last delta it includes.
+// A delta is built from a change set (lib/changeDetection.js) with content changes. Files only
+// touched are sent along so their metadata matches what later snapshots report.
+// `keyChanges` holds the key-level changes of modified JSON/YAML/.env files:
+// { file: [{ path, change }] } (see lib/structured.js)
+function secretsDelta(changeSet, oldSecrets, newSecrets) {
+  const keyChanges = {};
+  for (const file of changeSet.modified) {
+    const changes = diffStructured(oldSecrets[file], newSecrets[file]);
+    if (changes && changes.length > 0) keyChanges[file] = changes;
   }
+  return {
+    updated: [...changeSet.added, ...changeSet.modified, ...changeSet.touched],
+    removed: changeSet.removed,
+    keyChanges
+  };
 }
 
-// Enhanced emission function with reliability features
-function emitSecretsUpdate(secrets, source, forceUpdate = false) {
-  const updateData = {
+// The projected-volume snapshot (the `..data` target, see lib/sources/directorySource.js) a
+// secrets map was read from, or null when it did not come from one
+const snapshotOf = (secrets) => Object.values(secrets).find(secret => secret.snapshot)?.snapshot ?? null;
+
+// The state clients are in sync with: the secrets as of the last delta
+async function secretsSnapshot(target, access, source) {
+  const secrets = target.lastKnownSecrets || await readSecrets(target);
+  return {
+    type: 'snapshot',
     timestamp: new Date().toISOString(),
-    action: 'updated',
-    file: 'secrets',
-    secrets: secrets,
-    source: source,
-    forceUpdate: forceUpdate,
-    syncId: Date.now() // Unique ID for this sync
+    target: target.id,
+    seq: target.seq,
+    snapshot: snapshotOf(secrets),
+    secrets: presentSecrets(access.filter(secrets, 'read')),
+    masked: MASK_SECRETS,
+    source,
+    forceUpdate: true
   };
+}
+
+// Enhanced emission function with reliability features
+// `change` is the propagation record of a detected change; clients echo its id back in render-ack.
+// `syncId` identifies the update in server logs and is passed on to clients.
+function emitSecretsUpdate(target, secrets, delta, { source, forceUpdate = false, change = null, syncId = newSyncId() }) {
+  const seq = ++target.seq;
+  const updated = Object.fromEntries(delta.updated.map(file => [file, secrets[file]]));
   
-  io.emit('secrets-update', updateData);
-  console.log(`📡 Secrets update emitted to ${connectedClients.size} clients (source: ${source}, force: ${forceUpdate})`);
+  // Sockets receive only the changed files their roles may read and they follow (see
+  // lib/subscriptions.js); a delta may end up empty, which still moves the client's seq on
+  const recipients = subscriptions.socketsFor([...delta.updated, ...delta.removed]);
+  emitToClients('secrets-update', (access, socket) => {
+    const visible = file => access.can('read', file) && (!socket || subscriptions.follows(socket, file));
+    let previousSeq = seq - 1; // SSE streams receive every delta
+    if (socket) {
+      previousSeq = socket.data.secretsSeq[target.id] ?? null;
+      socket.data.secretsSeq[target.id] = seq;
+    }
+    return {
+      type: 'delta',
+      timestamp: new Date().toISOString(),
+      action: 'updated',
+      file: 'secrets',
+      target: target.id,
+      seq,
+      previousSeq,
+      snapshot: snapshotOf(secrets),
+      updated: presentSecrets(Object.fromEntries(Object.entries(updated).filter(([file]) => visible(file)))),
+      removed: delta.removed.filter(visible),
+      keyChanges: Object.fromEntries(Object.entries(delta.keyChanges).filter(([file]) => visible(file))),
+      masked: MASK_SECRETS,
+      source: source,
+      forceUpdate: forceUpdate,
+      syncId,
+      changeId: change ? change.id : null
+    };
+  }, { sockets: recipients });
+  socketLog.info('Secrets delta emitted', {
+    target: target.id,
+    source,
+    syncId,
+    seq,
+    snapshot: snapshotOf(secrets),
+    sockets: recipients.length,
+    streams: eventStream.clientCount(),
+    updated: delta.updated,
+    removed: delta.removed,
+    forceUpdate
+  });
+  if (change) {
+    const emitted = propagationStore.setStage(change.id, 'serverEmitted', Date.now());
+    if (change.detectedAt) {
+      propagationSeconds.observe({ target: target.id, source }, (Date.now() - new Date(change.detectedAt)) / 1000);
+    }
+    if (emitted) emitPropagationUpdate(emitted);
+  }
+}
+
+// Propagation timelines are visible to clients that can read at least one changed file
+function visiblePropagation(records, access) {
+  return records
+    .filter(record => record.files.some(file => access.can('read', file)))
+    .map(record => ({ ...record, files: record.files.filter(file => access.can('read', file)) }));
 }
 
-// Periodic sync to ensure clients stay updated with enhanced debugging
+// Webhook deliveries are visible like activity entries, with unreadable file names removed
+function visibleDeliveries(entries, access) {
+  return entries
+    .filter(entry => entry.files.some(file => access.can('read', file)))
+    .map(entry => ({
+      ...entry,
+      files: entry.files.filter(file => access.can('read', file)),
+      changes: entry.changes.filter(({ file }) => access.can('read', file))
+    }));
+}
+
+function emitWebhookDelivery(entry) {
+  emitToClients('webhook-delivery', access => ({
+    timestamp: new Date().toISOString(),
+    delivery: visibleDeliveries([entry], access)[0] || null
+  }));
+}
+
+function emitPropagationUpdate(record) {
+  emitToClients('propagation-update', access => ({
+    timestamp: new Date().toISOString(),
+    change: visiblePropagation([record], access)[0] || null
+  }));
+}
+
+// Periodic sync to ensure clients stay updated with enhanced debugging, and the heartbeat.
+// Called again when either interval is reloaded.
 function startPeriodicSync() {
-  periodicSyncInterval = setInterval(() => {
+  clearInterval(periodicSyncInterval);
+  clearInterval(heartbeatInterval);
+  
+  lastPeriodicSyncTick = Date.now();
+  periodicSyncInterval = setInterval(async () => {
     const now = Date.now();
-    const timeSinceLastSync = now - lastSuccessfulSync;
+    lastPeriodicSyncTick = now;
     
-    if (timeSinceLastSync > STALE_DATA_THRESHOLD) {
-      console.log(`🔄 Forcing periodic sync - data may be stale (${Math.round(timeSinceLastSync/1000)}s since last sync)`);
-      handleSecretUpdate('periodic-sync');
-    } else {
-      // Send heartbeat to maintain connection and perform lightweight check
-      const currentSecrets = readSecretsFromDirectory();
+    for (const target of targets) {
+      const timeSinceLastSync = now - target.lastSuccessfulSync;
       
-      // Quick comparison to detect if we missed any changes
-      const currentSecretsString = JSON.stringify(lastKnownSecrets || {});
-      const newSecretsString = JSON.stringify(currentSecrets);
+      if (timeSinceLastSync > tunables.staleDataThresholdMs) {
+        syncLog.debug('Forcing periodic sync - data may be stale', { target: target.id, source: 'periodic-sync', sinceLastSyncMs: timeSinceLastSync });
+        triggerSecretUpdate(target, 'periodic-sync');
+        continue;
+      }
       
-      if (currentSecretsString !== newSecretsString && connectedClients.size > 0) {
-        console.log('🔄 Periodic sync detected missed changes - triggering update');
-        handleSecretUpdate('periodic-sync-change-detected');
-      } else {
-        io.emit('heartbeat', {
-          timestamp: new Date().toISOString(),
-          connectedClients: connectedClients.size,
-          lastSync: lastSuccessfulSync,
-          secretCount: Object.keys(currentSecrets).length
-        });
-        console.log(`💓 Heartbeat sent to ${connectedClients.size} clients (${Object.keys(currentSecrets).length} secrets)`);
+      // Lightweight check to detect if we missed any changes
+      let changeSet;
+      try {
+        changeSet = detectChanges(target.lastKnownSecrets, await readSecrets(target));
+      } catch (err) {
+        syncLog.error('Periodic sync read failed', { target: target.id, source: 'periodic-sync', err });
+        continue;
+      }
+      
+      if (changeSet.hasContentChanges && connectedClients.size > 0) {
+        syncLog.warn('Periodic sync detected missed changes - triggering update', { target: target.id, source: 'periodic-sync-change-detected' });
+        triggerSecretUpdate(target, 'periodic-sync-change-detected');
       }
     }
-  }, HEARTBEAT_INTERVAL);
+  }, tunables.periodicSyncIntervalMs);
+  
+  // Send heartbeat to maintain connection, with per-target state for the target selector
+  heartbeatInterval = setInterval(() => {
+    emitToClients('heartbeat', (access, socket) => {
+      const targetState = {};
+      for (const target of targets) {
+        targetState[target.id] = {
+          lastSync: target.lastSuccessfulSync,
+          secretCount: target.lastKnownSecrets ? Object.keys(access.filter(target.lastKnownSecrets, 'read')).length : null,
+          healthy: target.secretSources.health().every(source => source.healthy)
+        };
+      }
+      return {
+        timestamp: new Date().toISOString(),
+        connectedClients: connectedClients.size,
+        lastSync: Math.max(...targets.map(target => target.lastSuccessfulSync)),
+        secretCount: Object.values(targetState).reduce((sum, state) => sum + (state.secretCount || 0), 0),
+        targets: targetState,
+        subscriptions: socket ? subscriptions.state(socket, readableFiles(access)) : null
+      };
+    }, { transient: true });
+    socketLog.debug('Heartbeat sent', { clients: connectedClients.size, targets: targets.length });
+  }, tunables.heartbeatIntervalMs);
   
-  console.log(`🔄 Periodic sync and heartbeat started (${PERIODIC_SYNC_INTERVAL/1000}s sync, ${HEARTBEAT_INTERVAL/1000}s heartbeat)`);
+  syncLog.info('Periodic sync and heartbeat started', { periodicSyncIntervalMs: tunables.periodicSyncIntervalMs, heartbeatIntervalMs: tunables.heartbeatIntervalMs });
 }
 
 // Function to check if we should emit a secrets-update (deduplication)
@@ -352,8 +766,8 @@ function shouldEmitUpdate(action, file) {
   const now = Date.now();
   const lastEmission = recentEmissions.get(key);
   
-  if (lastEmission && (now - lastEmission) < EMISSION_DEDUP_WINDOW) {
-    console.log(`🚫 Skipping duplicate emission: ${action} ${file} (last emission ${now - lastEmission}ms ago)`);
+  if (lastEmission && (now - lastEmission) < tunables.emissionDedupWindowMs) {
+    syncLog.debug('Skipping duplicate emission', { action, file, sinceLastEmissionMs: now - lastEmission });
     return false;
   }
   
@@ -361,7 +775,7 @@ function shouldEmitUpdate(action, file) {
   
   // Clean up old entries to prevent memory leaks
   if (recentEmissions.size > 100) {
-    const cutoff = now - EMISSION_DEDUP_WINDOW * 2;
+    const cutoff = now - tunables.emissionDedupWindowMs * 2;
     for (const [emissionKey, timestamp] of recentEmissions.entries()) {
       if (timestamp < cutoff) {
         recentEmissions.delete(emissionKey);
@@ -378,10 +792,10 @@ function shouldShowInActivityFeed(filename) {
   
   // Filter out system/internal files and events - only show real secret file changes
   const excludePatterns = [
-    'kubectl-detected',
+    'k8s-watch-detected',
     'filesystem-fallback',
     'manual-refresh',
-    'health-refresh'
+    'api-refresh'
   ];
   
   // Filter out files that start with .. (Kubernetes internal directories)
@@ -395,21 +809,23 @@ function shouldShowInActivityFeed(filename) {
 }
 
 // Function to add activity entry with smart deduplication and throttling
-function addActivityEntry(action, file, secrets) {
+// keyChanges: key-level changes of structured files, { file: [{ path, change }] }
+function addActivityEntry(action, file, changedFiles = [], target = null, keyChanges = {}) {
   // Only add entries for real secret file changes - skip all system events
   if (!shouldShowInActivityFeed(file)) {
     return null;
   }
   
-  // Smart deduplication: Check for recent duplicates (within last 30 seconds for VSO)
-  // This handles the 10-second VSO refresh cycle plus some buffer
+  // Smart deduplication: Check for recent duplicates (within activityMergeWindowMs, 30s by
+  // default, which covers the 10-second VSO refresh cycle plus some buffer)
   const now = Date.now();
-  const recentDuplicates = activityLog.filter(entry => {
+  const recentDuplicates = activityStore.recent(ACTIVITY_PAGE_SIZE).filter(entry => {
     const entryTime = new Date(entry.timestamp).getTime();
     return (
       entry.action === action &&
       entry.file === file &&
-      (now - entryTime) < 30000 // 30 seconds window for VSO cycles
+      (entry.target || null) === target &&
+      (now - entryTime) < tunables.activityMergeWindowMs
     );
   });
   
@@ -418,15 +834,23 @@ function addActivityEntry(action, file, secrets) {
     const mostRecent = recentDuplicates[0];
     const timeSinceLastUpdate = now - new Date(mostRecent.timestamp).getTime();
     
-    // Only update if it's been at least 5 seconds since the last update
-    if (timeSinceLastUpdate > 5000) {
-      console.log(`🔄 Updating timestamp for existing activity entry: ${action} ${file}`);
+    // Only update if it's been at least activityMergeMinIntervalMs since the last update
+    if (timeSinceLastUpdate > tunables.activityMergeMinIntervalMs) {
+      syncLog.debug('Updating timestamp of existing activity entry', { action, file, target, activityId: mostRecent.id });
       mostRecent.timestamp = new Date().toISOString();
-      mostRecent.secretCount = Object.keys(secrets).length;
-      return mostRecent;
+      mostRecent.files = Array.from(new Set([...(mostRecent.files || []), ...changedFiles]));
+      mostRecent.keyChanges = { ...mostRecent.keyChanges, ...keyChanges };
+      return activityStore.update(mostRecent);
     } else {
-      console.log(`🔄 Skipping duplicate activity entry: ${action} ${file} (last update ${Math.round(timeSinceLastUpdate/1000)}s ago)`);
-      return recentDuplicates[0];
+      syncLog.debug('Skipping duplicate activity entry', { action, file, target, sinceLastUpdateMs: timeSinceLastUpdate });
+      // Still record which files were touched so the secret filter finds this entry
+      const newFiles = changedFiles.filter(f => !(mostRecent.files || []).includes(f));
+      if (newFiles.length > 0 || Object.keys(keyChanges).length > 0) {
+        mostRecent.files = [...(mostRecent.files || []), ...newFiles];
+        mostRecent.keyChanges = { ...mostRecent.keyChanges, ...keyChanges };
+        return activityStore.update(mostRecent);
+      }
+      return mostRecent;
     }
   }
   
@@ -441,152 +865,430 @@ function addActivityEntry(action, file, secrets) {
     timestamp: new Date().toISOString(),
     action: displayAction,
     file,
-    secretCount: Object.keys(secrets).length
+    files: changedFiles, // Individual secret files touched by this change
+    ...(Object.keys(keyChanges).length > 0 && { keyChanges }),
+    ...(target && { target })
   };
   
-  console.log(`📝 Adding new activity entry: secret "${file}" was ${displayAction} (${entry.secretCount} secrets)`);
-  activityLog.unshift(entry); // Add to beginning
-  if (activityLog.length > MAX_ACTIVITY_ENTRIES) {
-    activityLog = activityLog.slice(0, MAX_ACTIVITY_ENTRIES);
+  syncLog.info('Activity entry added', { action: displayAction, file, target, files: changedFiles });
+  return activityStore.add(entry);
+}
+
+// Apply masking mode to a secrets map before it leaves the server. Unmasked listings, snapshots
+// and deltas carry at most maxSecretsTotalBytes of content; reveal and export send whole values.
+function presentSecrets(secrets) {
+  return MASK_SECRETS ? maskSecrets(secrets) : limitTotalSize(secrets, tunables.maxSecretsTotalBytes);
+}
+
+// Who is behind a request or socket, for the audit trail
+function requestClient(req) {
+  return {
+    subject: req.identity.subject,
+    authMethod: req.identity.method,
+    roles: req.access.roles,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    transport: 'http'
+  };
+}
+
+function socketClient(socket) {
+  return {
+    subject: socket.data.identity.subject,
+    authMethod: socket.data.identity.method,
+    roles: socket.data.access.roles,
+    ip: socket.handshake.address,
+    userAgent: socket.handshake.headers['user-agent'] || null,
+    transport: 'socket.io',
+    client: socket.id
+  };
+}
+
+// Record the secrets-update snapshots among a client's initial events as reads
+function auditSnapshots(client, events, via) {
+  for (const [event, payload] of events) {
+    if (event === 'secrets-update') {
+      auditLog.record({ action: 'read', ...client, target: payload.target, files: Object.keys(payload.secrets), via });
+    }
   }
-  
-  return entry;
+}
+
+// A forced refresh re-reads every source and may broadcast to all clients, so it needs the
+// `refresh` permission and is rate limited per client (subject and IP, so reconnecting does
+// not reset it) and overall
+const refreshLimiter = createRateLimiter({
+  perKey: () => tunables.refreshRateLimitPerClient,
+  total: () => tunables.refreshRateLimitGlobal,
+  windowMs: () => tunables.refreshRateWindowMs
+});
+
+// Admit or reject a refresh by `client` (requestClient/socketClient) and record it in the audit
+// trail either way; returns null when admitted, otherwise { status, reason, error, retryAfterMs }
+function admitRefresh(client, access, target) {
+  let rejection = null;
+  if (!access.permissions.includes('refresh')) {
+    rejection = { status: 403, reason: 'forbidden', error: 'Missing "refresh" permission' };
+  } else {
+    const limit = refreshLimiter.attempt(`${client.subject}@${client.ip}`);
+    if (!limit.allowed) {
+      rejection = {
+        status: 429,
+        reason: `${limit.scope}-rate-limit`,
+        error: limit.scope === 'client' ? 'Too many refreshes - try again later' : 'Too many refreshes from all clients - try again later',
+        retryAfterMs: limit.retryAfterMs
+      };
+    }
+  }
+
+  if (rejection) {
+    refreshRejections.inc({ transport: client.transport, reason: rejection.reason });
+    auditLog.record({ action: 'force-refresh', ...client, target, files: [], outcome: 'denied', reason: rejection.reason });
+    socketLog.warn('Refresh rejected', { subject: client.subject, ip: client.ip, transport: client.transport, target, reason: rejection.reason, retryAfterMs: rejection.retryAfterMs });
+    return rejection;
+  }
+  auditLog.record({ action: 'force-refresh', ...client, target, files: [], outcome: 'allowed' });
+  return null;
 }
 
 // Middleware
+// One line per request once the response is sent (path only - query strings may carry credentials)
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : 'debug';
+    httpLog[level]('Request', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ip: req.ip,
+      subject: req.identity ? req.identity.subject : null
+    });
+  });
+  next();
+});
 app.use(cors());
 app.use(express.json());
 
+// Authenticate every API call except the public ones
+app.use('/api', (req, res, next) => {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+  authenticator.httpMiddleware(req, res, next);
+});
+
+// Resolve the caller's roles into a per-file access context
+app.use('/api', (req, res, next) => {
+  req.access = accessPolicy.forRoles(accessPolicy.resolveRoles(req.identity, req.headers));
+  next();
+});
+
+// Lets the client decide whether to show the login screen
+app.get('/api/auth/config', (req, res) => {
+  res.json({ mode: authenticator.mode });
+});
+
+// Identity of the current caller
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    subject: req.identity.subject,
+    name: req.identity.name || req.identity.subject,
+    method: req.identity.method,
+    roles: req.access.roles,
+    permissions: req.access.permissions
+  });
+});
+
+// Check a permission on the :name secret, or on any file when the route has no :name
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const allowed = req.params.name
+      ? req.access.can(permission, req.params.name)
+      : req.access.permissions.includes(permission);
+    if (allowed) {
+      return next();
+    }
+    httpLog.warn('Permission denied', { method: req.method, path: req.path, permission, ip: req.ip, subject: req.identity.subject, roles: req.access.roles });
+    res.status(403).json({ error: `Missing "${permission}" permission` });
+  };
+}
+
+// Entries without per-file detail are visible to everyone; others need one readable file
+function canSeeActivity(entry, access) {
+  return !(entry.files || []).length || entry.files.some(file => access.can('read', file));
+}
+
+// Hide activity entries (and file names inside them) the viewer cannot read. Entries written
+// before activity stopped recording secretCount carry the unfiltered total, which is dropped.
+function visibleActivity(entries, access) {
+  return entries
+    .filter(entry => canSeeActivity(entry, access))
+    .map(({ secretCount, ...entry }) => ({
+      ...entry,
+      files: (entry.files || []).filter(file => access.can('read', file)),
+      ...(entry.keyChanges && {
+        keyChanges: Object.fromEntries(Object.entries(entry.keyChanges).filter(([file]) => access.can('read', file)))
+      })
+    }));
+}
+
+// Resolve ?target= to a watched target (defaults to the first one)
+function withTarget(req, res, next) {
+  const id = req.query.target || targets[0].id;
+  req.target = targetsById.get(id);
+  if (!req.target) {
+    return res.status(404).json({ error: `Unknown watch target "${id}"` });
+  }
+  next();
+}
+
+// Express 4 does not catch rejected promises: pass them to the error handler below
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Public description of a target (no secret content)
+function describeTarget(target) {
+  return {
+    id: target.id,
+    label: target.label,
+    namespace: target.namespace,
+    secretName: target.secretName,
+    mountPath: target.mountPath,
+    lastSync: new Date(target.lastSuccessfulSync).toISOString(),
+    sources: target.secretSources.health()
+  };
+}
+
 // Serve static files from client build
 app.use(express.static(path.join(__dirname, 'client/dist')));
 
-// Function to read all secrets from the directory with enhanced Kubernetes projected volume support
-function readSecretsFromDirectory() {
-  const secrets = {};
+// API endpoint to list watched targets with their sync state
+app.get('/api/targets', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    vaultTarget: vaultSource ? vaultTarget.id : null,
+    targets: targets.map(describeTarget)
+  });
+});
+
+// API endpoint to get current secrets of one target (?target=, default: first target)
+app.get('/api/secrets', withTarget, asyncHandler(async (req, res) => {
+  const allSecrets = await readSecrets(req.target);
+  const secrets = req.access.filter(allSecrets, 'read');
+  auditLog.record({ action: 'read', ...requestClient(req), target: req.target.id, files: Object.keys(secrets) });
+  res.json({
+    timestamp: new Date().toISOString(),
+    target: req.target.id,
+    seq: req.target.seq,
+    snapshot: snapshotOf(allSecrets),
+    secretsDir: req.target.mountPath,
+    masked: MASK_SECRETS,
+    secrets: presentSecrets(secrets),
+    ...(vaultSource && req.target === vaultTarget && {
+      vaultSecrets: presentSecrets(req.access.filter(lastKnownVaultSecrets, 'read')),
+      vaultStatus: vaultSource.health()
+    })
+  });
+}));
+
+// Certificates and JWTs of a target expiring within ?within= (default 30d, e.g. 12h, 90m or
+// seconds), soonest first. Already expired ones are included.
+app.get('/api/secrets/expiring', withTarget, asyncHandler(async (req, res) => {
+  const within = req.query.within || '30d';
+  const withinMs = parseDuration(within);
+  if (withinMs === null) {
+    return res.status(400).json({ error: '"within" must be a duration like 30d, 12h, 90m or a number of seconds' });
+  }
   
-  try {
-    if (fs.existsSync(SECRETS_DIR)) {
-      // Clear Node.js file system cache for the secrets directory to ensure fresh reads
-      // This is crucial for Kubernetes projected volumes where symlinks are recreated
-      delete require.cache[SECRETS_DIR];
-      
-      // For Kubernetes projected volumes, sometimes we need to re-read the directory
-      // to ensure we get fresh file listings
-      const files = fs.readdirSync(SECRETS_DIR);
-      console.log(`📂 Found ${files.length} files in secrets directory: ${files.join(', ')}`);
-      
-      files.forEach(file => {
-        const filePath = path.join(SECRETS_DIR, file);
-        
-        // Use lstat instead of stat to handle symlinks properly (Kubernetes projected volumes use symlinks)
-        let stats;
-        try {
-          stats = fs.lstatSync(filePath);
-        } catch (err) {
-          console.log(`Skipping ${file}: ${err.message}`);
-          return;
-        }
-        
-        // Skip directories (like ..data in Kubernetes projected volumes)
-        if (stats.isDirectory()) {
-          console.log(`📁 Skipping directory: ${file}`);
-          return;
-        }
-        
-        // For symlinks, check if they point to directories (like ..data -> ..2025_06_04_11_28_59.2977315065)
-        if (stats.isSymbolicLink()) {
-          try {
-            const symlinkTarget = fs.readlinkSync(filePath);
-            const targetStats = fs.statSync(filePath); // This follows the symlink
-            if (targetStats.isDirectory()) {
-              console.log(`📁 Skipping symlink to directory: ${file} -> ${symlinkTarget}`);
-              return;
-            }
-          } catch (symlinkErr) {
-            console.log(`📁 Skipping broken symlink: ${file} (${symlinkErr.message})`);
-            return;
-          }
-        }
-        
-        if (stats.isFile() || stats.isSymbolicLink()) {
-          try {
-            // For projected volumes, we might need to read through symlinks
-            // Clear any cached file descriptor for this specific file
-            delete require.cache[filePath];
-            
-            const content = fs.readFileSync(filePath, { encoding: 'utf8', flag: 'r' });
-            
-            // Get the actual file stats (following symlinks) for metadata
-            const realStats = fs.statSync(filePath);
-            
-            secrets[file] = {
-              content: content.trim(),
-              lastModified: realStats.mtime.toISOString(),
-              size: realStats.size,
-              symlinkTarget: stats.isSymbolicLink() ? fs.readlinkSync(filePath) : null
-            };
-            
-            console.log(`📄 Read ${file}: ${content.length} chars, modified: ${realStats.mtime.toISOString()}, symlink: ${stats.isSymbolicLink()}`);
-          } catch (err) {
-            console.error(`Error reading file ${file}:`, err.message);
-            // Don't try to get stats if we failed to read - it might be a directory we missed
-            if (!err.message.includes('EISDIR')) {
-              try {
-                const realStats = fs.statSync(filePath);
-                secrets[file] = {
-                  content: `Error reading file: ${err.message}`,
-                  lastModified: realStats.mtime.toISOString(),
-                  size: realStats.size,
-                  error: true
-                };
-              } catch (statErr) {
-                console.error(`Error getting stats for ${file}:`, statErr.message);
-              }
-            } else {
-              console.log(`📁 Detected directory via read error, skipping: ${file}`);
-            }
-          }
-        }
-      });
-    } else {
-      console.log(`Secrets directory ${SECRETS_DIR} does not exist yet`);
-    }
-  } catch (err) {
-    console.error('Error reading secrets directory:', err.message);
+  const secrets = req.access.filter(await readSecrets(req.target), 'read');
+  const now = Date.now();
+  const expiring = Object.entries(secrets)
+    .filter(([, secret]) => secret.expiry && secret.expiry.expiresAt)
+    .map(([file, secret]) => {
+      const remainingMs = new Date(secret.expiry.expiresAt).getTime() - now;
+      return { file, ...secret.expiry, expiresInSeconds: Math.round(remainingMs / 1000), expired: remainingMs <= 0 };
+    })
+    .filter(entry => entry.expiresInSeconds * 1000 <= withinMs)
+    .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+  
+  res.json({
+    timestamp: new Date().toISOString(),
+    target: req.target.id,
+    within,
+    secrets: expiring
+  });
+}));
+
+// API endpoint to reveal the full value of one secret (logged)
+// The TTL only tells the UI how long to display the value: the response itself carries the
+// value, so nothing the server does later can take it back.
+// ?source=vault reveals the value read directly from Vault instead of the mounted file
+app.post('/api/secrets/:name/reveal', requirePermission('reveal'), withTarget, asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const fromVault = req.query.source === 'vault';
+  const secret = (fromVault ? lastKnownVaultSecrets : await readSecrets(req.target))[name];
+  if (!secret) {
+    return res.status(404).json({ error: `Secret "${name}" not found${fromVault ? ' in Vault' : ''}` });
   }
   
-  return secrets;
-}
+  const revealedAt = new Date();
+  const expiresAt = new Date(revealedAt.getTime() + REVEAL_TTL_MS);
+  auditLog.record({ action: 'reveal', ...requestClient(req), target: req.target.id, files: [name], source: fromVault ? 'vault' : secret.origin });
+  httpLog.info('Secret revealed', {
+    file: name,
+    target: req.target.id,
+    source: fromVault ? 'vault' : secret.origin,
+    subject: req.identity.subject,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    expiresAt
+  });
+  
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    name,
+    content: secret.content,
+    // Binary values are base64; truncated ones hold only the first bytes of the file
+    ...(secret.encoding && { encoding: secret.encoding, contentType: secret.contentType }),
+    ...(secret.truncated && { truncated: true, size: secret.size }),
+    lastModified: secret.lastModified,
+    revealedAt: revealedAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    ttlMs: REVEAL_TTL_MS,
+    ttlEnforcedBy: 'client'
+  });
+}));
 
-// API endpoint to get current secrets
-app.get('/api/secrets', (req, res) => {
-  const secrets = readSecretsFromDirectory();
+// API endpoint to export full values of every file the caller may export (logged)
+app.get('/api/export', requirePermission('export'), withTarget, asyncHandler(async (req, res) => {
+  const secrets = req.access.filter(await readSecrets(req.target), 'export');
+  auditLog.record({ action: 'export', ...requestClient(req), target: req.target.id, files: Object.keys(secrets) });
+  httpLog.info('Secrets exported', { target: req.target.id, files: Object.keys(secrets), subject: req.identity.subject, ip: req.ip });
+  
+  res.set('Cache-Control', 'no-store');
   res.json({
     timestamp: new Date().toISOString(),
-    secretsDir: SECRETS_DIR,
-    secrets: secrets
+    target: req.target.id,
+    secrets
+  });
+}));
+
+// API endpoint to get recent propagation timelines of a target (newest first)
+app.get('/api/propagation', withTarget, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  res.json({
+    timestamp: new Date().toISOString(),
+    target: req.target.id,
+    stages: STAGES,
+    changes: visiblePropagation(propagationStore.recent({
+      target: req.target.id,
+      limit,
+      predicate: record => record.files.some(file => req.access.can('read', file))
+    }), req.access)
+  });
+});
+
+// API endpoint to get version history metadata for a single secret (no content)
+app.get('/api/secrets/:name/history', requirePermission('read'), withTarget, (req, res) => {
+  const { secretHistory } = req.target;
+  const versions = secretHistory.list(req.params.name);
+  if (!versions) {
+    return res.status(404).json({ error: `No history for secret "${req.params.name}"` });
+  }
+  
+  res.json({
+    timestamp: new Date().toISOString(),
+    name: req.params.name,
+    encryptedAtRest: secretHistory.isEncrypted(),
+    // Content hashes stay on the server; clients get keyed fingerprints (see lib/masking.js)
+    versions: versions.slice().reverse().map(({ hash, ...version }) => ({ ...version, fingerprint: hash && fingerprint(hash) })) // Newest first
+  });
+});
+
+// API endpoint to get a redacted line diff between two versions of a secret
+// Defaults: to = latest version, from = the version before it
+app.get('/api/secrets/:name/diff', requirePermission('read'), withTarget, (req, res) => {
+  const { name } = req.params;
+  const { secretHistory } = req.target;
+  const latest = secretHistory.latest(name);
+  if (!latest) {
+    return res.status(404).json({ error: `No history for secret "${name}"` });
+  }
+  
+  const to = req.query.to ? parseInt(req.query.to, 10) : latest.version;
+  const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+  const toVersion = secretHistory.get(name, to);
+  const fromVersion = secretHistory.get(name, from);
+  
+  if (!toVersion || (!fromVersion && from >= 1)) {
+    return res.status(404).json({ error: `Version ${!toVersion ? to : from} of "${name}" is not in history` });
+  }
+  if ((fromVersion && !fromVersion.deleted && fromVersion.content === undefined) ||
+      (!toVersion.deleted && toVersion.content === undefined)) {
+    return res.status(410).json({ error: 'Content for this version is no longer available (set HISTORY_ENCRYPTION_KEY to keep it across restarts)' });
+  }
+  
+  res.json({
+    timestamp: new Date().toISOString(),
+    name,
+    from: fromVersion ? { version: fromVersion.version, fingerprint: fromVersion.hash && fingerprint(fromVersion.hash), timestamp: fromVersion.timestamp } : null,
+    to: { version: toVersion.version, fingerprint: toVersion.hash && fingerprint(toVersion.hash), timestamp: toVersion.timestamp },
+    ...redactedDiff(fromVersion?.content || '', toVersion.content || '')
   });
 });
 
-// API endpoint to get activity log
+// API endpoint to get activity history - paginated and filterable
+// Query params: secret, action, since, until (ISO timestamps), cursor, limit
 app.get('/api/activity', (req, res) => {
+  const { secret, action, since, until, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ACTIVITY_PAGE_SIZE, 1), 100);
+  
+  if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+    return res.status(400).json({ error: 'since/until must be valid ISO timestamps' });
+  }
+  
+  const result = activityStore.query({
+    secret, action, since, until, cursor, limit,
+    predicate: entry => canSeeActivity(entry, req.access)
+  });
+  res.json({
+    timestamp: new Date().toISOString(),
+    ...result,
+    activity: visibleActivity(result.activity, req.access)
+  });
+});
+
+// API endpoint to list configured webhooks and their paginated delivery log (newest first)
+app.get('/api/webhooks', (req, res) => {
+  const { hook, secret, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const result = webhooks.deliveries({
+    secret, cursor, limit,
+    predicate: entry => (!hook || entry.hookId === hook) && entry.files.some(file => req.access.can('read', file))
+  });
   res.json({
     timestamp: new Date().toISOString(),
-    activity: activityLog.slice(0, 10) // Return last 10 entries
+    hooks: webhooks.hooks,
+    deliveries: visibleDeliveries(result.activity, req.access),
+    total: result.total,
+    hasMore: result.hasMore,
+    nextCursor: result.nextCursor
   });
 });
 
 // API endpoint to get metrics
-app.get('/api/metrics', (req, res) => {
-  const secrets = readSecretsFromDirectory();
+app.get('/api/metrics', withTarget, asyncHandler(async (req, res) => {
+  const secrets = req.access.filter(await readSecrets(req.target), 'read');
   const totalSize = Object.values(secrets).reduce((sum, secret) => sum + (secret.size || 0), 0);
   
   // Calculate activity statistics
   const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const activityLog = visibleActivity(activityStore.all(), req.access);
   const recentActivity = activityLog.filter(entry => new Date(entry.timestamp) > last24Hours);
   
   res.json({
     timestamp: new Date().toISOString(),
+    target: req.target.id,
     totalSecrets: Object.keys(secrets).length,
     totalSize,
     avgSecretSize: Object.keys(secrets).length > 0 ? Math.round(totalSize / Object.keys(secrets).length) : 0,
@@ -598,6 +1300,51 @@ app.get('/api/metrics', (req, res) => {
       return types;
     }, {})
   });
+}));
+
+// Prometheus scrape endpoint. Authenticated like the API when AUTH_MODE is set; per-secret
+// series are limited to the files the caller may read.
+app.get('/metrics', authenticator.httpMiddleware, (req, res) => {
+  const access = accessPolicy.forRoles(accessPolicy.resolveRoles(req.identity, req.headers));
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render({ includeSeries: labels => !labels.secret || access.can('read', labels.secret) }));
+});
+
+// Search the access audit trail (roles with the "audit" permission; searches are audited too)
+// Query params: action, subject, file, target, q (free text), since, until (ISO), cursor, limit
+app.get('/api/audit', requirePermission('audit'), (req, res) => {
+  const { action, subject, file, target, q, since, until, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+    return res.status(400).json({ error: 'since/until must be valid ISO timestamps' });
+  }
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+
+  const result = auditLog.query({ action, subject, file, target, q, since, until, cursor, limit });
+  const filters = Object.fromEntries(Object.entries({ action, subject, file, target, q, since, until }).filter(([, value]) => value));
+  auditLog.record({ action: 'audit-search', ...requestClient(req), target: null, files: [], filters });
+  res.json({
+    timestamp: new Date().toISOString(),
+    actions: AUDIT_ACTIONS,
+    ...result
+  });
+});
+
+// Re-check the audit trail's hash chain from the first line
+app.get('/api/audit/verify', requirePermission('audit'), (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    persistent: auditLog.isPersistent(),
+    ...auditLog.verify()
+  });
+});
+
+// Effective server tunables with where each value came from (no secrets in there)
+app.get('/api/config', (req, res) => {
+  res.json(config.describe());
 });
 
 // Health check endpoint
@@ -606,24 +1353,159 @@ app.get('/api/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     secretsDir: SECRETS_DIR,
-    secretsDirExists: fs.existsSync(SECRETS_DIR)
+    secretsDirExists: fs.existsSync(SECRETS_DIR),
+    targets: targets.map(target => ({
+      id: target.id,
+      mountPath: target.mountPath,
+      lastSync: new Date(target.lastSuccessfulSync).toISOString(),
+      sources: target.secretSources.health()
+    }))
   });
 });
 
-// Health check endpoint that also triggers secret refresh
-app.get('/api/health-refresh', (req, res) => {
-  const secrets = readSecretsFromDirectory();
-  io.emit('secrets-update', {
+// Liveness: the process is up and its periodic sync loop still runs. Failing it restarts the
+// container, so it ignores what a restart would not fix (a missing mount, an unreachable API).
+app.get('/livez', (req, res) => {
+  const sincePeriodicSyncMs = Date.now() - lastPeriodicSyncTick;
+  const reasons = [];
+  if (sincePeriodicSyncMs > tunables.periodicSyncIntervalMs * 3) {
+    reasons.push(`periodic sync has not run for ${Math.round(sincePeriodicSyncMs / 1000)}s`);
+  }
+  res.status(reasons.length > 0 ? 503 : 200).json({
+    status: reasons.length > 0 ? 'unhealthy' : 'ok',
     timestamp: new Date().toISOString(),
-    action: 'health-refresh',
-    file: 'manual-refresh',
-    secrets: secrets
+    uptimeSeconds: Math.round(process.uptime()),
+    sincePeriodicSyncMs,
+    reasons
   });
-  
-  res.json({ 
-    status: 'healthy', 
+});
+
+// Why a target cannot serve current secrets (empty when it can), plus non-fatal warnings
+function targetReadiness(target, now) {
+  const reasons = [];
+  const warnings = [];
+  const readStatus = target.secretSources.readStatus();
+  const sources = target.secretSources.health();
+  const sinceLastReadMs = readStatus.lastSuccessfulReadAt ? now - Date.parse(readStatus.lastSuccessfulReadAt) : null;
+
+  if (!target.firstSyncAt) {
+    reasons.push('first sync has not completed');
+  } else if (Object.keys(target.lastKnownSecrets || {}).length === 0) {
+    reasons.push('no secrets found');
+  }
+  if (sinceLastReadMs !== null && sinceLastReadMs > tunables.readinessMaxReadAgeMs) {
+    reasons.push(`last successful read was ${Math.round(sinceLastReadMs / 1000)}s ago`);
+  }
+  for (const source of sources) {
+    if (source.readError) reasons.push(`source ${source.name}: ${source.readError}`);
+    if (source.type === 'directory') {
+      if (!source.exists) reasons.push(`source ${source.name}: ${source.dir} does not exist`);
+      for (const { file, error } of source.readErrors) {
+        reasons.push(`source ${source.name}: ${file ? `cannot read ${file}` : 'cannot list directory'}: ${error}`);
+      }
+    } else if (source.error && !source.readError) {
+      reasons.push(`source ${source.name}: ${source.error}`);
+    }
+    if (source.watchState === 'error' || source.watchState === 'disconnected') {
+      reasons.push(`source ${source.name}: ${source.watchMode} watch is ${source.watchState}`);
+    }
+    // Changes are still picked up, only later
+    if (source.fallback) warnings.push(`source ${source.name}: change signal unavailable - polling the filesystem`);
+  }
+
+  return {
+    id: target.id,
+    ready: reasons.length === 0,
+    firstSyncCompleted: Boolean(target.firstSyncAt),
+    firstSyncAt: target.firstSyncAt ? new Date(target.firstSyncAt).toISOString() : null,
+    lastSuccessfulReadAt: readStatus.lastSuccessfulReadAt,
+    sinceLastReadMs,
+    lastChangeAt: new Date(target.lastSuccessfulSync).toISOString(),
+    watchers: sources.filter(source => source.watchMode !== undefined).map(source => ({
+      source: source.name,
+      mode: source.watchMode,
+      state: source.watchState,
+      fallback: source.fallback
+    })),
+    ...(target.kubernetesSource && { kubernetesWatch: target.kubernetesSource.health() }),
+    reasons,
+    warnings
+  };
+}
+
+// Readiness: every target has completed its first sync, read its secrets recently and without
+// errors, and is still watching for changes. 503 with the reasons otherwise.
+app.get('/readyz', (req, res) => {
+  const now = Date.now();
+  const report = targets.map(target => targetReadiness(target, now));
+  const ready = report.every(target => target.ready);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    timestamp: new Date(now).toISOString(),
+    reasons: report.flatMap(target => target.reasons.map(reason => `${target.id}: ${reason}`)),
+    targets: report
+  });
+});
+
+// Server-Sent Events stream of the socket.io events, for clients that cannot use socket.io.
+// Reconnects with Last-Event-ID (header, or ?lastEventId=) receive only missed events.
+app.get('/api/events', async (req, res) => {
+  let client;
+  try {
+    client = await eventStream.connect(req, res, {
+      access: req.access,
+      snapshot: async (access) => {
+        const events = await initialEvents(access);
+        auditSnapshots({ ...requestClient(req), transport: 'sse' }, events, 'connect');
+        return events;
+      },
+      onClose: ({ id }) => {
+        socketLog.info('SSE client disconnected', { client: id, transport: 'sse' });
+        connectedClients.delete(id);
+      }
+    });
+  } catch (err) {
+    // The stream is already open, so the client just reconnects
+    syncLog.error('Initial state for SSE client failed', { err });
+    return res.end();
+  }
+  if (!client) return;
+  socketLog.info('SSE client connected', { client: client.id, transport: 'sse', subject: req.identity.subject, roles: req.access.roles });
+  connectedClients.add(client.id);
+});
+
+// Render acknowledgement for clients without a socket (see the socket render-ack event)
+app.post('/api/propagation/:id/render-ack', (req, res) => {
+  const record = propagationStore.acknowledgeRender(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Unknown change' });
+  }
+  if (record.renderAcks === 1) {
+    emitPropagationUpdate(record);
+  }
+  res.json({ id: record.id, renderAcks: record.renderAcks });
+});
+
+// Re-read the target's secrets now (the SSE equivalent of the socket force-refresh)
+app.post('/api/refresh', withTarget, async (req, res) => {
+  const rejection = admitRefresh(requestClient(req), req.access, req.target.id);
+  if (rejection) {
+    if (rejection.retryAfterMs !== undefined) res.set('Retry-After', String(Math.ceil(rejection.retryAfterMs / 1000)));
+    return res.status(rejection.status).json({ error: rejection.error, reason: rejection.reason, retryAfterMs: rejection.retryAfterMs });
+  }
+  // Clients are sent a delta if anything changed since the last update
+  try {
+    await handleSecretUpdate(req.target, 'api-refresh');
+  } catch (err) {
+    syncLog.error('Secret update failed', { target: req.target.id, source: 'api-refresh', err });
+    return res.status(500).json({ error: `Refresh failed: ${err.message}` });
+  }
+
+  res.json({
     timestamp: new Date().toISOString(),
-    secretCount: Object.keys(secrets).length,
+    target: req.target.id,
+    seq: req.target.seq,
+    secretCount: Object.keys(req.access.filter(req.target.lastKnownSecrets || {}, 'read')).length,
     refreshTriggered: true
   });
 });
@@ -633,32 +1515,77 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'client/dist/index.html'));
 });
 
-// Socket.io connection handling with enhanced client tracking
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  connectedClients.add(socket.id);
+// Errors of any route (e.g. a failed secrets read) as JSON; details stay in the log
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) httpLog.error('Request failed', { method: req.method, path: req.path, err });
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+});
+
+// Every file of every target the client may read (a file name can appear in several targets)
+function readableFiles(access) {
+  const files = new Set();
+  for (const target of targets) {
+    Object.keys(access.filter(target.lastKnownSecrets || {}, 'read')).forEach(file => files.add(file));
+  }
+  return [...files];
+}
+
+// Events a newly connected client needs to render the current state (socket.io connection
+// and SSE streams that cannot resume)
+async function initialEvents(access) {
+  const events = [];
+  for (const target of targets) {
+    events.push(['secrets-update', await secretsSnapshot(target, access, 'connection-init')]);
+  }
   
-  // Send current secrets immediately upon connection
-  const currentSecrets = readSecretsFromDirectory();
-  socket.emit('secrets-update', {
-    timestamp: new Date().toISOString(),
-    secrets: currentSecrets,
-    source: 'connection-init',
-    forceUpdate: true
-  });
+  if (vaultSource) {
+    events.push(['vault-secrets-update', {
+      timestamp: new Date().toISOString(),
+      secrets: presentSecrets(access.filter(lastKnownVaultSecrets, 'read')),
+      masked: MASK_SECRETS,
+      target: vaultTarget.id,
+      status: vaultSource.health()
+    }]);
+  }
   
-  // Send current activity log
-  socket.emit('activity-update', {
+  events.push(['activity-update', {
     timestamp: new Date().toISOString(),
-    activity: activityLog.slice(0, 10)
-  });
+    activity: visibleActivity(activityStore.recent(ACTIVITY_PAGE_SIZE), access)
+  }]);
   
-  // Send welcome heartbeat
-  socket.emit('heartbeat', {
+  events.push(['heartbeat', {
     timestamp: new Date().toISOString(),
     connectedClients: connectedClients.size,
-    lastSync: lastSuccessfulSync,
+    lastSync: Math.max(...targets.map(target => target.lastSuccessfulSync)),
     message: 'Connected to vault-secrets-demo'
+  }]);
+  return events;
+}
+
+// Authenticate the socket.io handshake (reconnects re-send the client's current credential)
+io.use(authenticator.socketMiddleware);
+
+// Socket.io connection handling with enhanced client tracking
+io.on('connection', (socket) => {
+  socket.data.access = accessPolicy.forRoles(
+    accessPolicy.resolveRoles(socket.data.identity, socket.handshake.headers)
+  );
+  socketLog.info('Client connected', { client: socket.id, transport: 'socket.io', subject: socket.data.identity.subject, roles: socket.data.access.roles });
+  connectedClients.add(socket.id);
+  socket.data.secretsSeq = {}; // target id -> seq of the last secrets-update sent
+  subscriptions.set(socket, null);
+  
+  // Send the current state of every target, Vault, activity and a welcome heartbeat
+  initialEvents(socket.data.access).then(events => {
+    auditSnapshots(socketClient(socket), events, 'connect');
+    events.forEach(([event, payload]) => {
+      if (event === 'secrets-update') socket.data.secretsSeq[payload.target] = payload.seq;
+      socket.emit(event, payload);
+    });
+  }).catch(err => {
+    syncLog.error('Initial state for client failed', { client: socket.id, err });
   });
   
   // Handle ping from client
@@ -670,148 +1597,210 @@ io.on('connection', (socket) => {
     });
   });
 
-  // Handle client requests for force refresh
-  socket.on('force-refresh', () => {
-    console.log('🔄 Force refresh requested by client:', socket.id);
-    // Force refresh for all clients, not just the requester
-    handleSecretUpdate('client-force-refresh');
+  // Client missed a secrets-update delta (seq gap) - resend the target's full snapshot
+  socket.on('resync', async (payload = {}) => {
+    const target = targetsById.get(payload.target);
+    if (!target) return;
+    socketLog.info('Resync requested', { client: socket.id, target: target.id, clientSeq: payload.seq ?? null, serverSeq: target.seq });
+    let snapshot;
+    try {
+      snapshot = await secretsSnapshot(target, socket.data.access, 'resync');
+    } catch (err) {
+      syncLog.error('Resync failed', { client: socket.id, target: target.id, err });
+      return socket.emit('secrets-error', { target: target.id, error: 'Resync failed - secrets may be out of date' });
+    }
+    auditSnapshots(socketClient(socket), [['secrets-update', snapshot]], 'resync');
+    socket.data.secretsSeq[target.id] = snapshot.seq;
+    socket.emit('secrets-update', snapshot);
   });
 
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    connectedClients.delete(socket.id);
+  // Follow only files matching { patterns: [glob, ...] } (added to earlier subscriptions);
+  // the optional ack receives { subscriptions } or { error }
+  socket.on('subscribe', (payload = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const current = subscriptions.subscribe(socket, payload.patterns);
+      socketLog.debug('Client subscribed', { client: socket.id, subscriptions: current });
+      reply({ subscriptions: current });
+    } catch (err) {
+      reply({ error: err.message });
+    }
   });
-});
 
-// Fallback filesystem monitoring (used only if kubectl monitoring fails)
-let filesystemWatcher = null;
+  // Stop following { patterns }, or everything subscribed without patterns; a socket with no
+  // subscriptions left follows every file again
+  socket.on('unsubscribe', (payload = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const current = subscriptions.unsubscribe(socket, payload.patterns);
+      socketLog.debug('Client unsubscribed', { client: socket.id, subscriptions: current });
+      reply({ subscriptions: current });
+    } catch (err) {
+      reply({ error: err.message });
+    }
+  });
 
-function startFilesystemMonitoring() {
-  console.log(`📁 Starting fallback filesystem monitoring for: ${SECRETS_DIR}`);
-  
-  // More conservative filesystem watcher as fallback
-  filesystemWatcher = chokidar.watch(SECRETS_DIR, {
-    ignored: /^\./,
-    persistent: true,
-    ignoreInitial: false,
-    followSymlinks: true,
-    usePolling: true,
-    interval: 2000, // 2 second polling - more conservative for fallback
-    awaitWriteFinish: {
-      stabilityThreshold: 500, // Wait 500ms for file to stabilize
-      pollInterval: 100
+  // Re-read { target } (or every target) now; the optional ack receives { refreshed } or
+  // { error, reason, retryAfterMs }
+  socket.on('force-refresh', (payload = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (payload.target && !targetsById.has(payload.target)) {
+      return reply({ error: `Unknown target "${payload.target}"` });
+    }
+    const rejection = admitRefresh(socketClient(socket), socket.data.access, payload.target || null);
+    if (rejection) {
+      return reply({ error: rejection.error, reason: rejection.reason, retryAfterMs: rejection.retryAfterMs });
+    }
+    socketLog.info('Force refresh requested', { client: socket.id, target: payload.target || null });
+    // Force refresh for all clients, not just the requester
+    const refreshed = targets.filter(target => !payload.target || payload.target === target.id);
+    for (const target of refreshed) {
+      triggerSecretUpdate(target, 'client-force-refresh');
     }
+    reply({ refreshed: refreshed.map(target => target.id) });
   });
 
-  filesystemWatcher
-    .on('add', (filePath) => {
-      const filename = path.basename(filePath);
-      console.log(`File added via fallback: ${filename}`);
-      // Add a small delay to batch multiple file changes
-      setTimeout(() => handleSecretUpdate('filesystem-fallback'), 200);
-    })
-    .on('change', (filePath) => {
-      const filename = path.basename(filePath);
-      console.log(`File changed via fallback: ${filename}`);
-      setTimeout(() => handleSecretUpdate('filesystem-fallback'), 200);
-    })
-    .on('unlink', (filePath) => {
-      const filename = path.basename(filePath);
-      console.log(`File removed via fallback: ${filename}`);
-      setTimeout(() => handleSecretUpdate('filesystem-fallback'), 200);
-    })
-    .on('error', (error) => {
-      console.error('Filesystem watcher error:', error);
-    })
-    .on('ready', () => {
-      console.log('Fallback filesystem watcher ready (conservative mode)');
-    });
+  // Client finished rendering a change - closes that change's propagation timeline
+  socket.on('render-ack', (payload = {}) => {
+    if (typeof payload.changeId !== 'string') return;
+    const record = propagationStore.acknowledgeRender(payload.changeId);
+    if (record && record.renderAcks === 1) {
+      emitPropagationUpdate(record);
+    }
+  });
+
+  socket.on('disconnect', () => {
+    socketLog.info('Client disconnected', { client: socket.id, transport: 'socket.io' });
+    connectedClients.delete(socket.id);
+  });
+});
+
+// Initialize monitoring - Kubernetes API watch with intelligent fallback
+serverLog.info('Initializing secret monitoring', {
+  targets: targets.map(target => ({
+    id: target.id,
+    namespace: target.namespace,
+    secretName: target.secretName,
+    mountPath: target.mountPath,
+    sources: target.secretSources.sources.map(source => source.name)
+  })),
+  directoryChangeSignal: DIRECTORY_CHANGE_SIGNAL,
+  configFile: process.env.CONFIG_FILE || null,
+  authentication: authenticator.mode,
+  vault: vaultSource ? `${process.env.VAULT_ADDR} ${process.env.VAULT_KV_MOUNT || 'secret'}/${process.env.VAULT_KV_PATH}` : null,
+  masking: MASK_SECRETS,
+  revealTtlMs: REVEAL_TTL_MS,
+  webhooks: webhooks.hooks.map(hook => `${hook.id} (${hook.format} → ${hook.host})`),
+  activityHistory: activityStore.isPersistent() ? activityStore.filePath : null,
+  auditTrail: auditLog.isPersistent() ? auditLog.filePath : null
+});
+if (!MASK_SECRETS) {
+  serverLog.warn('Secret masking is disabled - full values are sent to clients');
+}
+if (process.env.LOG_REDACT === 'false') {
+  serverLog.warn('Log redaction is disabled (LOG_REDACT=false) - secret values may be written to the logs');
 }
 
-// Initialize monitoring - kubectl-based approach with intelligent fallback
-console.log(`🎯 Initializing smart Kubernetes secret monitoring...`);
-console.log(`  - Target: ${K8S_SECRET_NAME} in namespace ${K8S_NAMESPACE}`);
-console.log(`  - Secrets directory: ${SECRETS_DIR}`);
-console.log(`  - Activity throttling: ${ACTIVITY_THROTTLE_MS}ms`);
-console.log(`  - Deduplication window: ${EMISSION_DEDUP_WINDOW}ms`);
+// Start watching every target's sources (the API watch is the primary directory signal)
+for (const target of targets) {
+  target.secretSources.watch(event => handleSourceEvent(target, event));
+}
 
-// Start kubectl-based monitoring (primary strategy)
-startKubectlSecretMonitoring();
+// Read every target once now so readiness does not wait for a watch event or the periodic sync
+for (const target of targets) {
+  triggerSecretUpdate(target, 'initial-sync');
+}
 
 // Start periodic sync and heartbeat system
 startPeriodicSync();
 
-console.log('🎯 Smart Kubernetes secret monitoring initialized');
-console.log('  - Primary: kubectl watch for immediate secret updates');
-console.log('  - Fallback: conservative filesystem monitoring (only if kubectl fails)');
-console.log('  - Smart throttling: Activity updates limited to prevent spam');
-console.log('  - Content detection: Only emit when secret content actually changes');
-console.log('  - Fast response: 100ms delay after kubectl detection');
-console.log('  - Reliability: Periodic sync every 30s, heartbeat every 10s');
+// Start polling Vault directly if configured
+if (vaultSource) {
+  stopVaultWatch = vaultSource.watch(event => handleVaultUpdate(event.secrets));
+}
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('Shutting down gracefully...');
+  serverLog.info('Shutting down gracefully');
   
-  if (kubectlWatcher) {
-    kubectlWatcher.kill();
+  for (const target of targets) {
+    target.secretSources.stop();
   }
   
-  if (filesystemWatcher) {
-    filesystemWatcher.close();
+  if (stopVaultWatch) {
+    stopVaultWatch();
   }
   
-  if (periodicSyncInterval) {
-    clearInterval(periodicSyncInterval);
-  }
+  clearInterval(periodicSyncInterval);
+  clearInterval(heartbeatInterval);
+  config.stop();
+  
+  webhooks.stop();
+  eventStream.stop();
   
   server.close(() => {
-    console.log('Server closed');
+    serverLog.info('Server closed');
     process.exit(0);
   });
 });
 
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Smart server running on port ${PORT}`);
-  console.log(`Secrets directory: ${SECRETS_DIR}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Monitoring mode: kubectl-based with intelligent fallback`);
-  console.log(`Activity throttling: ${ACTIVITY_THROTTLE_MS}ms between activity updates`);
+  serverLog.info('Server listening', {
+    port: Number(PORT),
+    targets: targets.map(target => target.id),
+    environment: process.env.NODE_ENV || 'development'
+  });
 });
 
-// Debounced kubectl update handler to handle rapid successive Vault updates
-function handleKubectlUpdate() {
-  pendingUpdateCount++;
-  console.log(`📊 Kubectl update #${pendingUpdateCount} detected - debouncing...`);
+// Debounced watch update handler to handle rapid successive Vault updates
+function handleKubernetesUpdate(target, detection = { detectedAt: Date.now(), resourceVersion: null, syncId: newSyncId() }) {
+  target.pendingUpdateCount++;
+  // Latency is measured from the first event of a debounced burst, up to its newest resourceVersion
+  if (!target.pendingDetection) {
+    target.pendingDetection = { ...detection };
+  } else if (detection.resourceVersion) {
+    target.pendingDetection.resourceVersion = detection.resourceVersion;
+  }
+  watchLog.debug('Kubernetes update detected - debouncing', {
+    target: target.id,
+    syncId: target.pendingDetection.syncId,
+    resourceVersion: detection.resourceVersion,
+    pendingUpdates: target.pendingUpdateCount
+  });
   
   // Clear any existing timeout to restart the debounce timer
-  if (updateTimeoutId) {
-    clearTimeout(updateTimeoutId);
+  if (target.updateTimeoutId) {
+    clearTimeout(target.updateTimeoutId);
   }
   
   // Set a shorter debounce but be more aggressive about capturing changes
-  updateTimeoutId = setTimeout(() => {
-    console.log(`🎯 Processing kubectl update (${pendingUpdateCount} updates detected)`);
+  target.updateTimeoutId = setTimeout(async () => {
+    const detection = target.pendingDetection;
+    target.pendingDetection = null;
+    const log = watchLog.child({ target: target.id, syncId: detection.syncId });
+    log.info('Processing Kubernetes update', { pendingUpdates: target.pendingUpdateCount, resourceVersion: detection.resourceVersion });
     
     // Try immediately first (some projected volumes update quickly)
-    console.log(`⚡ Attempting immediate read...`);
-    const immediateSecrets = readSecretsFromDirectory();
-    const currentSecretsString = JSON.stringify(lastKnownSecrets || {});
-    const immediateSecretsString = JSON.stringify(immediateSecrets);
+    let immediateSecrets = null;
+    try {
+      immediateSecrets = await readSecrets(target);
+    } catch (err) {
+      syncLog.error('Immediate read failed - falling back to retries', { target: target.id, syncId: detection.syncId, err });
+    }
     
-    if (currentSecretsString !== immediateSecretsString) {
-      console.log(`🎯 Immediate read successful - content changed!`);
-      handleSecretUpdate('kubectl-immediate');
-      pendingUpdateCount = 0;
+    if (immediateSecrets && detectChanges(target.lastKnownSecrets, immediateSecrets).hasContentChanges) {
+      log.debug('Immediate read saw the change');
+      triggerSecretUpdate(target, 'k8s-watch-immediate', detection);
+      target.pendingUpdateCount = 0;
       return;
     }
     
     // If immediate read didn't work, use faster retry mechanism
-    console.log(`⏳ Immediate read unchanged - starting fast retry sequence...`);
+    log.debug('Immediate read unchanged - starting retry sequence');
     setTimeout(() => {
-      handleSecretUpdateWithRetry('kubectl-detected', 0);
-      pendingUpdateCount = 0; // Reset counter after processing
-    }, 200); // Much faster initial delay (200ms instead of 500ms)
+      triggerSecretUpdate(target, 'k8s-watch-detected', detection, { retries: tunables.updateRetries });
+      target.pendingUpdateCount = 0; // Reset counter after processing
+    }, tunables.updateRetryStartDelayMs);
     
-  }, 150); // Reduced debounce window (150ms instead of 300ms)
+  }, tunables.watchDebounceMs);
 }
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createAuditLog, GENESIS_HASH } = require('../lib/auditLog');
+const { tempDir } = require('./fixtures');
+
+const read = (subject, files, extra = {}) => ({ action: 'read', subject, ip: '10.0.0.1', userAgent: 'test', transport: 'http', target: 'default', files, ...extra });
+
+test('entries are hash-chained from the genesis hash', (t) => {
+  const audit = createAuditLog({ dataDir: tempDir(t) });
+  const first = audit.record(read('alice', ['db_password']));
+  const second = audit.record({ ...read('bob', ['api_key']), action: 'export' });
+
+  assert.equal(first.seq, 1);
+  assert.equal(first.prevHash, GENESIS_HASH);
+  assert.equal(second.prevHash, first.hash);
+  assert.deepEqual(audit.verify(), { valid: true, entries: 2, brokenAt: null });
+});
+
+test('verify detects an edited line', (t) => {
+  const dir = tempDir(t);
+  const audit = createAuditLog({ dataDir: dir });
+  audit.record(read('alice', ['db_password']));
+  audit.record(read('mallory', ['db_password']));
+  audit.record(read('bob', ['api_key']));
+
+  const lines = fs.readFileSync(audit.filePath, 'utf8').split('\n');
+  lines[1] = lines[1].replace('mallory', 'alice');
+  fs.writeFileSync(audit.filePath, lines.join('\n'));
+
+  const result = audit.verify();
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.brokenAt, { line: 2, seq: 2, reason: 'hash mismatch' });
+});
+
+test('verify detects a removed line', (t) => {
+  const audit = createAuditLog({ dataDir: tempDir(t) });
+  audit.record(read('alice', ['a']));
+  audit.record(read('mallory', ['a']));
+  audit.record(read('bob', ['a']));
+
+  const lines = fs.readFileSync(audit.filePath, 'utf8').split('\n');
+  lines.splice(1, 1);
+  fs.writeFileSync(audit.filePath, lines.join('\n'));
+
+  assert.deepEqual(audit.verify().brokenAt, { line: 2, seq: 3, reason: 'previous hash mismatch' });
+});
+
+test('a reloaded trail continues the chain', (t) => {
+  const dir = tempDir(t);
+  const before = createAuditLog({ dataDir: dir });
+  const last = before.record(read('alice', ['a']));
+
+  const after = createAuditLog({ dataDir: dir });
+  const next = after.record(read('bob', ['b']));
+  assert.equal(next.seq, 2);
+  assert.equal(next.prevHash, last.hash);
+  assert.equal(after.verify().valid, true);
+  assert.equal(after.query().total, 2);
+});
+
+test('query filters and paginates newest first', (t) => {
+  const audit = createAuditLog({ dataDir: tempDir(t) });
+  audit.record(read('alice', ['db_password']));
+  audit.record({ ...read('bob', ['db_password']), action: 'reveal' });
+  audit.record(read('alice', ['api_key'], { ip: '192.168.1.5' }));
+
+  assert.deepEqual(audit.query({ subject: 'alice' }).entries.map(entry => entry.seq), [3, 1]);
+  assert.deepEqual(audit.query({ file: 'db_password' }).entries.map(entry => entry.seq), [2, 1]);
+  assert.deepEqual(audit.query({ action: 'reveal' }).entries.map(entry => entry.subject), ['bob']);
+  assert.deepEqual(audit.query({ q: '192.168' }).entries.map(entry => entry.seq), [3]);
+
+  const page = audit.query({ limit: 2 });
+  assert.equal(page.hasMore, true);
+  assert.equal(page.nextCursor, 2);
+  assert.deepEqual(audit.query({ limit: 2, cursor: page.nextCursor }).entries.map(entry => entry.seq), [1]);
+});
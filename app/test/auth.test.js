@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createAuthenticator } = require('../lib/auth');
+const { tempDir } = require('./fixtures');
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(header, claims, privateKey, options = {}) {
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.sign(options.hash || 'sha256', Buffer.from(signingInput), { key: privateKey, ...options.sign });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// A jwt authenticator trusting `keys` ([{ kid, alg, publicKey }])
+function jwtAuthenticator(t, keys) {
+  const jwksFile = path.join(tempDir(t, 'auth-'), 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: keys.map(({ kid, alg, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, ...(alg && { alg }) }))
+  }));
+  return createAuthenticator({ mode: 'jwt', jwksFile });
+}
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('a token signed by its kid key is accepted', (t) => {
+  const auth = jwtAuthenticator(t, [{ kid: 'rsa', alg: 'RS256', publicKey: rsa.publicKey }, { kid: 'ec', publicKey: ec.publicKey }]);
+
+  const token = sign({ alg: 'RS256', kid: 'rsa' }, { sub: 'alice', exp: inAnHour() }, rsa.privateKey);
+  assert.equal(auth.authenticate(token).subject, 'alice');
+
+  const ecToken = sign({ alg: 'ES256', kid: 'ec' }, { sub: 'bob', exp: inAnHour() }, ec.privateKey, { sign: { dsaEncoding: 'ieee-p1363' } });
+  assert.equal(auth.authenticate(ecToken).subject, 'bob');
+});
+
+test('a kid key does not verify an algorithm other than its declared one', (t) => {
+  const auth = jwtAuthenticator(t, [{ kid: 'rsa', alg: 'RS256', publicKey: rsa.publicKey }]);
+
+  const token = sign({ alg: 'PS256', kid: 'rsa' }, { sub: 'alice', exp: inAnHour() }, rsa.privateKey, {
+    sign: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING }
+  });
+  assert.throws(() => auth.authenticate(token), { name: 'AuthError', message: 'No matching signing key' });
+});
+
+test('a key does not verify algorithms of another key type', (t) => {
+  // Neither key declares alg, so only the key type rules out the mismatch
+  const auth = jwtAuthenticator(t, [{ kid: 'rsa', publicKey: rsa.publicKey }, { kid: 'ec', publicKey: ec.publicKey }]);
+
+  const withKid = sign({ alg: 'ES256', kid: 'rsa' }, { sub: 'alice', exp: inAnHour() }, ec.privateKey, { sign: { dsaEncoding: 'ieee-p1363' } });
+  assert.throws(() => auth.authenticate(withKid), { name: 'AuthError', message: 'No matching signing key' });
+
+  const withoutKid = sign({ alg: 'RS256' }, { sub: 'alice', exp: inAnHour() }, rsa.privateKey);
+  assert.equal(auth.authenticate(withoutKid).subject, 'alice');
+});
+
+test('a token without exp is rejected', (t) => {
+  const auth = jwtAuthenticator(t, [{ kid: 'rsa', alg: 'RS256', publicKey: rsa.publicKey }]);
+
+  const token = sign({ alg: 'RS256', kid: 'rsa' }, { sub: 'alice' }, rsa.privateKey);
+  assert.throws(() => auth.authenticate(token), { name: 'AuthError', message: 'Token has no expiry' });
+
+  const expired = sign({ alg: 'RS256', kid: 'rsa' }, { sub: 'alice', exp: Math.floor(Date.now() / 1000) - 3600 }, rsa.privateKey);
+  assert.throws(() => auth.authenticate(expired), { name: 'AuthError', message: 'Token expired' });
+});
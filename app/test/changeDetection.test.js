@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChanges, readUntilChanged, createUpdateQueue, digestContent } = require('../lib/changeDetection');
+const { createProjectedVolume } = require('./fixtures');
+
+const secret = (content, lastModified = '2026-01-01T00:00:00.000Z', extra = {}) => ({ content, lastModified, size: content.length, ...extra });
+
+test('digestContent is the SHA-256 of the content', () => {
+  assert.equal(digestContent('hello'), '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+  assert.equal(digestContent(undefined), digestContent(''));
+});
+
+test('detectChanges types added, modified and removed files', () => {
+  const changeSet = detectChanges(
+    { keep: secret('same'), change: secret('old'), gone: secret('bye') },
+    { keep: secret('same'), change: secret('new'), fresh: secret('hi') }
+  );
+  assert.deepEqual(changeSet.added, ['fresh']);
+  assert.deepEqual(changeSet.modified, ['change']);
+  assert.deepEqual(changeSet.removed, ['gone']);
+  assert.deepEqual(changeSet.touched, []);
+  assert.equal(changeSet.hasContentChanges, true);
+
+  const modified = changeSet.changes.find(change => change.file === 'change');
+  assert.equal(modified.previousDigest, digestContent('old'));
+  assert.equal(modified.digest, digestContent('new'));
+  assert.equal(changeSet.changes.find(change => change.file === 'gone').digest, null);
+});
+
+test('detectChanges treats every file as added when nothing was read before', () => {
+  const changeSet = detectChanges(null, { a: secret('1'), b: secret('2') });
+  assert.deepEqual(changeSet.added, ['a', 'b']);
+  assert.equal(changeSet.hasContentChanges, true);
+  assert.equal(detectChanges(null, {}).hasContentChanges, false);
+});
+
+test('detectChanges reports an mtime-only touch as metadata, not content', () => {
+  const changeSet = detectChanges(
+    { token: secret('abc', '2026-01-01T00:00:00.000Z') },
+    { token: secret('abc', '2026-01-02T00:00:00.000Z') }
+  );
+  assert.deepEqual(changeSet.touched, ['token']);
+  assert.deepEqual(changeSet.modified, []);
+  assert.equal(changeSet.hasContentChanges, false);
+});
+
+test('detectChanges ignores identical reads', () => {
+  const secrets = { a: secret('1', undefined, { symlinkTarget: '..data/a' }) };
+  const changeSet = detectChanges(secrets, JSON.parse(JSON.stringify(secrets)));
+  assert.deepEqual(changeSet.changes, []);
+  assert.equal(changeSet.hasContentChanges, false);
+});
+
+test('a projected-volume swap to the same values is only a touch', (t) => {
+  const volume = createProjectedVolume(t);
+  volume.swap({ db_password: 's3cret', api_key: 'key-1' });
+  const before = volume.read();
+  assert.deepEqual(Object.keys(before).sort(), ['api_key', 'db_password']); // ..data and the timestamped dir are skipped
+
+  volume.swap({ db_password: 's3cret', api_key: 'key-1' });
+  const changeSet = detectChanges(before, volume.read());
+  assert.deepEqual(changeSet.touched.sort(), ['api_key', 'db_password']);
+  assert.equal(changeSet.hasContentChanges, false);
+});
+
+test('a projected-volume swap reports changed, added and removed keys', (t) => {
+  const volume = createProjectedVolume(t);
+  volume.swap({ db_password: 's3cret', api_key: 'key-1', legacy: 'old' });
+  const before = volume.read();
+
+  volume.swap({ db_password: 'rotated', api_key: 'key-1', cert: 'pem' });
+  const changeSet = detectChanges(before, volume.read());
+  assert.deepEqual(changeSet.modified, ['db_password']);
+  assert.deepEqual(changeSet.added, ['cert']);
+  assert.deepEqual(changeSet.removed, ['legacy']);
+  assert.deepEqual(changeSet.touched, ['api_key']);
+  assert.equal(changeSet.hasContentChanges, true);
+});
+
+test('readUntilChanged re-reads until kubelet has swapped the files', async (t) => {
+  const volume = createProjectedVolume(t);
+  volume.swap({ db_password: 's3cret' });
+  const baseline = volume.read();
+
+  // The watch saw the new Secret; the volume is updated between the second and third read
+  let reads = 0;
+  const attempts = [];
+  const result = await readUntilChanged({
+    read: () => {
+      reads++;
+      if (reads === 3) volume.swap({ db_password: 'rotated' });
+      return volume.read();
+    },
+    baseline: () => baseline,
+    retries: 5,
+    retryDelayMs: 1,
+    onAttempt: ({ attempt, maxAttempts, changeSet }) => attempts.push([attempt, maxAttempts, changeSet.hasContentChanges])
+  });
+
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(result.changeSet.modified, ['db_password']);
+  assert.equal(result.secrets.db_password.content, 'rotated');
+  assert.deepEqual(attempts, [[1, 6, false], [2, 6, false], [3, 6, true]]);
+});
+
+test('readUntilChanged gives up after the configured retries', async () => {
+  let reads = 0;
+  const result = await readUntilChanged({
+    read: async () => {
+      reads++;
+      return { a: secret('same') };
+    },
+    baseline: () => ({ a: secret('same') }),
+    retries: 2,
+    retryDelayMs: 1
+  });
+  assert.equal(reads, 3);
+  assert.equal(result.attempts, 3);
+  assert.equal(result.changeSet.hasContentChanges, false);
+});
+
+test('readUntilChanged does not retry a metadata-only touch into a change', async () => {
+  let reads = 0;
+  const result = await readUntilChanged({
+    read: async () => ({ a: secret('same', `2026-01-0${++reads}T00:00:00.000Z`) }),
+    baseline: () => ({ a: secret('same') }),
+    retries: 1,
+    retryDelayMs: 1
+  });
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(result.changeSet.touched, ['a']);
+  assert.equal(result.changeSet.hasContentChanges, false);
+});
+
+test('readUntilChanged compares against the latest baseline on every attempt', async () => {
+  // Another update applied the new value while this one was waiting to retry
+  let baseline = { a: secret('old') };
+  let reads = 0;
+  const result = await readUntilChanged({
+    read: async () => {
+      reads++;
+      if (reads === 2) baseline = { a: secret('new') };
+      return { a: secret(reads === 1 ? 'old' : 'new') };
+    },
+    baseline: () => baseline,
+    retries: 1,
+    retryDelayMs: 1
+  });
+  assert.equal(result.attempts, 2);
+  assert.equal(result.changeSet.hasContentChanges, false);
+});
+
+test('readUntilChanged returns the first read when there are no retries', async () => {
+  const result = await readUntilChanged({
+    read: async () => ({ a: secret('1') }),
+    baseline: () => null
+  });
+  assert.equal(result.attempts, 1);
+  assert.deepEqual(result.changeSet.added, ['a']);
+});
+
+test('queued updates of one target emit a change once', async () => {
+  const target = { lastKnownSecrets: { api_key: secret('old') } };
+  const deltas = [];
+  // handleSecretUpdate in miniature: a slow (network-bound) read, then emit and move the baseline
+  const update = async () => {
+    const { secrets, changeSet } = await readUntilChanged({
+      read: () => new Promise(resolve => setTimeout(() => resolve({ api_key: secret('new') }), 20)),
+      baseline: () => target.lastKnownSecrets
+    });
+    if (!changeSet.hasContentChanges) return;
+    deltas.push(changeSet.modified);
+    target.lastKnownSecrets = secrets;
+  };
+
+  const enqueue = createUpdateQueue();
+  await Promise.all([enqueue('default', update), enqueue('default', update)]);
+  assert.deepEqual(deltas, [['api_key']]);
+});
+
+test('a failed update does not hold up the next one', async () => {
+  const enqueue = createUpdateQueue();
+  const failed = enqueue('default', async () => { throw new Error('read failed'); });
+  const next = enqueue('default', async () => 'ran');
+  await assert.rejects(failed, /read failed/);
+  assert.equal(await next, 'ran');
+});
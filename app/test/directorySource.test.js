@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanSecretsDirectory, createDirectorySource } = require('../lib/sources/directorySource');
+const { tempDir, createProjectedVolume } = require('./fixtures');
+
+test('scanSecretsDirectory reports a missing directory without errors', () => {
+  const scan = scanSecretsDirectory(path.join(os.tmpdir(), 'does-not-exist-secrets'));
+  assert.deepEqual(scan, { secrets: {}, exists: false, errors: [], snapshot: null });
+});
+
+test('scanSecretsDirectory reports a directory it cannot list', (t) => {
+  const file = path.join(tempDir(t), 'not-a-dir');
+  fs.writeFileSync(file, 'x');
+  const scan = scanSecretsDirectory(file);
+  assert.equal(scan.exists, true);
+  assert.equal(scan.errors.length, 1);
+  assert.equal(scan.errors[0].file, null);
+  assert.match(scan.errors[0].error, /ENOTDIR/);
+});
+
+test('directory source health reflects the latest read', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'db_password'), 's3cret\n');
+  const source = createDirectorySource({ dir });
+  assert.equal(source.health().lastReadAt, null);
+
+  assert.deepEqual(Object.keys(await source.read()), ['db_password']);
+  const health = source.health();
+  assert.equal(health.healthy, true);
+  assert.equal(health.files, 1);
+  assert.deepEqual(health.readErrors, []);
+
+  fs.rmSync(dir, { recursive: true });
+  await source.read();
+  assert.equal(source.health().healthy, false);
+  assert.equal(source.health().exists, false);
+  assert.equal(source.health().files, 0);
+});
+
+test('a projected volume is read from the directory ..data points at', (t) => {
+  const { dir, swap } = createProjectedVolume(t);
+  const snapshot = swap({ db_password: 's3cret', '.dockerconfigjson': '{}' });
+
+  const scan = scanSecretsDirectory(dir);
+  assert.deepEqual(scan.snapshot, { id: snapshot, attempts: 1, consistent: true });
+  assert.deepEqual(Object.keys(scan.secrets).sort(), ['.dockerconfigjson', 'db_password']);
+  assert.equal(scan.secrets.db_password.content, 's3cret');
+  assert.equal(scan.secrets.db_password.snapshot, snapshot);
+  assert.deepEqual(scan.errors, []);
+});
+
+test('a ..data swap during a read is retried so files never mix snapshots', (t) => {
+  const { dir, swap } = createProjectedVolume(t);
+  swap({ db_password: 'old', api_key: 'old' });
+
+  // Swap right after the first file of the first attempt has been read
+  const openSync = fs.openSync;
+  let swapped = null;
+  t.mock.method(fs, 'openSync', function (...args) {
+    const result = openSync.apply(this, args);
+    if (!swapped && String(args[0]).includes('..2026')) swapped = swap({ db_password: 'new', api_key: 'new' });
+    return result;
+  });
+
+  const scan = scanSecretsDirectory(dir);
+  assert.deepEqual(scan.snapshot, { id: swapped, attempts: 2, consistent: true });
+  assert.deepEqual(Object.values(scan.secrets).map(secret => secret.content), ['new', 'new']);
+});
+
+test('filesystem polling stops once the change signal recovers', (t) => {
+  let callbacks;
+  const changeSignal = {
+    name: 'kubernetes',
+    type: 'kubernetes',
+    watch: (onEvent, options) => {
+      callbacks = options;
+      return () => {};
+    },
+    health: () => ({ watching: true })
+  };
+  const source = createDirectorySource({ dir: tempDir(t), changeSignal });
+  const stop = source.watch(() => {});
+  t.after(stop);
+
+  callbacks.onUnavailable(new Error('API unreachable'));
+  assert.equal(source.health().watchMode, 'filesystem');
+  assert.equal(source.health().fallback, true);
+
+  callbacks.onAvailable();
+  assert.equal(source.health().watchMode, 'kubernetes');
+  assert.equal(source.health().fallback, false);
+  assert.equal(source.health().watchState, 'watching');
+});
@@ -0,0 +1,45 @@
+// Shared test fixtures (no tests of its own)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readSecretsFromDirectory } = require('../lib/sources');
+
+// Empty directory removed after the test
+function tempDir(t, prefix = 'secrets-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A directory laid out like a Kubernetes projected volume: the files live in a timestamped
+// directory, `..data` points at it, and every key is a symlink through `..data`. kubelet
+// updates it by writing a new timestamped directory and renaming a new `..data` over the old.
+// swap(files) does the same and returns the new timestamped directory's name.
+function createProjectedVolume(t) {
+  const dir = tempDir(t, 'projected-');
+  let generation = 0;
+
+  function swap(files, mtime = new Date(Date.UTC(2026, 0, 1, 0, generation + 1))) {
+    generation++;
+    const dataDir = `..2026_01_01_00_00_0${generation}.${1000 + generation}`;
+    fs.mkdirSync(path.join(dir, dataDir));
+    for (const [name, content] of Object.entries(files)) {
+      const file = path.join(dir, dataDir, name);
+      fs.writeFileSync(file, content);
+      fs.utimesSync(file, mtime, mtime);
+    }
+    fs.symlinkSync(dataDir, path.join(dir, '..data_tmp'));
+    fs.renameSync(path.join(dir, '..data_tmp'), path.join(dir, '..data'));
+    for (const name of Object.keys(files)) {
+      if (!fs.existsSync(path.join(dir, name))) fs.symlinkSync(path.join('..data', name), path.join(dir, name));
+    }
+    for (const name of fs.readdirSync(dir).filter(name => !name.startsWith('..') && !(name in files))) {
+      fs.unlinkSync(path.join(dir, name)); // kubelet removes the key symlinks of deleted keys
+    }
+    return dataDir;
+  }
+
+  return { dir, swap, read: () => readSecretsFromDirectory(dir) };
+}
+
+module.exports = { tempDir, createProjectedVolume };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { createKubernetesSource } = require('../lib/sources/kubernetesSource');
+const { tempDir } = require('./fixtures');
+
+test('watches closed right after opening back off instead of reconnecting at once', async (t) => {
+  let watches = 0;
+  // Like a proxy that ends every streaming response immediately
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url.includes('watch=true')) {
+      watches++;
+      return res.end();
+    }
+    res.end(JSON.stringify({ items: [], metadata: { resourceVersion: '1' } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const kubeconfigPath = path.join(tempDir(t, 'kubeconfig-'), 'config');
+  fs.writeFileSync(kubeconfigPath, JSON.stringify({
+    'current-context': 'test',
+    clusters: [{ name: 'test', cluster: { server: `http://127.0.0.1:${server.address().port}` } }],
+    users: [{ name: 'test', user: { token: 'token' } }],
+    contexts: [{ name: 'test', context: { cluster: 'test', user: 'test' } }]
+  }));
+
+  const source = createKubernetesSource({ namespace: 'default', secretName: 'app', kubeconfigPath });
+  const stop = source.watch(() => {});
+  t.after(stop);
+
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  assert.ok(watches >= 1 && watches <= 2, `expected at most 2 watch requests, got ${watches}`);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { fingerprint, setFingerprintKey, maskValue, maskSecret } = require('../lib/masking');
+
+test('fingerprints are keyed, so they cannot be matched against plain hashes', (t) => {
+  t.after(() => setFingerprintKey(crypto.randomBytes(32)));
+  const plainHash = crypto.createHash('sha256').update('hunter2').digest('hex');
+
+  setFingerprintKey('key-a');
+  const a = fingerprint('hunter2');
+  assert.equal(a.length, 12);
+  assert.notEqual(a, plainHash.substring(0, 12));
+  assert.equal(fingerprint('hunter2'), a); // Stable under one key
+  assert.ok(!maskValue('hunter2').includes(plainHash.substring(0, 8)));
+
+  setFingerprintKey('key-b');
+  assert.notEqual(fingerprint('hunter2'), a);
+  assert.equal(maskSecret({ content: 'hunter2' }).fingerprint, fingerprint('hunter2'));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rateLimiter');
+
+function limiter(settings) {
+  let time = 0;
+  const values = { perKey: 2, total: 3, windowMs: 1000, ...settings };
+  const rateLimiter = createRateLimiter({
+    perKey: () => values.perKey,
+    total: () => values.total,
+    windowMs: () => values.windowMs,
+    now: () => time
+  });
+  return { attempt: key => rateLimiter.attempt(key), advance: ms => { time += ms; }, values };
+}
+
+test('each key gets its own budget within the window', () => {
+  const { attempt, advance } = limiter();
+  assert.equal(attempt('alice').allowed, true);
+  advance(100);
+  assert.equal(attempt('alice').allowed, true);
+  assert.deepEqual(attempt('alice'), { allowed: false, scope: 'client', retryAfterMs: 900 });
+  assert.equal(attempt('bob').allowed, true);
+
+  advance(900); // The first attempt leaves the window
+  assert.equal(attempt('alice').allowed, true);
+});
+
+test('the global budget is shared by all keys', () => {
+  const { attempt } = limiter();
+  assert.equal(attempt('a').allowed, true);
+  assert.equal(attempt('b').allowed, true);
+  assert.equal(attempt('c').allowed, true);
+  assert.deepEqual(attempt('d'), { allowed: false, scope: 'global', retryAfterMs: 1000 });
+});
+
+test('rejected attempts do not use up budget', () => {
+  const { attempt, advance } = limiter({ total: 10 });
+  attempt('alice');
+  attempt('alice');
+  for (let i = 0; i < 5; i++) assert.equal(attempt('alice').allowed, false);
+  advance(1000);
+  assert.equal(attempt('alice').allowed, true);
+  assert.equal(attempt('alice').allowed, true);
+});
+
+test('changed limits apply to the next attempt', () => {
+  const { attempt, values } = limiter();
+  attempt('alice');
+  values.perKey = 1;
+  assert.equal(attempt('alice').scope, 'client');
+  values.perKey = 5;
+  assert.equal(attempt('alice').allowed, true);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { decodeContent, readFileContent, limitTotalSize } = require('../lib/secretContent');
+const { detectChanges } = require('../lib/changeDetection');
+const { tempDir } = require('./fixtures');
+
+function tempFile(t, name, content) {
+  const file = path.join(tempDir(t, 'secret-content-'), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('text stays trimmed UTF-8 and binary is carried base64 with a type hint', () => {
+  assert.deepEqual(decodeContent(Buffer.from('pässword\n')), { content: 'pässword' });
+
+  const keystore = Buffer.from([0xfe, 0xed, 0xfe, 0xed, 0x00, 0x00, 0x00, 0x02]);
+  assert.deepEqual(decodeContent(keystore, { name: 'truststore' }), {
+    content: keystore.toString('base64'),
+    encoding: 'base64',
+    contentType: 'application/x-java-keystore'
+  });
+
+  // PFX: SEQUENCE { INTEGER 3, ... }, recognized whatever the file is called
+  const pfx = Buffer.from([0x30, 0x82, 0x01, 0x00, 0x02, 0x01, 0x03, 0x30, 0x80, 0xff]);
+  assert.equal(decodeContent(pfx, { name: 'bundle' }).contentType, 'application/x-pkcs12');
+  assert.equal(decodeContent(Buffer.from([0x01, 0x02, 0xff, 0x00]), { name: 'client.der' }).contentType, 'application/pkix-cert');
+  assert.equal(decodeContent(Buffer.from([0xff, 0xfe, 0x00]), { name: 'blob' }).contentType, 'application/octet-stream');
+});
+
+test('files over the limit are truncated and keep a digest of their whole content', (t) => {
+  const content = 'x'.repeat(100);
+  const file = tempFile(t, 'big.txt', content);
+  const fields = readFileContent(file, { name: 'big.txt', maxBytes: 10 });
+  assert.deepEqual(fields, {
+    content: 'x'.repeat(10),
+    truncated: true,
+    digest: crypto.createHash('sha256').update(content).digest('hex')
+  });
+  assert.deepEqual(readFileContent(file, { name: 'big.txt', maxBytes: 100 }), { content });
+
+  // A change past the limit is still a modification
+  const changed = { ...fields, digest: 'other' };
+  assert.deepEqual(detectChanges({ 'big.txt': fields }, { 'big.txt': changed }).modified, ['big.txt']);
+});
+
+test('a file cut inside a multi-byte character is still text', (t) => {
+  const file = tempFile(t, 'note', 'aé'.repeat(10));
+  const fields = readFileContent(file, { name: 'note', maxBytes: 4 });
+  assert.equal(fields.content, 'aéa');
+  assert.equal(fields.encoding, undefined);
+});
+
+test('the total limit truncates files in name order', () => {
+  const binary = Buffer.alloc(12, 0xff).toString('base64'); // 16 characters
+  const limited = limitTotalSize({
+    b: { content: binary, encoding: 'base64' },
+    a: { content: '0123456789' },
+    c: { content: 'late=1', structure: { format: 'env', tree: { late: '1' } } },
+    failed: { content: 'Error reading file: EACCES', error: true }
+  }, 17);
+  assert.equal(limited.a.content, '0123456789');
+  assert.equal(limited.b.content, binary.substring(0, 4)); // Whole base64 quanta only
+  assert.equal(limited.b.truncated, true);
+  assert.deepEqual([limited.c.content, limited.c.truncated], ['', true]);
+  assert.equal(limited.c.structure, undefined);
+  assert.equal(limited.failed.truncated, undefined);
+});
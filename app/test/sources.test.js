@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSourceSet } = require('../lib/sources');
+const { detectChanges } = require('../lib/changeDetection');
+
+// Source whose read() returns `values` or throws `failure` when set
+function fakeSource(name, values) {
+  const source = {
+    name,
+    type: 'fake',
+    failure: null,
+    read: async () => {
+      if (source.failure) throw source.failure;
+      return values;
+    },
+    health: () => ({ healthy: true })
+  };
+  return source;
+}
+
+test('a failing source keeps its last known secrets instead of removing them', async () => {
+  const vault = fakeSource('vault', { api_key: { content: 'k', lastModified: '2026-01-01T00:00:00.000Z' } });
+  const directory = fakeSource('directory', { db_password: { content: 'p', lastModified: '2026-01-01T00:00:00.000Z' } });
+  const set = createSourceSet([directory, vault]);
+
+  const before = await set.read();
+  vault.failure = new Error('Vault unavailable');
+  const during = await set.read();
+
+  assert.deepEqual(during, before);
+  assert.deepEqual(detectChanges(before, during).changes, []);
+  assert.equal(set.readStatus().succeeded, false);
+  assert.deepEqual(set.readStatus().errors, { vault: 'Vault unavailable' });
+});
+
+test('a source failing before its first read contributes nothing', async () => {
+  const vault = fakeSource('vault', {});
+  vault.failure = new Error('Vault unavailable');
+  const set = createSourceSet([fakeSource('directory', { db_password: { content: 'p' } }), vault]);
+  assert.deepEqual(Object.keys(await set.read()), ['db_password']);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createVaultSource } = require('../lib/sources/vaultSource');
+
+// A Vault stub with AppRole login and one KV-v2 secret at secret/app. Tokens are issued as
+// token-1, token-2, ...; `revoke()` makes the current one rejected like an expired token.
+async function startVault(t, { data, metadata }) {
+  const requests = [];
+  let issued = 0;
+  const revoked = new Set();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, token: req.headers['x-vault-token'] || null, body });
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      if (req.url === '/v1/auth/approle/login') {
+        const { role_id: roleId, secret_id: secretId } = JSON.parse(body);
+        if (roleId !== 'role' || secretId !== 'secret') return reply(400, { errors: ['invalid role or secret ID'] });
+        return reply(200, { auth: { client_token: `token-${++issued}`, lease_duration: 60 } });
+      }
+      const token = req.headers['x-vault-token'];
+      if (!token || revoked.has(token)) return reply(403, { errors: ['permission denied'] });
+      if (req.url === '/v1/secret/data/app') return reply(200, { data: { data, metadata: { version: 3, created_time: '2026-01-03T00:00:00Z' } } });
+      if (req.url === '/v1/secret/metadata/app') return reply(200, { data: metadata });
+      reply(404, { errors: [] });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return {
+    address: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    revoke: () => revoked.add(`token-${issued}`)
+  };
+}
+
+const metadata = {
+  current_version: 3,
+  updated_time: '2026-01-03T00:00:00Z',
+  versions: {
+    1: { created_time: '2026-01-01T00:00:00Z', deletion_time: '', destroyed: true },
+    3: { created_time: '2026-01-03T00:00:00Z', deletion_time: '', destroyed: false },
+    2: { created_time: '2026-01-02T00:00:00Z', deletion_time: '2026-01-02T12:00:00Z', destroyed: false }
+  }
+};
+
+test('reads each KV-v2 key as a secret with its version metadata', async (t) => {
+  const vault = await startVault(t, { data: { db_password: 's3cret', config: { port: 5432 } }, metadata });
+  const source = createVaultSource({ address: vault.address, token: 'root', secretPath: '/app/' });
+
+  const secrets = await source.read();
+  assert.deepEqual(Object.keys(secrets).sort(), ['config', 'db_password']);
+  assert.equal(secrets.db_password.content, 's3cret');
+  assert.equal(secrets.config.content, '{"port":5432}'); // Non-string values are carried as JSON
+  assert.equal(secrets.db_password.lastModified, '2026-01-03T00:00:00Z');
+  assert.deepEqual(secrets.db_password.vault, {
+    path: 'secret/app',
+    version: 3,
+    currentVersion: 3,
+    updatedTime: '2026-01-03T00:00:00Z',
+    versions: [
+      { version: 3, createdTime: '2026-01-03T00:00:00Z', deletionTime: null, destroyed: false },
+      { version: 2, createdTime: '2026-01-02T00:00:00Z', deletionTime: '2026-01-02T12:00:00Z', destroyed: false },
+      { version: 1, createdTime: '2026-01-01T00:00:00Z', deletionTime: null, destroyed: true }
+    ]
+  });
+  assert.ok(vault.requests.every(request => request.token === 'root'));
+});
+
+test('logs in through AppRole once, and again when the token is rejected', async (t) => {
+  const vault = await startVault(t, { data: { api_key: 'abc' }, metadata });
+  const source = createVaultSource({ address: vault.address, roleId: 'role', secretId: 'secret', secretPath: 'app' });
+
+  // The data and metadata reads share a single login
+  assert.equal((await source.read()).api_key.content, 'abc');
+  const logins = () => vault.requests.filter(request => request.url === '/v1/auth/approle/login');
+  assert.equal(logins().length, 1);
+  assert.deepEqual(JSON.parse(logins()[0].body), { role_id: 'role', secret_id: 'secret' });
+
+  // Both reads are rejected; whether they share the new login depends on timing
+  vault.revoke();
+  assert.equal((await source.read()).api_key.content, 'abc');
+  assert.ok(logins().length >= 2);
+  assert.notEqual(vault.requests.at(-1).token, 'token-1');
+});
+
+test('missing configuration fails with the setting to fix', () => {
+  assert.throws(() => createVaultSource({ token: 'root', secretPath: 'app' }), /VAULT_ADDR is required/);
+  assert.throws(() => createVaultSource({ address: 'http://vault:8200', token: 'root' }), /VAULT_KV_PATH is required/);
+  assert.throws(() => createVaultSource({ address: 'http://vault:8200', secretPath: 'app' }), /VAULT_TOKEN or VAULT_ROLE_ID/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWebhooks, createWebhookDispatcher } = require('../lib/webhooks');
+const { tempDir } = require('./fixtures');
+
+test('a failing delivery is retried, then recorded as failed', async (t) => {
+  const dataDir = tempDir(t, 'webhooks-');
+
+  // Nothing listens on port 1, so every attempt fails with a connection error
+  const hooks = loadWebhooks({ json: JSON.stringify([{ id: 'down', url: 'http://127.0.0.1:1/hook' }]) });
+  const deliveries = [];
+  let finished;
+  const done = new Promise(resolve => { finished = resolve; });
+  const dispatcher = createWebhookDispatcher({
+    hooks,
+    dataDir,
+    maxAttempts: 2,
+    initialBackoffMs: 1,
+    onDelivery: (entry) => {
+      deliveries.push(entry.status);
+      if (entry.status === 'failed') finished(entry);
+    }
+  });
+  t.after(() => dispatcher.stop());
+
+  dispatcher.notify({
+    timestamp: new Date().toISOString(),
+    target: { id: 'default' },
+    source: 'test',
+    changes: [{ file: 'db_password', change: 'modified' }]
+  });
+
+  const entry = await done;
+  assert.deepEqual(deliveries, ['pending', 'retrying', 'failed']);
+  assert.equal(entry.attempts, 2);
+  assert.ok(entry.error);
+  assert.equal(dispatcher.recent(1)[0].status, 'failed');
+});
+
+test('an error after a delivery attempt is logged, not left unhandled', async (t) => {
+  const dataDir = tempDir(t, 'webhooks-');
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const hooks = loadWebhooks({ json: JSON.stringify([{ id: 'down', url: 'http://127.0.0.1:1/hook' }]) });
+  let attempted;
+  const done = new Promise(resolve => { attempted = resolve; });
+  const dispatcher = createWebhookDispatcher({
+    hooks,
+    dataDir,
+    maxAttempts: 1,
+    onDelivery: (entry) => {
+      if (entry.status === 'pending') return;
+      attempted();
+      throw new Error('listener failed');
+    }
+  });
+  t.after(() => dispatcher.stop());
+
+  dispatcher.notify({
+    timestamp: new Date().toISOString(),
+    target: { id: 'default' },
+    source: 'test',
+    changes: [{ file: 'db_password', change: 'modified' }]
+  });
+
+  await done;
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(unhandled, []);
+  assert.equal(dispatcher.recent(1)[0].status, 'failed');
+});
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+// Minimal in-memory Kubernetes API server for local development of the kubernetes source.
+// Supports bearer-token auth, Secret get/list/create/update/delete, and watches with
+// bookmarks and 410 Gone for compacted resourceVersions. On startup it writes a kubeconfig
+// pointing at itself.
+//
+// Usage:
+//   node scripts/fake-k8s-api.js
+//   KUBECONFIG=/tmp/fake-k8s-kubeconfig.yaml SECRET_SOURCES=kubernetes npm start
+//   curl -X PUT -H 'Authorization: Bearer fake-token' -d '{"stringData":{"api_key":"abc"}}' \
+//     localhost:6443/api/v1/namespaces/vault-live-secrets-demo/secrets/vault-web-secrets
+//   curl -X POST localhost:6443/fake/compact        # expire every issued resourceVersion (410 on resume)
+//   curl -X POST localhost:6443/fake/drop-watches   # close every open watch stream
+
+const fs = require('fs');
+const http = require('http');
+
+const PORT = process.env.FAKE_K8S_PORT || 6443;
+const TOKEN = process.env.FAKE_K8S_TOKEN || 'fake-token';
+const NAMESPACE = process.env.FAKE_K8S_NAMESPACE || 'vault-live-secrets-demo';
+const KUBECONFIG_PATH = process.env.FAKE_K8S_KUBECONFIG || '/tmp/fake-k8s-kubeconfig.yaml';
+const BOOKMARK_INTERVAL = parseInt(process.env.FAKE_K8S_BOOKMARK_INTERVAL, 10) || 15000;
+const EVENT_HISTORY = parseInt(process.env.FAKE_K8S_EVENT_HISTORY, 10) || 100;
+
+let resourceVersion = 1;
+const secrets = new Map(); // "namespace/name" -> Secret object
+let events = []; // { resourceVersion, type, object } - oldest first, bounded like etcd compaction
+let compactedBelow = 0; // resourceVersions below this are expired (set by /fake/compact)
+const watchers = new Set();
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function status(code, reason, message) {
+  return { kind: 'Status', apiVersion: 'v1', status: 'Failure', code, reason, message };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// Field selectors are limited to metadata.name=<name>, which is all the app uses
+function matches(object, namespace, selector) {
+  if (object.metadata.namespace !== namespace) return false;
+  const nameMatch = selector && selector.match(/^metadata\.name=(.+)$/);
+  return !nameMatch || object.metadata.name === nameMatch[1];
+}
+
+function record(type, object) {
+  const event = { resourceVersion: Number(object.metadata.resourceVersion), type, object };
+  events.push(event);
+  if (events.length > EVENT_HISTORY) events = events.slice(-EVENT_HISTORY);
+  for (const watcher of watchers) {
+    if (matches(object, watcher.namespace, watcher.selector)) watcher.write({ type, object });
+  }
+}
+
+function writeSecret(namespace, name, body) {
+  const key = `${namespace}/${name}`;
+  const existing = secrets.get(key);
+  const data = { ...(body.data || {}) };
+  for (const [field, value] of Object.entries(body.stringData || {})) {
+    data[field] = Buffer.from(String(value)).toString('base64');
+  }
+  const now = new Date().toISOString();
+  const secret = {
+    kind: 'Secret',
+    apiVersion: 'v1',
+    metadata: {
+      name,
+      namespace,
+      uid: existing ? existing.metadata.uid : `fake-${Date.now()}`,
+      resourceVersion: String(++resourceVersion),
+      creationTimestamp: existing ? existing.metadata.creationTimestamp : now,
+      managedFields: [{ manager: 'fake-k8s-api', operation: 'Update', time: now }]
+    },
+    type: 'Opaque',
+    data
+  };
+  secrets.set(key, secret);
+  record(existing ? 'MODIFIED' : 'ADDED', secret);
+  return secret;
+}
+
+function startWatch(req, res, namespace, url) {
+  const selector = url.searchParams.get('fieldSelector');
+  const requested = url.searchParams.get('resourceVersion');
+  const timeoutSeconds = parseInt(url.searchParams.get('timeoutSeconds'), 10) || 1800;
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' });
+
+  const watcher = {
+    namespace,
+    selector,
+    write: event => res.write(JSON.stringify(event) + '\n')
+  };
+
+  // Resuming from a resourceVersion older than the retained history is a 410 Gone
+  if (requested && requested !== '0') {
+    const oldest = Math.max(events.length > 0 ? events[0].resourceVersion - 1 : resourceVersion, compactedBelow);
+    if (Number(requested) < oldest) {
+      watcher.write({ type: 'ERROR', object: status(410, 'Expired', `too old resource version: ${requested} (${oldest})`) });
+      return res.end();
+    }
+    for (const event of events) {
+      if (event.resourceVersion > Number(requested) && matches(event.object, namespace, selector)) {
+        watcher.write({ type: event.type, object: event.object });
+      }
+    }
+  } else {
+    for (const secret of secrets.values()) {
+      if (matches(secret, namespace, selector)) watcher.write({ type: 'ADDED', object: secret });
+    }
+  }
+
+  const bookmarkTimer = url.searchParams.get('allowWatchBookmarks') === 'true' && setInterval(() => {
+    watcher.write({ type: 'BOOKMARK', object: { kind: 'Secret', apiVersion: 'v1', metadata: { resourceVersion: String(resourceVersion) } } });
+  }, BOOKMARK_INTERVAL);
+  const timeoutTimer = setTimeout(() => res.end(), timeoutSeconds * 1000);
+
+  watcher.close = () => res.end();
+  watchers.add(watcher);
+  res.on('close', () => {
+    watchers.delete(watcher);
+    clearInterval(bookmarkTimer);
+    clearTimeout(timeoutTimer);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  // Test controls (no auth)
+  if (req.method === 'POST' && url.pathname === '/fake/compact') {
+    // Other objects keep moving the cluster's resourceVersion; only the current one stays valid
+    events = [];
+    compactedBelow = ++resourceVersion;
+    return send(res, 200, { compactedBelow });
+  }
+  if (req.method === 'POST' && url.pathname === '/fake/drop-watches') {
+    const dropped = watchers.size;
+    for (const watcher of watchers) watcher.close();
+    return send(res, 200, { dropped });
+  }
+
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    return send(res, 401, status(401, 'Unauthorized', 'Unauthorized'));
+  }
+
+  const match = url.pathname.match(/^\/api\/v1\/namespaces\/([^/]+)\/secrets(?:\/([^/]+))?$/);
+  if (!match) return send(res, 404, status(404, 'NotFound', 'the server could not find the requested resource'));
+  const [, namespace, name] = match;
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return send(res, 400, status(400, 'BadRequest', 'invalid JSON body'));
+  }
+
+  if (!name) {
+    if (req.method === 'POST') {
+      return send(res, 201, writeSecret(namespace, body.metadata.name, body));
+    }
+    if (req.method !== 'GET') return send(res, 405, status(405, 'MethodNotAllowed', 'method not allowed'));
+    const watch = url.searchParams.get('watch');
+    if (watch === 'true' || watch === '1') return startWatch(req, res, namespace, url);
+
+    const selector = url.searchParams.get('fieldSelector');
+    return send(res, 200, {
+      kind: 'SecretList',
+      apiVersion: 'v1',
+      metadata: { resourceVersion: String(resourceVersion) },
+      items: Array.from(secrets.values()).filter(secret => matches(secret, namespace, selector))
+    });
+  }
+
+  const key = `${namespace}/${name}`;
+  if (req.method === 'PUT') return send(res, 200, writeSecret(namespace, name, body));
+  if (!secrets.has(key)) return send(res, 404, status(404, 'NotFound', `secrets "${name}" not found`));
+
+  if (req.method === 'DELETE') {
+    const secret = secrets.get(key);
+    secrets.delete(key);
+    secret.metadata.resourceVersion = String(++resourceVersion);
+    record('DELETED', secret);
+    return send(res, 200, status(200, 'Success', `secrets "${name}" deleted`));
+  }
+  if (req.method !== 'GET') return send(res, 405, status(405, 'MethodNotAllowed', 'method not allowed'));
+  return send(res, 200, secrets.get(key));
+});
+
+// JSON is valid YAML, so the kubeconfig needs no YAML library
+fs.writeFileSync(KUBECONFIG_PATH, JSON.stringify({
+  apiVersion: 'v1',
+  kind: 'Config',
+  'current-context': 'fake',
+  clusters: [{ name: 'fake', cluster: { server: `http://127.0.0.1:${PORT}` } }],
+  users: [{ name: 'fake', user: { token: TOKEN } }],
+  contexts: [{ name: 'fake', context: { cluster: 'fake', user: 'fake', namespace: NAMESPACE } }]
+}, null, 2));
+
+server.listen(PORT, () => {
+  console.log(`Fake Kubernetes API listening on http://127.0.0.1:${PORT} (token: ${TOKEN})`);
+  console.log(`Kubeconfig written to ${KUBECONFIG_PATH}`);
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+// Minimal in-memory Vault KV-v2 mock for local development of the Vault source.
+// Supports token auth, AppRole login, and KV-v2 data/metadata read and write.
+//
+// Usage:
+//   node scripts/mock-vault.js
+//   VAULT_ADDR=http://localhost:8200 VAULT_TOKEN=root VAULT_KV_PATH=web npm start
+//   curl -X POST -H 'X-Vault-Token: root' -d '{"data":{"api_key":"abc"}}' localhost:8200/v1/secret/data/web
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_VAULT_PORT || 8200;
+const ROOT_TOKEN = process.env.MOCK_VAULT_TOKEN || 'root';
+const ROLE_ID = process.env.MOCK_VAULT_ROLE_ID || 'demo-role';
+const SECRET_ID = process.env.MOCK_VAULT_SECRET_ID || 'demo-secret';
+const TOKEN_TTL = parseInt(process.env.MOCK_VAULT_TOKEN_TTL, 10) || 3600;
+
+const tokens = new Map([[ROOT_TOKEN, Infinity]]); // token -> expiry (ms)
+const store = new Map(); // "mount/path" -> { currentVersion, versions: { [n]: { data, createdTime } } }
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body ? JSON.stringify(body) : '');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+function authorized(req) {
+  const expiry = tokens.get(req.headers['x-vault-token']);
+  return expiry !== undefined && expiry > Date.now();
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/v1\/(.+)$/);
+  if (!match) return send(res, 404, { errors: [] });
+
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return send(res, 400, { errors: ['invalid JSON body'] });
+  }
+
+  const apiPath = match[1];
+  console.log(`${req.method} /v1/${apiPath}`);
+
+  const loginMatch = apiPath.match(/^auth\/([^/]+)\/login$/);
+  if (loginMatch && req.method === 'POST') {
+    if (body.role_id !== ROLE_ID || body.secret_id !== SECRET_ID) {
+      return send(res, 400, { errors: ['invalid role or secret ID'] });
+    }
+    const token = `s.${crypto.randomBytes(12).toString('hex')}`;
+    tokens.set(token, Date.now() + TOKEN_TTL * 1000);
+    return send(res, 200, { auth: { client_token: token, lease_duration: TOKEN_TTL, renewable: true } });
+  }
+
+  if (!authorized(req)) return send(res, 403, { errors: ['permission denied'] });
+
+  const kvMatch = apiPath.match(/^([^/]+)\/(data|metadata)\/(.+)$/);
+  if (!kvMatch) return send(res, 404, { errors: [] });
+  const [, mount, kind, secretPath] = kvMatch;
+  const key = `${mount}/${secretPath}`;
+  const entry = store.get(key);
+
+  if (kind === 'data' && (req.method === 'POST' || req.method === 'PUT')) {
+    const next = entry || { currentVersion: 0, versions: {} };
+    next.currentVersion += 1;
+    next.versions[next.currentVersion] = { data: body.data || {}, createdTime: new Date().toISOString() };
+    store.set(key, next);
+    return send(res, 200, { data: { version: next.currentVersion, created_time: next.versions[next.currentVersion].createdTime } });
+  }
+
+  if (req.method !== 'GET') return send(res, 405, { errors: [] });
+  if (!entry) return send(res, 404, { errors: [] });
+
+  if (kind === 'data') {
+    const version = parseInt(url.searchParams.get('version'), 10) || entry.currentVersion;
+    const stored = entry.versions[version];
+    if (!stored) return send(res, 404, { errors: [] });
+    return send(res, 200, {
+      data: {
+        data: stored.data,
+        metadata: { version, created_time: stored.createdTime, deletion_time: '', destroyed: false }
+      }
+    });
+  }
+
+  const versions = {};
+  for (const [version, stored] of Object.entries(entry.versions)) {
+    versions[version] = { created_time: stored.createdTime, deletion_time: '', destroyed: false };
+  }
+  return send(res, 200, {
+    data: {
+      current_version: entry.currentVersion,
+      created_time: entry.versions[1].createdTime,
+      updated_time: entry.versions[entry.currentVersion].createdTime,
+      versions
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Vault listening on http://localhost:${PORT} (token: ${ROOT_TOKEN}, AppRole: ${ROLE_ID}/${SECRET_ID})`);
+});